@@ -5,6 +5,10 @@ import {
   StyleSheet,
   TouchableOpacity,
   FlatList,
+  ScrollView,
+  TextInput,
+  Share,
+  Linking,
   Alert,
   Dimensions,
   Animated,
@@ -12,7 +16,10 @@ import {
   StatusBar,
   Image,
   Platform,
-  ActivityIndicator
+  ActivityIndicator,
+  AppState,
+  InteractionManager,
+  useWindowDimensions
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { LinearGradient } from 'expo-linear-gradient';
@@ -24,6 +31,78 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useAudioPlayer, setAudioModeAsync } from 'expo-audio';
 import * as StoreReview from 'expo-store-review';
 import Purchases, { LOG_LEVEL } from 'react-native-purchases';
+import {
+  GAME_ACTIONS,
+  TIME_FOR_SIZE,
+  INITIAL_STATE,
+  POWER_UP_CONFIG,
+  createGridFromSeed,
+  createPowerUpDrop,
+  randomSeed,
+  dailyKeyFor,
+  dailySeed,
+  getDailyResult,
+  evaluateGrid,
+  applySwap,
+  findHintRow,
+  autoCompleteGrid,
+  findTeleportSwap,
+  gameStateReducer,
+  SAVE_DATA_VERSION,
+  migrateSavedData,
+  serializeGame,
+  deserializeGame,
+  monotonicNow,
+  clockElapsedMs,
+  clockRemainingMs,
+  elapsedSeconds,
+  formatSeconds,
+  canUndo,
+  canRedo,
+  buildReplayFrames,
+  createGridFromLayout,
+  solveGridAsync,
+  rateRun,
+  moveBudget,
+  DIFFICULTIES,
+  createSurvivalRun,
+  createSurvivalBoard,
+  survivalScore,
+  createLevelGrid,
+  findLevel,
+  winRecordAction,
+  nextLevel,
+  isLevelUnlocked,
+  campaignStars,
+  encodePuzzle,
+  puzzleLink,
+  readPuzzleCode,
+  puzzleFromReplay,
+  gridLayout,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  createSession,
+  createSessionBoard,
+  sessionTimeLimit,
+  currentPlayer,
+  isSessionOver,
+  sessionStandings,
+  createRace,
+  raceReducer,
+  isRaceOver,
+  ghostKey,
+  createGhost,
+  ghostAt,
+  ghostStanding,
+  createFriendChallenge,
+  encodeFriendChallenge,
+  readFriendChallenge,
+  createFriendChallengeBoard,
+  friendChallengeOutcome,
+  formatResultCard,
+  scrambleLayout,
+  validatePuzzleAsync,
+} from './engine';
 
 /**
  * GridZen2 — App.js
@@ -51,84 +130,105 @@ const PRODUCT_ID = 'com.steveomatic.gridzen2.removeads';
 // Constants & Helpers
 // ============================================================================
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
+// Tablets (and unfolded foldables) have room for two grids side by side.
+// Takes the live window size, which changes as a foldable opens or closes.
+const isLargeScreen = ({ width, height }) => Math.min(width, height) >= 600;
+
+// Bundled campaign level pack (see engine/campaign.js).
+const CAMPAIGN = require('./assets/levels/campaign.json');
+
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Starts a fresh survival run. Its boards pick their own sizes, so the first
+// board's size is set before the board itself, as the menu would.
+const startSurvivalRun = (dispatch, gameMode) => {
+  const survival = createSurvivalRun(randomSeed());
+  const board = createSurvivalBoard(survival, gameMode, 0);
+  dispatch({ type: GAME_ACTIONS.SET_GRID_SIZE, payload: board.size });
+  dispatch({ type: GAME_ACTIONS.SET_GRID_DATA, payload: board.gridData });
+  dispatch({
+    type: GAME_ACTIONS.START_NEW_GAME,
+    payload: { seed: board.seed, now: monotonicNow(), timeLimit: TIME_FOR_SIZE[board.size] || 60, survival },
+  });
+};
 
-const GAME_ACTIONS = {
-  SET_GAME_PHASE: 'SET_GAME_PHASE',
-  SET_GAME_MODE: 'SET_GAME_MODE',
-  START_NEW_GAME: 'START_NEW_GAME',
-  SET_GRID_DATA: 'SET_GRID_DATA',
-  SET_GRID_SIZE: 'SET_GRID_SIZE',
-  SWAP_TILES: 'SWAP_TILES',
-  COMPLETE_ROW: 'COMPLETE_ROW',
-  ADD_POWER_UP: 'ADD_POWER_UP',
-  USE_POWER_UP: 'USE_POWER_UP',
-  CLEAR_POWER_UPS: 'CLEAR_POWER_UPS',
-  SET_FREE_MOVES: 'SET_FREE_MOVES',
-  CONSUME_FREE_MOVE: 'CONSUME_FREE_MOVE',
-  SET_HINT_ROW: 'SET_HINT_ROW',
-  CLEAR_HINT_ROW: 'CLEAR_HINT_ROW',
-  INCREMENT_MOVES: 'INCREMENT_MOVES',
-  DECREMENT_TIME: 'DECREMENT_TIME',
-  SET_TIME: 'SET_TIME',
-  PAUSE_GAME: 'PAUSE_GAME',
-  RESUME_GAME: 'RESUME_GAME',
-  SHOW_PANEL: 'SHOW_PANEL',
-  HIDE_PANEL: 'HIDE_PANEL',
-  SHOW_STRATEGIC_WARNING: 'SHOW_STRATEGIC_WARNING',
-  HIDE_STRATEGIC_WARNING: 'HIDE_STRATEGIC_WARNING',
-  SET_DARK_THEME: 'SET_DARK_THEME',
-  SET_MUSIC_ENABLED: 'SET_MUSIC_ENABLED',
-  SAVE_HIGH_SCORE: 'SAVE_HIGH_SCORE',
-  LOAD_LEADERBOARDS: 'LOAD_LEADERBOARDS',
+// Starts the next player's turn in a pass-and-play session, on the board
+// every player in the session gets.
+const startSessionTurn = (dispatch, session) => {
+  dispatch({ type: GAME_ACTIONS.SET_GAME_MODE, payload: session.mode });
+  dispatch({ type: GAME_ACTIONS.SET_GRID_SIZE, payload: session.size });
+  dispatch({ type: GAME_ACTIONS.SET_GRID_DATA, payload: createSessionBoard(session) });
+  dispatch({
+    type: GAME_ACTIONS.START_NEW_GAME,
+    payload: { seed: session.seed, now: monotonicNow(), timeLimit: sessionTimeLimit(session), session },
+  });
 };
 
-// Time budget scales with grid size. 60s for 4x4 is generous; 60s for 6x6
-// is brutal. Each step up gets more time but stays beatable.
-const TIME_FOR_SIZE = { 4: 60, 5: 90, 6: 130 };
-const MAX_POWER_UPS = 5;
-
-const INITIAL_STATE = {
-  gamePhase: 'menu',
-  gameMode: 'classic',
-  gridData: [],
-  gridSize: 4,
-  moveCount: 0,
-  timeRemaining: 60,
-  isGameActive: false,
-  isGamePaused: false,
-  completedRows: new Set(),
-  lockedTiles: new Set(),
-  rowCompletionStreak: 0,
-  availablePowerUps: [],
-  activePowerUp: null,
-  freeMovesRemaining: 0,
-  hintRowIndex: null,
-  isDarkTheme: false,
-  musicEnabled: true,
-  visiblePanel: null,
-  strategicWarningVisible: false,
-  strategicWarningShown: false,
-  leaderboards: {
-    classic: { '4x4': [], '5x5': [], '6x6': [] },
-    color: { '4x4': [], '5x5': [], '6x6': [] },
-    pattern: { '4x4': [], '5x5': [], '6x6': [] }
-  }
+// Starts a campaign level, or a custom puzzle (shaped like one), with its
+// own mode, size, board and limit.
+const startLevel = (dispatch, level) => {
+  const inCampaign = !!findLevel(CAMPAIGN, level.id);
+  dispatch({ type: GAME_ACTIONS.SET_GAME_MODE, payload: level.mode });
+  dispatch({ type: GAME_ACTIONS.SET_GRID_SIZE, payload: level.size });
+  dispatch({ type: GAME_ACTIONS.SET_GRID_DATA, payload: createLevelGrid(level) });
+  dispatch({
+    type: GAME_ACTIONS.START_NEW_GAME,
+    payload: {
+      seed: 0,
+      now: monotonicNow(),
+      timeLimit: level.timeLimit,
+      moveLimit: level.moveLimit ?? null,
+      levelId: inCampaign ? level.id : null,
+      puzzle: inCampaign ? null : level,
+      lockedRows: level.lockedRows || [],
+    },
+  });
+};
+
+// Starts a friend challenge: the sender's board under the sender's rules,
+// held in the game so the result can be compared at the end.
+const startFriendChallenge = (dispatch, friendChallenge) => {
+  const { board, rules } = friendChallenge;
+  dispatch({ type: GAME_ACTIONS.SET_GAME_MODE, payload: board.mode });
+  dispatch({ type: GAME_ACTIONS.SET_GRID_SIZE, payload: board.size });
+  dispatch({ type: GAME_ACTIONS.SET_GRID_DATA, payload: createFriendChallengeBoard(friendChallenge) });
+  dispatch({
+    type: GAME_ACTIONS.START_NEW_GAME,
+    payload: {
+      seed: board.seed,
+      now: monotonicNow(),
+      timeLimit: rules.timeLimit,
+      moveLimit: rules.moveLimit,
+      zen: rules.zen,
+      friendChallenge,
+    },
+  });
 };
 
-const POWER_UP_CONFIG = {
-  FREEZE_TIME: { icon: '❄️', name: 'Time Freeze', description: '+15s', effect: 15 },
-  TELEPORT_SWAP: { icon: '🌀', name: 'Teleport', description: 'Smart auto-swap', effect: 1 },
-  AUTO_COMPLETE: { icon: '✨', name: 'Auto-Complete', description: 'Fix 2 tiles', effect: 2 },
-  FREE_MOVES: { icon: '⚡', name: 'Free Moves', description: '3 free moves', effect: 3 },
-  ROW_HINT: { icon: '🎯', name: 'Row Hint', description: 'Highlight best row', effect: 1 }
+// Opens the share sheet for a friend challenge. The whole bundle goes in the
+// message, so it can be saved as a file or copied and pasted on the menu.
+const shareFriendChallenge = (friendChallenge) => {
+  const { board, score } = friendChallenge;
+  const boast = score.solved
+    ? `I solved it in ${score.moves} moves and ${formatSeconds(score.time)}. Can you beat that?`
+    : `I got ${score.rows} of ${board.size} rows. Can you do better?`;
+  Share.share({
+    title: 'GridZen 2 challenge',
+    message: `GridZen 2 — ${GAME_MODE_CONFIG[board.mode].name} ${board.size}x${board.size} challenge\n${boast}\n\n`
+      + `Open this with GridZen 2, or paste it on the menu:\n${encodeFriendChallenge(friendChallenge)}`,
+  }).catch(e => console.log('Share error:', e));
 };
 
-const vibrantColors = [
-  '#FF3B30', '#FF6B1A', '#FFB300', '#34C759',
-  '#00D1FF', '#007AFF', '#AF52DE', '#FF2D92',
-  '#00E1B4', '#4ECDC4', '#45B7D1', '#16A085',
-  '#F7DC6F', '#96CEB4', '#98D8C8', '#5AC8FA'
-];
+// Opens the share sheet for a puzzle, as a link plus the bare code for
+// pasting on the menu. `moves` is the sender's result, to beat.
+const sharePuzzle = (puzzle, moves = null) => {
+  const par = puzzle.par != null ? ` (par ${puzzle.par})` : '';
+  let boast = puzzle.par != null ? `Can you solve this in ${puzzle.par} moves?` : 'Can you solve this?';
+  if (moves != null) boast = `I solved this in ${moves} moves${par}. Can you beat it?`;
+  Share.share({
+    message: `GridZen 2 — ${puzzle.name}\n${boast}\n${puzzleLink(puzzle)}\n\nOr paste this code on the menu:\n${encodePuzzle(puzzle)}`,
+  }).catch(e => console.log('Share error:', e));
+};
 
 const gradientForMode = (mode) => {
   if (mode === 'classic') return ['#ff512f', '#f09819', '#ff5f6d'];
@@ -156,278 +256,171 @@ export const useGameState = () => {
 };
 
 // ============================================================================
-// Reducer
-// ============================================================================
-function gameStateReducer(state, action) {
-  switch (action.type) {
-    case GAME_ACTIONS.SET_GAME_PHASE:
-      return { ...state, gamePhase: action.payload };
-    case GAME_ACTIONS.SET_GAME_MODE:
-      return { ...state, gameMode: action.payload };
-    case GAME_ACTIONS.SET_GRID_SIZE:
-      return { ...state, gridSize: action.payload };
-    case GAME_ACTIONS.SET_GRID_DATA:
-      return { ...state, gridData: action.payload };
-    case GAME_ACTIONS.SWAP_TILES: {
-      const newGrid = state.gridData.slice();
-      const { fromIndex, toIndex } = action.payload;
-      const tmp = newGrid[fromIndex];
-      newGrid[fromIndex] = { ...newGrid[toIndex], currentIndex: fromIndex };
-      newGrid[toIndex] = { ...tmp, currentIndex: toIndex };
-      return { ...state, gridData: newGrid };
-    }
-    case GAME_ACTIONS.INCREMENT_MOVES:
-      return { ...state, moveCount: state.moveCount + 1 };
-    case GAME_ACTIONS.COMPLETE_ROW: {
-      const r = action.payload.rowIndex;
-      const completedRows = new Set(state.completedRows);
-      completedRows.add(r);
-      const lockedTiles = new Set(state.lockedTiles);
-      for (let c = 0; c < state.gridSize; c++) lockedTiles.add(r * state.gridSize + c);
-      return { ...state, completedRows, lockedTiles, rowCompletionStreak: state.rowCompletionStreak + 1 };
-    }
-    case GAME_ACTIONS.ADD_POWER_UP: {
-      const next = state.availablePowerUps.concat([action.payload]);
-      // Cap at MAX_POWER_UPS so the chip rail never overflows; drop oldest.
-      return { ...state, availablePowerUps: next.slice(-MAX_POWER_UPS) };
-    }
-    case GAME_ACTIONS.USE_POWER_UP:
-      return { ...state, availablePowerUps: state.availablePowerUps.filter(p => p.id !== action.payload.id), activePowerUp: action.payload.type };
-    case GAME_ACTIONS.CLEAR_POWER_UPS:
-      return { ...state, availablePowerUps: [], activePowerUp: null };
-    case GAME_ACTIONS.SET_FREE_MOVES:
-      return { ...state, freeMovesRemaining: state.freeMovesRemaining + action.payload };
-    case GAME_ACTIONS.CONSUME_FREE_MOVE:
-      return { ...state, freeMovesRemaining: Math.max(0, state.freeMovesRemaining - 1) };
-    case GAME_ACTIONS.SET_HINT_ROW:
-      return { ...state, hintRowIndex: action.payload };
-    case GAME_ACTIONS.CLEAR_HINT_ROW:
-      return { ...state, hintRowIndex: null };
-    case GAME_ACTIONS.DECREMENT_TIME:
-      return { ...state, timeRemaining: Math.max(0, state.timeRemaining - 1) };
-    case GAME_ACTIONS.SET_TIME:
-      return { ...state, timeRemaining: action.payload };
-    case GAME_ACTIONS.PAUSE_GAME:
-      return { ...state, isGamePaused: true, isGameActive: false };
-    case GAME_ACTIONS.RESUME_GAME:
-      return { ...state, isGamePaused: false, isGameActive: true };
-    case GAME_ACTIONS.START_NEW_GAME:
-      return {
-        ...state,
-        gamePhase: 'playing',
-        isGameActive: true,
-        isGamePaused: false,
-        moveCount: 0,
-        completedRows: new Set(),
-        lockedTiles: new Set(),
-        rowCompletionStreak: 0,
-        availablePowerUps: [],
-        activePowerUp: null,
-        freeMovesRemaining: 0,
-        hintRowIndex: null,
-        strategicWarningVisible: false,
-        strategicWarningShown: false,
-      };
-    case GAME_ACTIONS.SHOW_PANEL:
-      return { ...state, visiblePanel: action.payload };
-    case GAME_ACTIONS.HIDE_PANEL:
-      return { ...state, visiblePanel: null };
-    case GAME_ACTIONS.SHOW_STRATEGIC_WARNING:
-      return { ...state, strategicWarningVisible: true, strategicWarningShown: true };
-    case GAME_ACTIONS.HIDE_STRATEGIC_WARNING:
-      return { ...state, strategicWarningVisible: false };
-    case GAME_ACTIONS.SET_DARK_THEME:
-      return { ...state, isDarkTheme: !!action.payload };
-    case GAME_ACTIONS.SET_MUSIC_ENABLED:
-      return { ...state, musicEnabled: !!action.payload };
-    case GAME_ACTIONS.SAVE_HIGH_SCORE: {
-      const { gameMode, gridSize, score } = action.payload;
-      const newLeaderboards = {
-        classic: { ...state.leaderboards.classic },
-        color: { ...state.leaderboards.color },
-        pattern: { ...state.leaderboards.pattern }
-      };
-      const key = `${gridSize}x${gridSize}`;
-      const board = (newLeaderboards[gameMode][key] || []).slice();
-      board.push(score);
-      board.sort((a, b) => a.moves - b.moves || a.time - b.time);
-      newLeaderboards[gameMode][key] = board.slice(0, 10);
-      return { ...state, leaderboards: newLeaderboards };
-    }
-    case GAME_ACTIONS.LOAD_LEADERBOARDS:
-      return { ...state, leaderboards: action.payload };
-    default:
-      return state;
-  }
-}
-
-// ============================================================================
-// Grid helpers
+// Hooks
 // ============================================================================
-const generateTileColors = (count) => {
-  const out = [];
-  for (let i = 0; i < count; i++) out.push(vibrantColors[i % vibrantColors.length]);
-  return out;
-};
+// Drives the clock's display. The clock itself is timestamp-based (see
+// engine/clock.js), so this only decides *when* to refresh: one TICK_CLOCK
+// just after each whole-second boundary of the countdown (of elapsed time,
+// for a Zen game's untimed clock). A late timeout delays the repaint but
+// can't make the clock drift, and any clock change (pause, resume,
+// FREEZE_TIME) re-schedules from the new state.
+const useGameTimer = (state, dispatch) => {
+  const running = state.gamePhase === 'playing' && !state.isGamePaused;
+  const { clock } = state;
+  useEffect(() => {
+    if (!running) return undefined;
+    let timer = null;
+    const schedule = () => {
+      const now = monotonicNow();
+      const remaining = clockRemainingMs(clock, now);
+      if (remaining <= 0) return;
+      const untilTick = Number.isFinite(remaining)
+        ? (remaining % 1000 || 1000)
+        : 1000 - (clockElapsedMs(clock, now) % 1000);
+      timer = setTimeout(() => {
+        dispatch({ type: GAME_ACTIONS.TICK_CLOCK, payload: { now: monotonicNow() } });
+        schedule();
+      }, untilTick + 5);
+    };
+    schedule();
+    return () => { if (timer) clearTimeout(timer); };
+  }, [running, clock, dispatch]);
 
-const generatePatterns = (gridSize) => {
-  const all = [
-    { symbol: '●●●', name: 'dots', color: '#FF3B30' },
-    { symbol: '|||', name: 'stripes', color: '#007AFF' },
-    { symbol: '~~~', name: 'waves', color: '#34C759' },
-    { symbol: '▓▓▓', name: 'grid', color: '#FF9500' },
-    { symbol: '◆◇◆', name: 'diamond', color: '#AF52DE' },
-    { symbol: '✕✕✕', name: 'cross', color: '#FF2D92' }
-  ];
-  return all.slice(0, gridSize);
+  useEffect(() => {
+    // Zen games have no fail state, whatever the clock says.
+    if (state.timeRemaining === 0 && state.gamePhase === 'playing' && !state.isZen) {
+      dispatch({ type: GAME_ACTIONS.SET_GAME_PHASE, payload: 'gameOver' });
+    }
+  }, [state.timeRemaining, state.gamePhase, state.isZen, dispatch]);
 };
 
-const createGridData = (size, gameMode, isShuffled = true) => {
-  const total = size * size;
-
-  if (gameMode === 'classic') {
-    const colors = generateTileColors(total);
-    const numbers = Array.from({ length: total }, (_, i) => i + 1);
-    if (isShuffled) {
-      for (let i = numbers.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [numbers[i], numbers[j]] = [numbers[j], numbers[i]];
-      }
+// A move-limited game is lost on the move that spends the budget, unless
+// that move won it: the win sets 'won' in the same batch, before this runs.
+const useMoveLimit = (state, dispatch) => {
+  useEffect(() => {
+    if (state.moveLimit != null && state.moveCount >= state.moveLimit && state.gamePhase === 'playing') {
+      dispatch({ type: GAME_ACTIONS.SET_GAME_PHASE, payload: 'gameOver' });
     }
-    return numbers.map((number, index) => ({
-      id: `tile-${index}`,
-      number,
-      color: colors[number - 1],
-      originalIndex: number - 1,
-      currentIndex: index,
-      gameMode: 'classic'
-    }));
-  }
+  }, [state.moveLimit, state.moveCount, state.gamePhase, dispatch]);
+};
 
-  if (gameMode === 'color') {
-    const rowColors = generateTileColors(size);
-    const tiles = [];
-    for (let i = 0; i < total; i++) {
-      const rowIndex = Math.floor(i / size);
-      tiles.push({
-        id: `tile-${i}`,
-        color: rowColors[rowIndex],
-        targetColor: rowColors[rowIndex],
-        currentIndex: i,
-        gameMode: 'color'
-      });
-    }
-    if (isShuffled) {
-      for (let i = tiles.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
-        tiles[i] = { ...tiles[i], currentIndex: i };
-        tiles[j] = { ...tiles[j], currentIndex: j };
+// Pause whenever the app leaves the foreground — a call, the notification
+// shade, the app switcher — so the countdown can't run out while the player
+// isn't looking. Resuming is left to the player via the pause overlay.
+const useAutoPause = (state, dispatch) => {
+  const shouldPauseRef = useRef(false);
+  shouldPauseRef.current = state.gamePhase === 'playing' && !state.isGamePaused;
+  useEffect(() => {
+    const sub = AppState.addEventListener('change', (next) => {
+      if (next !== 'active' && shouldPauseRef.current) {
+        dispatch({ type: GAME_ACTIONS.PAUSE_GAME, payload: { now: monotonicNow() } });
       }
-    }
-    return tiles;
-  }
-
-  // pattern — each row gets one repeated symbol
-  const patterns = generatePatterns(size);
-  const tiles = [];
-  for (let row = 0; row < size; row++) {
-    for (let col = 0; col < size; col++) {
-      const idx = row * size + col;
-      tiles.push({
-        id: `tile-${idx}`,
-        pattern: patterns[row],
-        targetRow: row,
-        currentIndex: idx,
-        gameMode: 'pattern'
-      });
-    }
-  }
-  if (isShuffled) {
-    for (let i = tiles.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
-      tiles[i] = { ...tiles[i], currentIndex: i };
-      tiles[j] = { ...tiles[j], currentIndex: j };
-    }
-  }
-  return tiles;
+    });
+    return () => sub.remove();
+  }, [dispatch]);
 };
 
-const checkRowCompletion = (gridData, gridSize, rowIndex, mode) => {
-  const start = rowIndex * gridSize;
-  const row = gridData.slice(start, start + gridSize);
-  if (mode === 'classic') {
-    return row.every((tile, col) => tile.number === start + col + 1);
+// Opens gridzen2://play links, and friend challenge files opened with the
+// app, both the one that launched the app and any that arrive while it's
+// running, straight into the linked puzzle or challenge. A file arrives as a
+// file:// or content:// URL, which fetch reads like any other.
+//
+// Links wait until `ready`, once the saved settings have loaded: loading
+// them sets the last-used mode and size, which would otherwise land on top
+// of a game a cold-start link had already begun.
+const openLink = async (dispatch, url) => {
+  const puzzle = readPuzzleCode(url);
+  if (puzzle) {
+    dispatch({ type: GAME_ACTIONS.HIDE_PANEL });
+    startLevel(dispatch, puzzle);
+    return;
   }
-  if (mode === 'color') {
-    const tgt = row[0].targetColor;
-    return row.every(tile => tile.color === tgt);
-  }
-  // pattern: all tiles in the row must share the same symbol
-  const firstName = row[0].pattern.name;
-  return row.every(t => t.pattern.name === firstName);
+  if (!/^(file|content):/.test(url)) return;
+  const friendChallenge = readFriendChallenge(await (await fetch(url)).text());
+  if (!friendChallenge) return;
+  dispatch({ type: GAME_ACTIONS.HIDE_PANEL });
+  startFriendChallenge(dispatch, friendChallenge);
 };
 
-function checkStrategicError(completedRows, gridSize) {
-  if (!completedRows || completedRows.size === 0) return false;
-  const rows = Array.from(completedRows).sort((a, b) => a - b);
-  const isTopPrefix = rows[0] === 0 && rows.every((r, i) => r === i);
-  if (isTopPrefix) return false;
-  const m = rows.length;
-  const isBottomSuffix = rows[m - 1] === gridSize - 1 &&
-    rows.every((r, i) => r === (gridSize - m + i));
-  if (isBottomSuffix) return false;
-  return rows.some(r => r > 0 && r < gridSize - 1);
-}
-
-// Pure evaluation of a grid against its mode. Returns which rows are newly
-// complete, whether the whole grid is a win, and whether the player has
-// triggered a strategic error. Used by both swipe-swaps and power-up swaps
-// so they share one truth path.
-const evaluateGrid = (newGrid, gridSize, gameMode, prevCompletedRows) => {
-  const after = new Set(prevCompletedRows);
-  const newlyCompleted = [];
-  for (let r = 0; r < gridSize; r++) {
-    if (!after.has(r) && checkRowCompletion(newGrid, gridSize, r, gameMode)) {
-      after.add(r);
-      newlyCompleted.push(r);
-    }
-  }
-  let isWin = true;
-  for (let r = 0; r < gridSize; r++) {
-    if (!checkRowCompletion(newGrid, gridSize, r, gameMode)) { isWin = false; break; }
-  }
-  return {
-    completedRowsAfter: after,
-    newlyCompleted,
-    isWin,
-    isStrategicError: !isWin && checkStrategicError(after, gridSize),
-  };
-};
+const onLinkError = e => console.log('Link error:', e);
+
+const useIncomingLinks = (dispatch, ready) => {
+  const [pending, setPending] = useState([]);
+  useEffect(() => {
+    const receive = url => url && setPending(urls => urls.concat([url]));
+    Linking.getInitialURL().then(receive).catch(onLinkError);
+    const sub = Linking.addEventListener('url', ({ url }) => receive(url));
+    return () => sub.remove();
+  }, []);
 
-// Apply a swap to a grid array immutably and return the new array.
-const applySwap = (grid, fromIndex, toIndex) => {
-  const next = grid.slice();
-  const tmp = next[fromIndex];
-  next[fromIndex] = { ...next[toIndex], currentIndex: fromIndex };
-  next[toIndex] = { ...tmp, currentIndex: toIndex };
-  return next;
+  useEffect(() => {
+    if (!ready || !pending.length) return;
+    setPending([]);
+    pending.forEach(url => openLink(dispatch, url).catch(onLinkError));
+  }, [ready, pending, dispatch]);
 };
 
-// ============================================================================
-// Hooks
-// ============================================================================
-const useGameTimer = (state, dispatch) => {
-  const tRef = useRef(null);
+// Par for the finished game's starting board, as { moves, optimal }: the
+// solver's count and whether it's proven minimal (on big boards it rarely
+// is, and it's only an estimate). Solving takes seconds on a 6x6, so it runs
+// a slice at a time once the result overlay has animated in, and this stays
+// null until it's done.
+const usePar = (replay, active) => {
+  const [par, setPar] = useState(null);
   useEffect(() => {
-    if (state.gamePhase === 'playing' && !state.isGamePaused && state.timeRemaining > 0) {
-      tRef.current = setTimeout(() => dispatch({ type: GAME_ACTIONS.DECREMENT_TIME }), 1000);
-    } else if (state.timeRemaining === 0 && state.gamePhase === 'playing') {
-      dispatch({ type: GAME_ACTIONS.SET_GAME_PHASE, payload: 'gameOver' });
+    setPar(null);
+    if (!active || !replay) return undefined;
+    let solve = null;
+    const task = InteractionManager.runAfterInteractions(() => {
+      const { size, mode, layout } = replay;
+      solve = solveGridAsync(createGridFromLayout(size, mode, layout), size, mode);
+      solve.promise.then((solved) => {
+        if (solved && solved.moves != null) setPar({ moves: solved.moves, optimal: solved.optimal });
+      });
+    });
+    return () => {
+      task.cancel();
+      solve?.cancel();
+    };
+  }, [replay, active]);
+  return par;
+};
+
+// Starts move-limited challenges: a seeded board and a move budget based on
+// the solver's solution for it, so the budget is always enough. Solving
+// takes seconds on big boards, so it runs a slice at a time and `preparing`
+// is true until the game starts. In the unlikely case the solver can't
+// finish any board tried, the player is told and nothing starts.
+const useChallengeStarter = (dispatch) => {
+  const [preparing, setPreparing] = useState(false);
+  const solve = useRef(null);
+  useEffect(() => () => solve.current?.cancel(), []);
+
+  const start = useCallback(async (size, mode, difficulty) => {
+    if (solve.current) return;
+    setPreparing(true);
+    for (let attempt = 0; attempt < MAX_CHALLENGE_ATTEMPTS; attempt++) {
+      const seed = randomSeed();
+      const gridData = createGridFromSeed(size, mode, seed, difficulty);
+      solve.current = solveGridAsync(gridData, size, mode);
+      const solved = await solve.current.promise;
+      // Cancelled: the screen has gone, and the challenge with it.
+      if (!solved) return;
+      const moveLimit = moveBudget(solved.moves, difficulty);
+      if (moveLimit != null) {
+        solve.current = null;
+        setPreparing(false);
+        dispatch({ type: GAME_ACTIONS.SET_GRID_DATA, payload: gridData });
+        dispatch({ type: GAME_ACTIONS.START_NEW_GAME, payload: { seed, now: monotonicNow(), moveLimit } });
+        return;
+      }
     }
-    return () => { if (tRef.current) clearTimeout(tRef.current); };
-  }, [state.gamePhase, state.timeRemaining, state.isGamePaused, dispatch]);
+    solve.current = null;
+    setPreparing(false);
+    Alert.alert('Not Available', 'A move challenge could not be set up right now. Please try again.');
+  }, [dispatch]);
+
+  return [start, preparing];
 };
 
 const useHaptic = () => useCallback((kind = 'light') => {
@@ -449,35 +442,48 @@ const useHaptic = () => useCallback((kind = 'light') => {
 // completed rows, win state, and strategic-error state. Power-ups previously
 // skipped this path, so completing a row via Auto-Complete / Teleport never
 // registered a win.
+// `moves` is the move count with the move being evaluated included: a swipe
+// dispatches INCREMENT_MOVES in the same tick, so state.moveCount here is
+// still one short. Power-ups don't count as moves and leave it as it is.
 const useGameEvaluation = (state, dispatch, trigger) => {
-  return useCallback((newGrid, prevCompletedRows) => {
+  return useCallback((newGrid, prevCompletedRows, moves = state.moveCount) => {
     const result = evaluateGrid(newGrid, state.gridSize, state.gameMode, prevCompletedRows);
 
-    for (const r of result.newlyCompleted) {
+    result.newlyCompleted.forEach((r, i) => {
       trigger('success');
       dispatch({ type: GAME_ACTIONS.COMPLETE_ROW, payload: { rowIndex: r } });
-      const keys = Object.keys(POWER_UP_CONFIG);
-      const t = keys[Math.floor(Math.random() * keys.length)];
-      const cfg = POWER_UP_CONFIG[t];
+      // rowCompletionStreak counts rows completed this game, so it doubles as
+      // the drop index that keeps drops reproducible from the seed.
       dispatch({
         type: GAME_ACTIONS.ADD_POWER_UP,
-        payload: {
-          id: String(Date.now()) + '-' + Math.random().toString(36).slice(2, 8),
-          type: t, icon: cfg.icon, name: cfg.name,
-          description: cfg.description, effect: cfg.effect,
-        }
+        payload: createPowerUpDrop(state.seed, state.rowCompletionStreak + i, {
+          zen: state.isZen,
+          moveLimited: state.moveLimit != null,
+        }),
       });
-    }
+    });
 
     if (result.isWin) {
-      dispatch({
-        type: GAME_ACTIONS.SAVE_HIGH_SCORE,
-        payload: {
-          gameMode: state.gameMode,
-          gridSize: state.gridSize,
-          score: { moves: state.moveCount, time: 60 - state.timeRemaining, date: Date.now() }
-        }
-      });
+      // Stamp the clock at the winning move so the score keeps sub-second
+      // precision instead of the last whole-second tick.
+      const now = monotonicNow();
+      dispatch({ type: GAME_ACTIONS.TICK_CLOCK, payload: { now } });
+      // In survival a win just brings on the next board.
+      if (state.survival) {
+        const board = createSurvivalBoard(state.survival, state.gameMode, state.survival.boardsCleared + 1);
+        dispatch({ type: GAME_ACTIONS.NEXT_SURVIVAL_BOARD, payload: { board, now } });
+        return;
+      }
+      const score = {
+        moves,
+        time: elapsedSeconds(state.clock, now),
+        date: Date.now(),
+        seed: state.seed,
+        undos: state.undoCount,
+        difficulty: state.difficulty,
+      };
+      const record = winRecordAction(state, score, state.levelId ? findLevel(CAMPAIGN, state.levelId) : null);
+      if (record) dispatch(record);
       dispatch({ type: GAME_ACTIONS.SET_GAME_PHASE, payload: 'won' });
       return;
     }
@@ -487,37 +493,130 @@ const useGameEvaluation = (state, dispatch, trigger) => {
     if (result.isStrategicError && !state.strategicWarningShown) {
       dispatch({ type: GAME_ACTIONS.SHOW_STRATEGIC_WARNING });
     }
-  }, [dispatch, state.gridSize, state.gameMode, state.moveCount, state.timeRemaining, state.strategicWarningShown, trigger]);
+  }, [dispatch, state, trigger]);
 };
 
+// Uses a power-up from the tray: the reducer spends it, then its effect is
+// applied here, going through `evaluate` like a swipe when it moves tiles.
+const usePowerUps = (state, dispatch, evaluate, trigger) => useCallback((powerUp) => {
+  dispatch({ type: GAME_ACTIONS.USE_POWER_UP, payload: { powerUp, now: monotonicNow() } });
+  switch (powerUp.type) {
+    case 'FREEZE_TIME': {
+      // Extends the clock's budget; still capped at 300s remaining.
+      const now = monotonicNow();
+      const headroom = 300 - clockRemainingMs(state.clock, now) / 1000;
+      const seconds = Math.max(0, Math.min(POWER_UP_CONFIG.FREEZE_TIME.effect, headroom));
+      dispatch({ type: GAME_ACTIONS.ADD_TIME, payload: { seconds, now } });
+      trigger('success');
+      break;
+    }
+    case 'FREE_MOVES': {
+      dispatch({ type: GAME_ACTIONS.SET_FREE_MOVES, payload: POWER_UP_CONFIG.FREE_MOVES.effect });
+      trigger('light');
+      break;
+    }
+    case 'ROW_HINT': {
+      const bestRow = findHintRow(state.gridData, state.gridSize, state.gameMode);
+      if (bestRow !== null) {
+        dispatch({ type: GAME_ACTIONS.SET_HINT_ROW, payload: bestRow });
+        setTimeout(() => dispatch({ type: GAME_ACTIONS.CLEAR_HINT_ROW }), 5000);
+      }
+      break;
+    }
+    case 'AUTO_COMPLETE': {
+      const grid = autoCompleteGrid(state.gridData, state.gridSize, state.gameMode);
+      if (grid !== state.gridData) {
+        dispatch({ type: GAME_ACTIONS.APPLY_POWER_UP_GRID, payload: { gridData: grid, now: monotonicNow() } });
+        evaluate(grid, state.completedRows);
+      }
+      trigger('success');
+      break;
+    }
+    case 'TELEPORT_SWAP': {
+      const swap = findTeleportSwap(state.gridData, state.gridSize, state.gameMode);
+      if (swap) {
+        const newGrid = applySwap(state.gridData, swap[0], swap[1]);
+        dispatch({ type: GAME_ACTIONS.APPLY_POWER_UP_GRID, payload: { gridData: newGrid, now: monotonicNow() } });
+        evaluate(newGrid, state.completedRows);
+      }
+      trigger('success');
+      break;
+    }
+    default: break;
+  }
+}, [dispatch, state.clock, state.gridSize, state.gridData, state.gameMode, state.completedRows, trigger, evaluate]);
+
 // Persistence — lives only in root GridZen2 component
 const usePersistence = (state, dispatch) => {
   const saveData = useCallback(async () => {
     try {
       await AsyncStorage.setItem('gridzen2_v2_data', JSON.stringify({
+        version: SAVE_DATA_VERSION,
         leaderboards: state.leaderboards,
+        zenLeaderboards: state.zenLeaderboards,
+        dailyResults: state.dailyResults,
+        survivalBests: state.survivalBests,
+        campaignProgress: state.campaignProgress,
+        customPuzzles: state.customPuzzles,
+        ghosts: state.ghosts,
         isDarkTheme: state.isDarkTheme,
         musicEnabled: state.musicEnabled,
+        undoEnabled: state.undoEnabled,
+        inputMode: state.inputMode,
+        zenEnabled: state.zenEnabled,
+        difficulty: state.difficulty,
         gameMode: state.gameMode,
         gridSize: state.gridSize
       }));
     } catch (e) { console.log('Save error:', e); }
-  }, [state.leaderboards, state.isDarkTheme, state.musicEnabled, state.gameMode, state.gridSize]);
+  }, [state.leaderboards, state.zenLeaderboards, state.dailyResults, state.survivalBests, state.campaignProgress,
+    state.customPuzzles, state.ghosts, state.isDarkTheme, state.musicEnabled, state.undoEnabled, state.inputMode, state.zenEnabled,
+    state.difficulty, state.gameMode, state.gridSize]);
 
   const loadData = useCallback(async () => {
     try {
       const raw = await AsyncStorage.getItem('gridzen2_v2_data');
       if (!raw) return;
-      const d = JSON.parse(raw);
+      const d = migrateSavedData(JSON.parse(raw));
       if (d.leaderboards) {
         dispatch({ type: GAME_ACTIONS.LOAD_LEADERBOARDS, payload: d.leaderboards });
       }
+      if (d.zenLeaderboards) {
+        dispatch({ type: GAME_ACTIONS.LOAD_ZEN_LEADERBOARDS, payload: d.zenLeaderboards });
+      }
+      if (d.dailyResults) {
+        dispatch({ type: GAME_ACTIONS.LOAD_DAILY_RESULTS, payload: d.dailyResults });
+      }
+      if (d.survivalBests) {
+        dispatch({ type: GAME_ACTIONS.LOAD_SURVIVAL_BESTS, payload: d.survivalBests });
+      }
+      if (d.campaignProgress) {
+        dispatch({ type: GAME_ACTIONS.LOAD_CAMPAIGN_PROGRESS, payload: d.campaignProgress });
+      }
+      if (Array.isArray(d.customPuzzles)) {
+        dispatch({ type: GAME_ACTIONS.LOAD_CUSTOM_PUZZLES, payload: d.customPuzzles });
+      }
+      if (d.ghosts && typeof d.ghosts === 'object') {
+        dispatch({ type: GAME_ACTIONS.LOAD_GHOSTS, payload: d.ghosts });
+      }
       if (typeof d.isDarkTheme === 'boolean') {
         dispatch({ type: GAME_ACTIONS.SET_DARK_THEME, payload: d.isDarkTheme });
       }
       if (typeof d.musicEnabled === 'boolean') {
         dispatch({ type: GAME_ACTIONS.SET_MUSIC_ENABLED, payload: d.musicEnabled });
       }
+      if (typeof d.undoEnabled === 'boolean') {
+        dispatch({ type: GAME_ACTIONS.SET_UNDO_ENABLED, payload: d.undoEnabled });
+      }
+      if (d.inputMode === 'swipe' || d.inputMode === 'tap') {
+        dispatch({ type: GAME_ACTIONS.SET_INPUT_MODE, payload: d.inputMode });
+      }
+      if (typeof d.zenEnabled === 'boolean') {
+        dispatch({ type: GAME_ACTIONS.SET_ZEN_ENABLED, payload: d.zenEnabled });
+      }
+      if (DIFFICULTIES.includes(d.difficulty)) {
+        dispatch({ type: GAME_ACTIONS.SET_DIFFICULTY, payload: d.difficulty });
+      }
       if (d.gameMode) {
         dispatch({ type: GAME_ACTIONS.SET_GAME_MODE, payload: d.gameMode });
       }
@@ -527,9 +626,57 @@ const usePersistence = (state, dispatch) => {
     } catch (e) { console.log('Load error:', e); }
   }, [dispatch]);
 
-  useEffect(() => { loadData(); }, [loadData]);
+  // Whether the saved settings have been read (or found missing) yet.
+  const [loaded, setLoaded] = useState(false);
+  useEffect(() => { loadData().then(() => setLoaded(true)); }, [loadData]);
   useEffect(() => { saveData(); },
-    [state.leaderboards, state.isDarkTheme, state.musicEnabled, state.gameMode, state.gridSize, saveData]);
+    [state.leaderboards, state.zenLeaderboards, state.dailyResults, state.survivalBests, state.campaignProgress,
+      state.customPuzzles, state.ghosts, state.isDarkTheme, state.musicEnabled, state.undoEnabled, state.inputMode, state.zenEnabled,
+      state.difficulty, state.gameMode, state.gridSize, saveData]);
+  return loaded;
+};
+
+// In-progress game snapshot. Kept under its own key so the once-a-second
+// writes while playing don't re-serialize the leaderboards every tick.
+const SAVED_GAME_STORAGE_KEY = 'gridzen2_saved_game_v1';
+const useSavedGame = (state, dispatch) => {
+  // Whatever was left behind last session becomes the menu's "Resume game".
+  useEffect(() => {
+    (async () => {
+      try {
+        const raw = await AsyncStorage.getItem(SAVED_GAME_STORAGE_KEY);
+        if (!raw) return;
+        const snapshot = deserializeGame(JSON.parse(raw));
+        if (snapshot) dispatch({ type: GAME_ACTIONS.SET_SAVED_GAME, payload: snapshot });
+        else await AsyncStorage.removeItem(SAVED_GAME_STORAGE_KEY);
+      } catch (e) { console.log('Saved game load error:', e); }
+    })();
+  }, [dispatch]);
+
+  // Read through a ref so the save effect can list exactly the fields that
+  // matter instead of firing on every unrelated state change.
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  const isPlaying = state.gamePhase === 'playing';
+  useEffect(() => {
+    if (!isPlaying) return;
+    AsyncStorage.setItem(SAVED_GAME_STORAGE_KEY, JSON.stringify(serializeGame(stateRef.current, monotonicNow())))
+      .catch((e) => console.log('Saved game write error:', e));
+  }, [isPlaying, state.gridData, state.moveCount, state.timeRemaining, state.elapsedTime, state.completedRows,
+    state.availablePowerUps, state.freeMovesRemaining, state.undoCount, state.strategicWarningShown]);
+
+  // Leaving 'playing' — win, time-out or give up — means there's nothing to
+  // resume. The menu phase at launch doesn't count: that's not a transition.
+  const prevPhaseRef = useRef(state.gamePhase);
+  useEffect(() => {
+    const prev = prevPhaseRef.current;
+    prevPhaseRef.current = state.gamePhase;
+    if (prev === 'playing' && state.gamePhase !== 'playing') {
+      AsyncStorage.removeItem(SAVED_GAME_STORAGE_KEY)
+        .catch((e) => console.log('Saved game clear error:', e));
+    }
+  }, [state.gamePhase]);
 };
 
 // ============================================================================
@@ -537,7 +684,7 @@ const usePersistence = (state, dispatch) => {
 // so the rest of the app can fire 'cheer' on win and 'gameover' on time-up
 // without each component owning its own audio player.
 // ============================================================================
-const useGameAudio = (gamePhase, musicEnabled) => {
+const useGameAudio = (gamePhase, musicEnabled, isGamePaused) => {
   const music = useAudioPlayer(require('./assets/sounds/zen-sound.mp3'));
   const cheer = useAudioPlayer(require('./assets/sounds/Cheer.mp3'));
   const gameOver = useAudioPlayer(require('./assets/sounds/Game_over.mp3'));
@@ -557,7 +704,7 @@ const useGameAudio = (gamePhase, musicEnabled) => {
     if (music) { try { music.loop = true; } catch { } }
   }, [music]);
 
-  const shouldPlay = musicEnabled && gamePhase === 'playing';
+  const shouldPlay = musicEnabled && gamePhase === 'playing' && !isGamePaused;
 
   useEffect(() => {
     if (!music) return;
@@ -645,12 +792,56 @@ const useRatingPrompt = (gamePhase) => {
 // Components
 // ============================================================================
 
-const GameTile = React.memo(({ tile, index, gridSize, gameMode, isLocked, isCompleted, isHinted, onSwipe, theme }) => {
+// A tile's look, shared by the game grid and the editor.
+const tileGradient = (tile, gameMode, isCompleted) => {
+  if (isCompleted) return ['#4169E1', '#1E90FF', '#87CEEB'];
+  const base = gameMode === 'pattern' ? tile.pattern.color : tile.color;
+  return [base, base + 'dd', base + 'bb'];
+};
+
+const TileFace = ({ tile, gameMode, tileSize, theme }) => {
+  if (gameMode === 'classic') {
+    return (
+      <Text style={[styles.tileNumber, { fontSize: Math.min(28, tileSize / 2.5), color: '#000' }]}>
+        {tile.number}
+      </Text>
+    );
+  }
+  if (gameMode === 'color') return null;
+  return (
+    <Text
+      allowFontScaling={false}
+      style={[
+        styles.patternSymbol,
+        {
+          color: '#fff',
+          textShadowColor: theme.headerShadow,
+          textShadowOffset: { width: 0, height: 2 },
+          textShadowRadius: 3
+        }
+      ]}
+    >
+      {tile.pattern.symbol}
+    </Text>
+  );
+};
+
+// A tile moves by swipe (onSwipe) or, in tap mode, by tap (onTap, set only
+// then): GameGrid decides what a tap means, and isSelected marks the tile
+// waiting for its partner.
+const GameTile = React.memo(({ tile, index, tileSize, gameMode, isLocked, isCompleted, isHinted, isSelected, onSwipe, onTap, theme }) => {
   const trigger = useHaptic();
   const scale = useRef(new Animated.Value(1)).current;
 
-  const gridWidth = SCREEN_WIDTH * 0.8;
-  const tileSize = (gridWidth / gridSize) - 8;
+  useEffect(() => {
+    scale.stopAnimation();
+    Animated.timing(scale, { toValue: isSelected ? 1.06 : 1, duration: 110, useNativeDriver: true }).start();
+  }, [isSelected, scale]);
+
+  const handleTap = useCallback(() => {
+    trigger('light');
+    onTap(index);
+  }, [index, onTap, trigger]);
 
   const handleStateChange = useCallback(({ nativeEvent }) => {
     if (isLocked) return;
@@ -677,41 +868,40 @@ const GameTile = React.memo(({ tile, index, gridSize, gameMode, isLocked, isComp
     }
   }, [index, onSwipe, isLocked, trigger, scale]);
 
-  let gradientColors;
-  if (isCompleted) gradientColors = ['#4169E1', '#1E90FF', '#87CEEB'];
-  else if (gameMode === 'color') gradientColors = [tile.color, tile.color + 'dd', tile.color + 'bb'];
-  else if (gameMode === 'pattern') gradientColors = [tile.pattern.color, tile.pattern.color + 'dd', tile.pattern.color + 'bb'];
-  else gradientColors = [tile.color, tile.color + 'dd', tile.color + 'bb'];
-
-  const renderTileContent = () => {
-    if (gameMode === 'classic') {
-      return (
-        <Text style={[styles.tileNumber, { fontSize: Math.min(28, tileSize / 2.5), color: '#000' }]}>
-          {tile.number}
-        </Text>
-      );
-    } else if (gameMode === 'color') {
-      return null;
-    } else {
-      return (
-        <Text
-          allowFontScaling={false}
-          style={[
-            styles.patternSymbol,
-            {
-              color: '#fff',
-              textShadowColor: theme.headerShadow,
-              textShadowOffset: { width: 0, height: 2 },
-              textShadowRadius: 3
-            }
-          ]}
-        >
-          {tile.pattern.symbol}
-        </Text>
-      );
-    }
-  };
+  const gradientColors = tileGradient(tile, gameMode, isCompleted);
+  let borderColor = isCompleted ? '#1E90FF' : '#ffffff';
+  if (isHinted) borderColor = '#FFD400';
+  if (isSelected) borderColor = '#00E676';
+
+  const face = (
+    <Animated.View style={[styles.tileContainer, { width: tileSize, height: tileSize, transform: [{ scale }] }]}>
+      <LinearGradient
+        colors={gradientColors}
+        style={[
+          styles.tile3D,
+          {
+            width: tileSize,
+            height: tileSize,
+            borderColor,
+            borderWidth: isHinted || isSelected ? 3 : 1
+          }
+        ]}
+        start={{ x: 0, y: 0 }}
+        end={{ x: 1, y: 1 }}
+      >
+        <TileFace tile={tile} gameMode={gameMode} tileSize={tileSize} theme={theme} />
+        {isLocked && <View style={styles.lockIcon}><Text style={styles.lockEmoji}>🔒</Text></View>}
+      </LinearGradient>
+    </Animated.View>
+  );
 
+  if (onTap) {
+    return (
+      <TouchableOpacity activeOpacity={0.85} onPress={handleTap} disabled={isLocked}>
+        {face}
+      </TouchableOpacity>
+    );
+  }
   return (
     <PanGestureHandler
       onHandlerStateChange={handleStateChange}
@@ -719,46 +909,39 @@ const GameTile = React.memo(({ tile, index, gridSize, gameMode, isLocked, isComp
       activeOffsetY={[-14, 14]}
       enabled={!isLocked}
     >
-      <Animated.View style={[styles.tileContainer, { width: tileSize, height: tileSize, transform: [{ scale }] }]}>
-        <LinearGradient
-          colors={gradientColors}
-          style={[
-            styles.tile3D,
-            {
-              width: tileSize,
-              height: tileSize,
-              borderColor: isHinted ? '#FFD400' : (isCompleted ? '#1E90FF' : '#ffffff'),
-              borderWidth: isHinted ? 3 : 1
-            }
-          ]}
-          start={{ x: 0, y: 0 }}
-          end={{ x: 1, y: 1 }}
-        >
-          {renderTileContent()}
-          {isLocked && <View style={styles.lockIcon}><Text style={styles.lockEmoji}>🔒</Text></View>}
-        </LinearGradient>
-      </Animated.View>
+      {face}
     </PanGestureHandler>
   );
 });
 
-const GameGrid = ({ state, dispatch, theme, evaluate }) => {
+// `state` and `dispatch` are one game's, so several grids can run at once,
+// each on its own game (see RaceScreen). `inputMode` is the player's setting
+// ('swipe' or 'tap'); either way a move ends up in trySwap.
+const GameGrid = ({ state, dispatch, theme, evaluate, width = SCREEN_WIDTH * 0.8, inputMode = 'swipe' }) => {
   const trigger = useHaptic();
+  // Tap mode: the tile tapped first, waiting for a neighbour to swap with.
+  const [selected, setSelected] = useState(null);
 
   const performSwap = useCallback((fromIndex, toIndex) => {
     trigger('medium');
-    dispatch({ type: GAME_ACTIONS.SWAP_TILES, payload: { fromIndex, toIndex } });
-    if (state.freeMovesRemaining > 0) dispatch({ type: GAME_ACTIONS.CONSUME_FREE_MOVE });
+    dispatch({ type: GAME_ACTIONS.SWAP_TILES, payload: { fromIndex, toIndex, now: monotonicNow() } });
+    const free = state.freeMovesRemaining > 0;
+    if (free) dispatch({ type: GAME_ACTIONS.CONSUME_FREE_MOVE });
     else dispatch({ type: GAME_ACTIONS.INCREMENT_MOVES });
 
     const newGrid = applySwap(state.gridData, fromIndex, toIndex);
-    evaluate(newGrid, state.completedRows);
-  }, [dispatch, state.gridData, state.freeMovesRemaining, state.completedRows, trigger, evaluate]);
+    evaluate(newGrid, state.completedRows, free ? state.moveCount : state.moveCount + 1);
+  }, [dispatch, state.gridData, state.freeMovesRemaining, state.moveCount, state.completedRows, trigger, evaluate]);
 
-  const onSwipe = useCallback((index, direction) => {
+  // Locked rows are closed from both sides: swapping into one would break a
+  // row the game has already counted (and that the solver assumes holds).
+  const trySwap = useCallback((fromIndex, toIndex) => {
     if (state.gamePhase !== 'playing') return;
-    if (state.lockedTiles.has(index)) return;
+    if (fromIndex === toIndex || state.lockedTiles.has(fromIndex) || state.lockedTiles.has(toIndex)) return;
+    performSwap(fromIndex, toIndex);
+  }, [state.gamePhase, state.lockedTiles, performSwap]);
 
+  const onSwipe = useCallback((index, direction) => {
     const row = Math.floor(index / state.gridSize);
     const col = index % state.gridSize;
     let r = row, c = col;
@@ -769,15 +952,35 @@ const GameGrid = ({ state, dispatch, theme, evaluate }) => {
       case 'right': c = Math.min(state.gridSize - 1, col + 1); break;
       default: break;
     }
-    const target = r * state.gridSize + c;
-    if (target !== index) performSwap(index, target);
-  }, [state.gamePhase, state.gridSize, state.lockedTiles, performSwap]);
+    trySwap(index, r * state.gridSize + c);
+  }, [state.gridSize, trySwap]);
+
+  // First tap selects; a tap on a neighbour swaps with it, on the selected
+  // tile deselects it, and anywhere else moves the selection there.
+  const onTap = useCallback((index) => {
+    if (state.gamePhase !== 'playing') return;
+    const n = state.gridSize;
+    const rowGap = Math.abs(Math.floor(selected / n) - Math.floor(index / n));
+    const colGap = Math.abs((selected % n) - (index % n));
+    if (selected != null && rowGap + colGap === 1) {
+      trySwap(selected, index);
+      setSelected(null);
+    } else {
+      setSelected(index === selected ? null : index);
+    }
+  }, [state.gamePhase, state.gridSize, selected, trySwap]);
+
+  // A selection doesn't outlive the game, or survive a switch to swiping.
+  useEffect(() => {
+    if (state.gamePhase !== 'playing' || inputMode !== 'tap') setSelected(null);
+  }, [state.gamePhase, inputMode]);
 
   // Plain View grid — FlatList overhead is wasted on 16-36 static items, and
   // the prior implementation re-rendered every tile on every state change.
+  const tileSize = (width / state.gridSize) - 8;
   return (
     <View style={styles.gridContainer}>
-      <View style={[styles.gridFlex, { width: SCREEN_WIDTH * 0.8 }]}>
+      <View style={[styles.gridFlex, { width }]}>
         {state.gridData.map((tile, index) => {
           const rowIndex = Math.floor(index / state.gridSize);
           return (
@@ -785,12 +988,14 @@ const GameGrid = ({ state, dispatch, theme, evaluate }) => {
               key={tile.id || index}
               tile={tile}
               index={index}
-              gridSize={state.gridSize}
+              tileSize={tileSize}
               gameMode={state.gameMode}
               isLocked={state.lockedTiles.has(index)}
               isCompleted={state.completedRows.has(rowIndex)}
               isHinted={state.hintRowIndex === rowIndex}
+              isSelected={selected === index}
               onSwipe={onSwipe}
+              onTap={inputMode === 'tap' ? onTap : undefined}
               theme={theme}
             />
           );
@@ -828,8 +1033,14 @@ const GAME_MODE_CONFIG = {
   pattern: { emoji: '🧩', name: 'SHAPES', description: 'Fill each row with matching symbols.' }
 };
 
-const ToggleChip = ({ onPress, label, chipBg, chipText }) => (
-  <TouchableOpacity onPress={onPress} style={[styles.toggleChip, { backgroundColor: chipBg }]}>
+const DIFFICULTY_LABELS = { easy: 'Easy', medium: 'Medium', hard: 'Hard' };
+
+const ToggleChip = ({ onPress, label, chipBg, chipText, disabled = false }) => (
+  <TouchableOpacity
+    onPress={onPress}
+    disabled={disabled}
+    style={[styles.toggleChip, { backgroundColor: chipBg, opacity: disabled ? 0.4 : 1 }]}
+  >
     <Text style={[styles.toggleChipText, { color: chipText }]}>{label}</Text>
   </TouchableOpacity>
 );
@@ -840,7 +1051,19 @@ const ToggleChip = ({ onPress, label, chipBg, chipText }) => (
 // a direct "Play Again" CTA. Player loses the worst part of native modals
 // (looks like an error, blocks taps until dismissed, no styling).
 // ============================================================================
-const ResultOverlay = ({ visible, kind, moves, time, rowsCompleted, totalRows, onPlayAgain, onMenu, accentGradient }) => {
+// A friend challenge's verdict, from the recipient's side.
+const VERSUS_VERDICTS = {
+  won: 'You beat them!',
+  lost: 'They win this one',
+  tied: 'Dead heat',
+};
+
+// One side of a friend challenge, as the result overlay lists it.
+const describeResult = (result, totalRows) => (result.solved
+  ? `✓ ${result.moves} moves · ${formatSeconds(result.time)}`
+  : `${result.rows}/${totalRows} rows · ${result.moves} moves`);
+
+const ResultOverlay = ({ visible, kind, moves, moveLimit, survival, time, rowsCompleted, totalRows, par, parEstimate, seed, difficulty, isDaily, levelName, playerName, playAgainLabel, onPlayAgain, onRetry, onReplay, onShare, onShareResult, versus, onFriendReplay, onSendChallenge, onScores, onMenu, accentGradient }) => {
   const fade = useRef(new Animated.Value(0)).current;
   useEffect(() => {
     Animated.timing(fade, {
@@ -852,6 +1075,8 @@ const ResultOverlay = ({ visible, kind, moves, time, rowsCompleted, totalRows, o
 
   if (!visible) return null;
   const isWin = kind === 'won';
+  const rating = isWin ? rateRun(moves, par) : null;
+  const moveLimited = moveLimit != null;
 
   return (
     <Animated.View
@@ -865,35 +1090,117 @@ const ResultOverlay = ({ visible, kind, moves, time, rowsCompleted, totalRows, o
           end={{ x: 1, y: 1 }}
           style={styles.overlayHeader}
         >
+          {isDaily && <Text style={styles.overlayKicker}>DAILY PUZZLE</Text>}
+          {levelName ? (
+            <Text style={styles.overlayKicker}>{levelName.toUpperCase()}</Text>
+          ) : moveLimited && <Text style={styles.overlayKicker}>MOVE CHALLENGE</Text>}
+          {survival && <Text style={styles.overlayKicker}>SURVIVAL</Text>}
+          {versus && <Text style={styles.overlayKicker}>FRIEND CHALLENGE</Text>}
+          {playerName && <Text style={styles.overlayKicker}>{playerName.toUpperCase()}'S TURN</Text>}
           <Text style={styles.overlayTitle}>
-            {isWin ? 'Solved' : "Time's up"}
+            {isWin ? 'Solved' : (playerName && 'Turn over') || (moveLimited ? 'Out of moves' : "Time's up")}
           </Text>
           <Text style={styles.overlaySubtitle}>
             {isWin ? 'Nice work — every row complete.' : 'So close. Want another shot?'}
           </Text>
         </LinearGradient>
 
-        <View style={styles.overlayStats}>
-          <View style={styles.overlayStatCol}>
-            <Text style={styles.overlayStatValue}>{moves}</Text>
-            <Text style={styles.overlayStatLabel}>Moves</Text>
+        {survival ? (
+          <View style={styles.overlayStats}>
+            <View style={styles.overlayStatCol}>
+              <Text style={styles.overlayStatValue}>{survival.boards}</Text>
+              <Text style={styles.overlayStatLabel}>Boards</Text>
+            </View>
+            <View style={styles.overlayStatDivider} />
+            <View style={styles.overlayStatCol}>
+              <Text style={styles.overlayStatValue}>{survival.rows}</Text>
+              <Text style={styles.overlayStatLabel}>Rows</Text>
+            </View>
+            <View style={styles.overlayStatDivider} />
+            <View style={styles.overlayStatCol}>
+              <Text style={styles.overlayStatValue}>{survival.score}</Text>
+              <Text style={styles.overlayStatLabel}>Score</Text>
+            </View>
           </View>
-          <View style={styles.overlayStatDivider} />
-          <View style={styles.overlayStatCol}>
-            <Text style={styles.overlayStatValue}>{time}s</Text>
-            <Text style={styles.overlayStatLabel}>{isWin ? 'Time used' : 'Time left'}</Text>
+        ) : (
+          <View style={styles.overlayStats}>
+            <View style={styles.overlayStatCol}>
+              <Text style={styles.overlayStatValue}>{moveLimited ? `${moves}/${moveLimit}` : moves}</Text>
+              <Text style={styles.overlayStatLabel}>Moves</Text>
+            </View>
+            <View style={styles.overlayStatDivider} />
+            <View style={styles.overlayStatCol}>
+              <Text style={styles.overlayStatValue}>{formatSeconds(time)}</Text>
+              <Text style={styles.overlayStatLabel}>{isWin || moveLimited ? 'Time used' : 'Time left'}</Text>
+            </View>
+            <View style={styles.overlayStatDivider} />
+            <View style={styles.overlayStatCol}>
+              <Text style={styles.overlayStatValue}>{rowsCompleted}/{totalRows}</Text>
+              <Text style={styles.overlayStatLabel}>Rows</Text>
+            </View>
           </View>
-          <View style={styles.overlayStatDivider} />
-          <View style={styles.overlayStatCol}>
-            <Text style={styles.overlayStatValue}>{rowsCompleted}/{totalRows}</Text>
-            <Text style={styles.overlayStatLabel}>Rows</Text>
+        )}
+
+        {/* Par is the solver's best for this board; wins are rated against it.
+            Unless the solver proved it minimal, it's marked as an estimate. */}
+        {par != null && (
+          <Text style={styles.overlayPar}>
+            {parEstimate ? `Est. par ~${par}` : `Par ${par}`}{rating ? `  ·  ${'★'.repeat(rating.stars)}${'☆'.repeat(3 - rating.stars)}  ${rating.label}` : ''}
+          </Text>
+        )}
+
+        {versus && (
+          <View style={styles.versus}>
+            <Text style={styles.versusVerdict}>{VERSUS_VERDICTS[versus.outcome]}</Text>
+            <Text style={styles.versusLine}>Them  ·  {describeResult(versus.theirs, totalRows)}</Text>
+            <Text style={styles.versusLine}>You  ·  {describeResult(versus.yours, totalRows)}</Text>
           </View>
-        </View>
+        )}
+
+        {/* Seed lets a player quote the exact board in a bug report. Levels
+            are named instead. Seeded boards are made to a difficulty, so the
+            seed names the board only together with it. */}
+        {!levelName && (
+          <Text style={styles.overlaySeed}>Board #{seed}{difficulty ? ` · ${DIFFICULTY_LABELS[difficulty]}` : ''}</Text>
+        )}
 
         <TouchableOpacity style={styles.overlayPrimary} onPress={onPlayAgain}>
-          <Text style={styles.overlayPrimaryText}>Play Again</Text>
+          <Text style={styles.overlayPrimaryText}>{playAgainLabel || (isDaily ? 'Play a Regular Game' : 'Play Again')}</Text>
+        </TouchableOpacity>
+        {onRetry && (
+          <TouchableOpacity style={styles.overlaySecondary} onPress={onRetry}>
+            <Text style={styles.overlaySecondaryText}>↻ Same Board</Text>
+          </TouchableOpacity>
+        )}
+        {onReplay && (
+          <TouchableOpacity style={[styles.overlaySecondary, onRetry && styles.overlaySecondaryTight]} onPress={onReplay}>
+            <Text style={styles.overlaySecondaryText}>▶ Watch Replay</Text>
+          </TouchableOpacity>
+        )}
+        {isWin && (
+          <TouchableOpacity style={[styles.overlaySecondary, (onRetry || onReplay) && styles.overlaySecondaryTight]} onPress={onShareResult}>
+            <Text style={styles.overlaySecondaryText}>📤 Share Result</Text>
+          </TouchableOpacity>
+        )}
+        {onShare && (
+          <TouchableOpacity style={[styles.overlaySecondary, (onReplay || isWin) && styles.overlaySecondaryTight]} onPress={onShare}>
+            <Text style={styles.overlaySecondaryText}>🔗 Challenge a Friend</Text>
+          </TouchableOpacity>
+        )}
+        {onFriendReplay && (
+          <TouchableOpacity style={[styles.overlaySecondary, styles.overlaySecondaryTight]} onPress={onFriendReplay}>
+            <Text style={styles.overlaySecondaryText}>👀 Watch Their Run</Text>
+          </TouchableOpacity>
+        )}
+        {onSendChallenge && (
+          <TouchableOpacity style={[styles.overlaySecondary, styles.overlaySecondaryTight]} onPress={onSendChallenge}>
+            <Text style={styles.overlaySecondaryText}>📦 Send Challenge File</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={[styles.overlaySecondary, (onReplay || onShare || onSendChallenge) && styles.overlaySecondaryTight]} onPress={onScores}>
+          <Text style={styles.overlaySecondaryText}>🏆 Leaderboard</Text>
         </TouchableOpacity>
-        <TouchableOpacity style={styles.overlaySecondary} onPress={onMenu}>
+        <TouchableOpacity style={[styles.overlaySecondary, styles.overlaySecondaryTight]} onPress={onMenu}>
           <Text style={styles.overlaySecondaryText}>Back to Menu</Text>
         </TouchableOpacity>
       </View>
@@ -901,10 +1208,31 @@ const ResultOverlay = ({ visible, kind, moves, time, rowsCompleted, totalRows, o
   );
 };
 
+// Pause overlay. Opaque, unlike the other overlays, and GameScreen stops
+// rendering the grid underneath it, so pausing can't be used to study the
+// board off the clock.
+const PauseOverlay = ({ visible, onResume, onGiveUp }) => {
+  if (!visible) return null;
+  return (
+    <View style={[styles.overlay, styles.pauseOverlay]} pointerEvents="auto">
+      <View style={styles.confirmCard}>
+        <Text style={styles.confirmTitle}>Paused</Text>
+        <Text style={styles.confirmBody}>The clock is stopped. Pick up where you left off whenever you're ready.</Text>
+        <TouchableOpacity style={styles.confirmPrimary} onPress={onResume}>
+          <Text style={styles.confirmPrimaryText}>Resume</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.confirmDestructive} onPress={onGiveUp}>
+          <Text style={styles.confirmDestructiveText}>Give Up</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
 // Give-up confirmation. Same visual family as ResultOverlay so the win/loss
 // and quit moments share a consistent vocabulary, but with a green Return
 // and red Give Up pill so the colors carry the choice direction.
-const GiveUpConfirmOverlay = ({ visible, onCancel, onConfirm }) => {
+const GiveUpConfirmOverlay = ({ visible, onCancel, onConfirm, message = "You'll lose your progress and return to the menu." }) => {
   const fade = useRef(new Animated.Value(0)).current;
   useEffect(() => {
     Animated.timing(fade, {
@@ -920,9 +1248,7 @@ const GiveUpConfirmOverlay = ({ visible, onCancel, onConfirm }) => {
     <Animated.View style={[styles.overlay, { opacity: fade }]} pointerEvents="auto">
       <View style={styles.confirmCard}>
         <Text style={styles.confirmTitle}>Are you sure?</Text>
-        <Text style={styles.confirmBody}>
-          You'll lose your progress and return to the menu.
-        </Text>
+        <Text style={styles.confirmBody}>{message}</Text>
         <TouchableOpacity style={styles.confirmPrimary} onPress={onCancel}>
           <Text style={styles.confirmPrimaryText}>Return to Game</Text>
         </TouchableOpacity>
@@ -974,9 +1300,199 @@ const StrategicWarningToast = ({ visible, onDismiss, topInset }) => {
   );
 };
 
+// ============================================================================
+// Scores — top-10 per mode and grid size, as saved by SAVE_HIGH_SCORE. Shown
+// as a full-screen panel (visiblePanel === 'scores') over whichever screen
+// opened it, so closing it drops the player back on the menu or the result
+// overlay without remounting the game.
+// ============================================================================
+const formatScoreDate = (ts) => {
+  try { return new Date(ts).toLocaleDateString(); } catch { return ''; }
+};
+
+// Records migrated from the old 60s-based accounting are approximate; '~'
+// marks them and '—' marks ones whose time couldn't be recovered.
+const formatScoreTime = (entry) => {
+  if (entry.time == null) return '—';
+  return `${entry.timeApprox ? '~' : ''}${formatSeconds(entry.time)}`;
+};
+
+// Runs that used undo show how many times, e.g. '24 ↶3'.
+const formatScoreMoves = (entry) => (entry.undos ? `${entry.moves} ↶${entry.undos}` : `${entry.moves}`);
+
+const ScoresScreen = ({ state, dispatch }) => {
+  const insets = useSafeAreaInsets();
+  const theme = useMemo(() => makeTheme(state.isDarkTheme), [state.isDarkTheme]);
+  const [mode, setMode] = useState(state.lastSavedScore?.gameMode || state.gameMode);
+  const [size, setSize] = useState(state.lastSavedScore?.gridSize || state.gridSize);
+  const [zen, setZen] = useState(state.lastSavedScore?.zen ?? state.zenEnabled);
+
+  const boards = zen ? state.zenLeaderboards : state.leaderboards;
+  const entries = boards[mode]?.[`${size}x${size}`] || [];
+  const last = state.lastSavedScore;
+  const isLast = (entry) =>
+    !!last && last.gameMode === mode && last.gridSize === size && !!last.zen === zen && last.date === entry.date;
+
+  const close = useCallback(() => dispatch({ type: GAME_ACTIONS.HIDE_PANEL }), [dispatch]);
+
+  return (
+    <View style={[styles.overlay, styles.scoresScreen, { backgroundColor: theme.bg, paddingTop: insets.top + 12, paddingBottom: insets.bottom + 12 }]}>
+      <Text style={[styles.scoresTitle, { color: theme.text }]}>Leaderboard</Text>
+
+      <View style={styles.scoresTabs}>
+        {Object.entries(GAME_MODE_CONFIG).map(([m, cfg]) => (
+          <TouchableOpacity
+            key={m}
+            onPress={() => setMode(m)}
+            style={[styles.scoresTab, { backgroundColor: mode === m ? '#4CAF50' : theme.chipBg }]}
+          >
+            <Text style={[styles.scoresTabText, { color: mode === m ? '#fff' : theme.chipText }]}>{cfg.emoji} {cfg.name}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <View style={styles.scoresTabs}>
+        {[4, 5, 6].map(n => (
+          <TouchableOpacity
+            key={n}
+            onPress={() => setSize(n)}
+            style={[styles.scoresTab, { backgroundColor: size === n ? '#4CAF50' : theme.chipBg }]}
+          >
+            <Text style={[styles.scoresTabText, { color: size === n ? '#fff' : theme.chipText }]}>{n}x{n}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <View style={styles.scoresTabs}>
+        {[false, true].map(z => (
+          <TouchableOpacity
+            key={String(z)}
+            onPress={() => setZen(z)}
+            style={[styles.scoresTab, { backgroundColor: zen === z ? '#4CAF50' : theme.chipBg }]}
+          >
+            <Text style={[styles.scoresTabText, { color: zen === z ? '#fff' : theme.chipText }]}>{z ? '🧘 Zen' : '⏱ Timed'}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={[styles.scoresTable, { backgroundColor: theme.card }]}>
+        <View style={styles.scoresRow}>
+          <Text style={[styles.scoresHead, styles.scoresRank, { color: theme.subText }]}>#</Text>
+          <Text style={[styles.scoresHead, styles.scoresCell, { color: theme.subText }]}>MOVES</Text>
+          <Text style={[styles.scoresHead, styles.scoresCell, { color: theme.subText }]}>TIME</Text>
+          <Text style={[styles.scoresHead, styles.scoresLevel, { color: theme.subText }]}>LEVEL</Text>
+          <Text style={[styles.scoresHead, styles.scoresDate, { color: theme.subText }]}>DATE</Text>
+        </View>
+        {entries.length === 0 && (
+          <Text style={[styles.scoresEmpty, { color: theme.subText }]}>No scores yet — solve a board to get on the list.</Text>
+        )}
+        {entries.map((entry, i) => {
+          const highlight = isLast(entry);
+          const color = highlight ? '#fff' : theme.text;
+          return (
+            <View key={`${entry.date}-${i}`} style={[styles.scoresRow, highlight && styles.scoresRowHighlight]}>
+              <Text style={[styles.scoresValue, styles.scoresRank, { color }]}>{i + 1}</Text>
+              <Text style={[styles.scoresValue, styles.scoresCell, { color }]}>{formatScoreMoves(entry)}</Text>
+              <Text style={[styles.scoresValue, styles.scoresCell, { color }]}>{formatScoreTime(entry)}</Text>
+              <Text style={[styles.scoresValue, styles.scoresLevel, { color }]}>{DIFFICULTY_LABELS[entry.difficulty] || '—'}</Text>
+              <Text style={[styles.scoresValue, styles.scoresDate, { color }]}>{formatScoreDate(entry.date)}</Text>
+            </View>
+          );
+        })}
+      </View>
+
+      <TouchableOpacity style={styles.scoresClose} onPress={close}>
+        <Text style={styles.scoresCloseText}>Done</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// ============================================================================
+// Replay viewer — plays the recorded game back on a read-only GameGrid (it
+// ignores swipes outside the 'playing' phase). Gaps between events are
+// clamped so a long think doesn't stall playback or a burst of swipes blur
+// together, then divided by the chosen speed.
+// ============================================================================
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const REPLAY_MIN_GAP_MS = 150;
+const REPLAY_MAX_GAP_MS = 1500;
+const noop = () => {};
+
+const replayEventLabel = (event) => {
+  if (!event) return '';
+  if (event[1] === 'p') {
+    const cfg = POWER_UP_CONFIG[event[2]];
+    return cfg ? `${cfg.icon} ${cfg.name}` : '';
+  }
+  if (event[1] === 'u') return '↶ Undo';
+  if (event[1] === 'r') return '↷ Redo';
+  return '';
+};
+
+const ReplayViewer = ({ replay, state, theme, onClose }) => {
+  const frames = useMemo(() => buildReplayFrames(replay), [replay]);
+  const [index, setIndex] = useState(0);
+  const [speed, setSpeed] = useState(1);
+  const [isPlaying, setIsPlaying] = useState(true);
+  const atEnd = index >= frames.length - 1;
+
+  useEffect(() => {
+    if (!isPlaying || atEnd) return undefined;
+    const gap = frames[index + 1].t - frames[index].t;
+    const delay = Math.min(REPLAY_MAX_GAP_MS, Math.max(REPLAY_MIN_GAP_MS, gap)) / speed;
+    const id = setTimeout(() => setIndex(i => i + 1), delay);
+    return () => clearTimeout(id);
+  }, [isPlaying, atEnd, index, frames, speed]);
+
+  const playPause = useCallback(() => {
+    if (atEnd) { setIndex(0); setIsPlaying(true); }
+    else setIsPlaying(p => !p);
+  }, [atEnd]);
+
+  const frame = frames[index];
+  const gridState = useMemo(() => ({
+    ...state,
+    gridData: frame.gridData,
+    completedRows: frame.completedRows,
+    lockedTiles: frame.lockedTiles,
+    hintRowIndex: null,
+    gamePhase: 'replay',
+  }), [state, frame]);
+
+  let playLabel = isPlaying ? '⏸  Pause' : '▶  Play';
+  if (atEnd) playLabel = '↺  Restart';
+
+  return (
+    <View>
+      <Text style={[styles.replayStatus, { color: theme.subText }]}>
+        REPLAY · {index}/{frames.length - 1} · {(frame.t / 1000).toFixed(1)}s  {replayEventLabel(frame.event)}
+      </Text>
+      <GameGrid state={gridState} dispatch={noop} theme={theme} evaluate={noop} />
+      <View style={styles.toggleRow}>
+        <ToggleChip onPress={playPause} label={playLabel} chipBg={theme.chipBg} chipText={theme.chipText} />
+        {REPLAY_SPEEDS.map(s => (
+          <ToggleChip
+            key={s}
+            onPress={() => setSpeed(s)}
+            label={`${s}x`}
+            chipBg={s === speed ? '#4CAF50' : theme.chipBg}
+            chipText={s === speed ? '#fff' : theme.chipText}
+          />
+        ))}
+        <ToggleChip onPress={onClose} label="✕  Close" chipBg={theme.chipBg} chipText={theme.chipText} />
+      </View>
+    </View>
+  );
+};
+
 // ============================================================================
 // GameScreen
 // ============================================================================
+const GHOST_STANDING = {
+  ahead: { label: '▲ Ahead', color: '#4CAF50' },
+  level: { label: '● Level', color: '#FFB300' },
+  behind: { label: '▼ Behind', color: '#FF3B30' },
+};
+
 const GameScreen = ({ state, dispatch, isAdFree }) => {
   const confettiRef = useRef(null);
   const confettiFiredRef = useRef(false);
@@ -985,158 +1501,86 @@ const GameScreen = ({ state, dispatch, isAdFree }) => {
   const theme = useMemo(() => makeTheme(state.isDarkTheme), [state.isDarkTheme]);
   const evaluate = useGameEvaluation(state, dispatch, trigger);
   const [giveUpConfirmVisible, setGiveUpConfirmVisible] = useState(false);
+  // The replay the viewer is showing (this game's, or a friend challenge's
+  // sender's), or null while it's closed.
+  const [shownReplay, setShownReplay] = useState(null);
 
   useGameTimer(state, dispatch);
+  useMoveLimit(state, dispatch);
+  useAutoPause(state, dispatch);
 
+  // A daily that runs out of time still spends the day's attempt; record the
+  // loss so the menu can show it.
   useEffect(() => {
-    if (state.gamePhase === 'won' && confettiRef.current && !confettiFiredRef.current) {
-      confettiFiredRef.current = true;
-      confettiRef.current.start();
-    } else if (state.gamePhase !== 'won') {
-      confettiFiredRef.current = false;
-    }
-  }, [state.gamePhase]);
-
-  const handleUsePowerUp = useCallback((powerUp) => {
-    dispatch({ type: GAME_ACTIONS.USE_POWER_UP, payload: powerUp });
-    switch (powerUp.type) {
-      case 'FREEZE_TIME': {
-        const t = Math.min(state.timeRemaining + POWER_UP_CONFIG.FREEZE_TIME.effect, 300);
-        dispatch({ type: GAME_ACTIONS.SET_TIME, payload: t });
-        trigger('success');
-        break;
-      }
-      case 'FREE_MOVES': {
-        dispatch({ type: GAME_ACTIONS.SET_FREE_MOVES, payload: POWER_UP_CONFIG.FREE_MOVES.effect });
-        trigger('light');
-        break;
+    if (state.gamePhase !== 'gameOver' || !state.dailyKey || state.isRetry) return;
+    dispatch({
+      type: GAME_ACTIONS.RECORD_DAILY_RESULT,
+      payload: {
+        dateKey: state.dailyKey,
+        gameMode: state.gameMode,
+        gridSize: state.gridSize,
+        result: { status: 'lost', moves: state.moveCount, rows: state.completedRows.size, date: Date.now(), seed: state.seed },
       }
-      case 'ROW_HINT': {
-        let bestRow = null; let bestScore = -1;
-        for (let r = 0; r < state.gridSize; r++) {
-          if (checkRowCompletion(state.gridData, state.gridSize, r, state.gameMode)) continue;
-          const start = r * state.gridSize;
-          const row = state.gridData.slice(start, start + state.gridSize);
-          let score = 0;
-          if (state.gameMode === 'classic') {
-            score = row.reduce((acc, tile, i) => acc + (tile.number === start + i + 1 ? 1 : 0), 0);
-          } else if (state.gameMode === 'color') {
-            const target = row[0].targetColor;
-            score = row.reduce((acc, tile) => acc + (tile.color === target ? 1 : 0), 0);
-          } else {
-            const counts = {};
-            row.forEach(t => { counts[t.pattern.name] = (counts[t.pattern.name] || 0) + 1; });
-            score = Math.max(...Object.values(counts));
-          }
-          if (score > bestScore) { bestScore = score; bestRow = r; }
-        }
-        if (bestRow !== null) {
-          dispatch({ type: GAME_ACTIONS.SET_HINT_ROW, payload: bestRow });
-          setTimeout(() => dispatch({ type: GAME_ACTIONS.CLEAR_HINT_ROW }), 5000);
-        }
-        break;
-      }
-      case 'AUTO_COMPLETE': {
-        // Build a local grid and apply each fix to it, so the next iteration
-        // sees the most recent swap. Old version re-read state.gridData each
-        // iteration — that closure was stale and could undo prior swaps.
-        let fixes = POWER_UP_CONFIG.AUTO_COMPLETE.effect;
-        const size = state.gridSize;
-        const mode = state.gameMode;
-        let grid = state.gridData.slice();
-        if (mode === 'classic') {
-          for (let i = 0; i < grid.length && fixes > 0; i++) {
-            if (grid[i].number !== i + 1) {
-              const j = grid.findIndex(t => t.number === i + 1);
-              if (j !== -1 && j !== i) { grid = applySwap(grid, i, j); fixes--; }
-            }
-          }
-        } else if (mode === 'color') {
-          for (let r = 0; r < size && fixes > 0; r++) {
-            const start = r * size;
-            const row = grid.slice(start, start + size);
-            const target = row[0].targetColor;
-            const wrongIdx = row.findIndex(t => t.color !== target);
-            if (wrongIdx !== -1) {
-              const globalWrong = start + wrongIdx;
-              const donor = grid.findIndex((t, idx) => Math.floor(idx / size) !== r && t.color === target);
-              if (donor !== -1) { grid = applySwap(grid, globalWrong, donor); fixes--; }
-            }
-          }
-        } else {
-          for (let r = 0; r < size && fixes > 0; r++) {
-            const start = r * size;
-            const row = grid.slice(start, start + size);
-            const counts = {};
-            row.forEach(t => { counts[t.pattern.name] = (counts[t.pattern.name] || 0) + 1; });
-            const targetName = Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
-            const wrongIdx = row.findIndex(t => t.pattern.name !== targetName);
-            if (wrongIdx !== -1) {
-              const globalWrong = start + wrongIdx;
-              const donor = grid.findIndex((t, idx) =>
-                Math.floor(idx / size) !== r && t.pattern.name === targetName
-              );
-              if (donor !== -1) { grid = applySwap(grid, globalWrong, donor); fixes--; }
-            }
-          }
-        }
-        if (grid !== state.gridData) {
-          dispatch({ type: GAME_ACTIONS.SET_GRID_DATA, payload: grid });
-          evaluate(grid, state.completedRows);
-        }
-        trigger('success');
-        break;
-      }
-      case 'TELEPORT_SWAP': {
-        let grid = state.gridData;
-        let swap = null;
-        if (state.gameMode === 'classic') {
-          for (let i = 0; i < grid.length; i++) {
-            if (grid[i].number !== i + 1) {
-              const j = grid.findIndex(t => t.number === i + 1);
-              if (j !== -1 && j !== i) { swap = [i, j]; break; }
-            }
-          }
-        } else if (state.gameMode === 'color') {
-          for (let r = 0; r < state.gridSize; r++) {
-            const start = r * state.gridSize;
-            const row = grid.slice(start, start + state.gridSize);
-            const target = row[0].targetColor;
-            const wrong = row.findIndex(t => t.color !== target);
-            if (wrong !== -1) {
-              const globalWrong = start + wrong;
-              const donor = grid.findIndex((t, idx) => Math.floor(idx / state.gridSize) !== r && t.color === target);
-              if (donor !== -1) { swap = [globalWrong, donor]; break; }
-            }
-          }
-        } else {
-          for (let r = 0; r < state.gridSize; r++) {
-            const start = r * state.gridSize;
-            const row = grid.slice(start, start + state.gridSize);
-            const counts = {};
-            row.forEach(t => { counts[t.pattern.name] = (counts[t.pattern.name] || 0) + 1; });
-            const targetName = Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
-            const wrongIdx = row.findIndex(t => t.pattern.name !== targetName);
-            if (wrongIdx !== -1) {
-              const globalWrong = start + wrongIdx;
-              const donor = grid.findIndex((t, idx) =>
-                Math.floor(idx / state.gridSize) !== r && t.pattern.name === targetName
-              );
-              if (donor !== -1) { swap = [globalWrong, donor]; break; }
-            }
-          }
-        }
-        if (swap) {
-          const newGrid = applySwap(grid, swap[0], swap[1]);
-          dispatch({ type: GAME_ACTIONS.SET_GRID_DATA, payload: newGrid });
-          evaluate(newGrid, state.completedRows);
-        }
-        trigger('success');
-        break;
+    });
+    // Only the phase transition matters; the rest is read at that moment.
+  }, [state.gamePhase, state.dailyKey]);
+
+  // A survival run only ends on time, so that's when it's scored.
+  useEffect(() => {
+    if (state.gamePhase !== 'gameOver' || !state.survival) return;
+    dispatch({
+      type: GAME_ACTIONS.RECORD_SURVIVAL_RUN,
+      payload: {
+        gameMode: state.gameMode,
+        result: {
+          score: survivalScore(state.survival, state.completedRows.size),
+          boards: state.survival.boardsCleared,
+          rows: state.survival.rowsCleared + state.completedRows.size,
+          date: Date.now(),
+        },
       }
-      default: break;
+    });
+    // Only the phase transition matters; the rest is read at that moment.
+  }, [state.gamePhase, state.survival]);
+
+  // A win becomes the board's ghost if it's the best run on it yet.
+  useEffect(() => {
+    if (state.gamePhase !== 'won' || !state.replay) return;
+    const key = ghostKey(state);
+    if (!key) return;
+    dispatch({
+      type: GAME_ACTIONS.RECORD_GHOST,
+      payload: { key, ghost: createGhost(state.replay, { moves: state.moveCount, time: state.elapsedTime }) },
+    });
+    // Only the phase transition matters; the rest is read at that moment.
+  }, [state.gamePhase]);
+
+  // A pass-and-play turn is over however the game ended: solved, out of
+  // time or given up.
+  useEffect(() => {
+    if ((state.gamePhase !== 'won' && state.gamePhase !== 'gameOver') || !state.session) return;
+    dispatch({
+      type: GAME_ACTIONS.RECORD_SESSION_TURN,
+      payload: {
+        solved: state.gamePhase === 'won',
+        moves: state.moveCount,
+        time: state.elapsedTime,
+        rows: state.completedRows.size,
+      },
+    });
+    // Only the phase transition matters; recording changes the session.
+  }, [state.gamePhase]);
+
+  useEffect(() => {
+    if (state.gamePhase === 'won' && confettiRef.current && !confettiFiredRef.current) {
+      confettiFiredRef.current = true;
+      confettiRef.current.start();
+    } else if (state.gamePhase !== 'won') {
+      confettiFiredRef.current = false;
     }
-  }, [dispatch, state.timeRemaining, state.gridSize, state.gridData, state.gameMode, state.completedRows, trigger, evaluate]);
+  }, [state.gamePhase]);
+
+  const handleUsePowerUp = usePowerUps(state, dispatch, evaluate, trigger);
 
   const toggleTheme = useCallback(() => {
     dispatch({ type: GAME_ACTIONS.SET_DARK_THEME, payload: !state.isDarkTheme });
@@ -1146,9 +1590,29 @@ const GameScreen = ({ state, dispatch, isAdFree }) => {
     dispatch({ type: GAME_ACTIONS.SET_MUSIC_ENABLED, payload: !state.musicEnabled });
   }, [dispatch, state.musicEnabled]);
 
+  const undo = useCallback(() => {
+    trigger('light');
+    dispatch({ type: GAME_ACTIONS.UNDO_MOVE, payload: { now: monotonicNow() } });
+  }, [dispatch, trigger]);
+
+  const redo = useCallback(() => {
+    trigger('light');
+    dispatch({ type: GAME_ACTIONS.REDO_MOVE, payload: { now: monotonicNow() } });
+  }, [dispatch, trigger]);
+
+  const pauseGame = useCallback(() => {
+    trigger('light');
+    dispatch({ type: GAME_ACTIONS.PAUSE_GAME, payload: { now: monotonicNow() } });
+  }, [dispatch, trigger]);
+
+  const resumeGame = useCallback(() => {
+    dispatch({ type: GAME_ACTIONS.RESUME_GAME, payload: { now: monotonicNow() } });
+  }, [dispatch]);
+
   const quitToMenu = useCallback(() => {
+    if (state.session) dispatch({ type: GAME_ACTIONS.SET_SESSION, payload: null });
     dispatch({ type: GAME_ACTIONS.SET_GAME_PHASE, payload: 'menu' });
-  }, [dispatch]);
+  }, [dispatch, state.session]);
 
   // Give Up shows a custom confirm overlay; the post-game ResultOverlay's
   // "Back to Menu" calls quitToMenu directly because there's nothing left
@@ -1162,27 +1626,214 @@ const GameScreen = ({ state, dispatch, isAdFree }) => {
     setGiveUpConfirmVisible(false);
   }, []);
 
+  // In pass-and-play, giving up only ends this player's turn.
   const acceptGiveUp = useCallback(() => {
     setGiveUpConfirmVisible(false);
-    quitToMenu();
-  }, [quitToMenu]);
+    if (state.session) dispatch({ type: GAME_ACTIONS.SET_GAME_PHASE, payload: 'gameOver' });
+    else quitToMenu();
+  }, [quitToMenu, dispatch, state.session]);
+
+  // After a campaign level, "again" means the next level once this one is
+  // cleared, or another try at it. Custom puzzles are only ever retried.
+  const level = state.levelId ? findLevel(CAMPAIGN, state.levelId) : state.puzzle;
+  const followingLevel = level && state.gamePhase === 'won' ? nextLevel(CAMPAIGN, level.id) : null;
 
+  const [startChallenge, preparingChallenge] = useChallengeStarter(dispatch);
   const playAgain = useCallback(() => {
-    const gridData = createGridData(state.gridSize, state.gameMode, true);
+    if (state.session) {
+      dispatch({ type: GAME_ACTIONS.SHOW_PANEL, payload: 'session' });
+      return;
+    }
+    if (level) {
+      startLevel(dispatch, followingLevel || level);
+      return;
+    }
+    if (state.survival) {
+      startSurvivalRun(dispatch, state.gameMode);
+      return;
+    }
+    if (state.moveLimit != null) {
+      startChallenge(state.gridSize, state.gameMode, state.difficulty);
+      return;
+    }
+    const seed = randomSeed();
+    const gridData = createGridFromSeed(state.gridSize, state.gameMode, seed, state.difficulty);
     dispatch({ type: GAME_ACTIONS.SET_GRID_DATA, payload: gridData });
-    dispatch({ type: GAME_ACTIONS.START_NEW_GAME });
-    dispatch({ type: GAME_ACTIONS.SET_TIME, payload: TIME_FOR_SIZE[state.gridSize] || 60 });
-  }, [dispatch, state.gridSize, state.gameMode]);
+    dispatch({
+      type: GAME_ACTIONS.START_NEW_GAME,
+      payload: { seed, now: monotonicNow(), timeLimit: TIME_FOR_SIZE[state.gridSize] || 60, zen: state.zenEnabled },
+    });
+  }, [dispatch, level, followingLevel, state.gridSize, state.gameMode, state.difficulty, state.zenEnabled, state.moveLimit,
+    state.survival, state.session, startChallenge]);
+
+  // The board just played, from the start, to race its ghost. Only for
+  // boards that come round again under the same ghost (see ghostKey) and
+  // that playAgain doesn't already repeat: levels retry themselves. A daily
+  // keeps its key so it still reads as the daily, but as a retry it leaves
+  // the day's result alone.
+  const canRetry = !!state.replay && !!ghostKey(state) && !level && !state.puzzle;
+  const retryBoard = useCallback(() => {
+    const { replay } = state;
+    dispatch({ type: GAME_ACTIONS.SET_GRID_DATA, payload: createGridFromLayout(replay.size, replay.mode, replay.layout) });
+    dispatch({
+      type: GAME_ACTIONS.START_NEW_GAME,
+      payload: {
+        seed: state.seed,
+        now: monotonicNow(),
+        timeLimit: TIME_FOR_SIZE[state.gridSize] || 60,
+        zen: state.isZen,
+        moveLimit: state.moveLimit,
+        friendChallenge: state.friendChallenge,
+        dailyKey: state.dailyKey,
+        retry: true,
+      },
+    });
+  }, [dispatch, state]);
+
+  const showScores = useCallback(() => {
+    dispatch({ type: GAME_ACTIONS.SHOW_PANEL, payload: 'scores' });
+  }, [dispatch]);
+
+  const openReplay = useCallback(() => setShownReplay(state.replay), [state.replay]);
+  const openFriendReplay = useCallback(() => setShownReplay(state.friendChallenge.replay), [state.friendChallenge]);
+  const closeReplay = useCallback(() => setShownReplay(null), []);
+
+  // A new game closes any replay left open from the last one.
+  useEffect(() => {
+    if (state.gamePhase === 'playing') setShownReplay(null);
+  }, [state.gamePhase]);
 
   const dismissStrategicWarning = useCallback(() => {
     dispatch({ type: GAME_ACTIONS.HIDE_STRATEGIC_WARNING });
   }, [dispatch]);
 
   const showResultOverlay = state.gamePhase === 'won' || state.gamePhase === 'gameOver';
-  const initialTime = TIME_FOR_SIZE[state.gridSize] || 60;
-  const timeStat = state.gamePhase === 'won'
-    ? initialTime - state.timeRemaining
+  // A level's par comes with it, worked out around its locked rows.
+  const solvedPar = usePar(state.replay, showResultOverlay && !level);
+  const par = level ? level.par : (solvedPar?.moves ?? null);
+  const parEstimate = !level && !!solvedPar && !solvedPar.optimal;
+  // The difficulty the board was made to from its seed (see
+  // createGridFromSeed), for the games whose boards are.
+  const boardDifficulty = state.dailyKey || state.survival || level || state.puzzle || state.friendChallenge
+    ? null
+    : state.difficulty;
+  const moveLimited = state.moveLimit != null;
+  const timeStat = state.gamePhase === 'won' || moveLimited
+    ? state.elapsedTime
     : state.timeRemaining;
+  const survivalResult = state.survival && {
+    boards: state.survival.boardsCleared,
+    rows: state.survival.rowsCleared + state.completedRows.size,
+    score: survivalScore(state.survival, state.completedRows.size),
+  };
+
+  // Whose pass-and-play turn just ended (the session has moved on to the
+  // next player by the time the overlay shows), and what comes next.
+  const { session } = state;
+  const sessionPlayer = session && session.players[session.turn - 1];
+  let sessionLabel = null;
+  if (session) sessionLabel = isSessionOver(session) ? 'See Results' : `Pass to ${currentPlayer(session).name}`;
+
+  // Shares the board just played, levels and puzzles as they are, anything
+  // else from its starting layout with the same limit. Par is solved first if
+  // the overlay hasn't got it yet.
+  const shareBoard = useCallback(() => {
+    const { replay } = state;
+    const moves = state.gamePhase === 'won' ? state.moveCount : null;
+    if (level) {
+      sharePuzzle(level, moves);
+      return;
+    }
+    if (!replay) return;
+    const share = boardPar => sharePuzzle(puzzleFromReplay(replay, {
+      timeLimit: TIME_FOR_SIZE[replay.size] || 60,
+      moveLimit: state.moveLimit,
+      par: boardPar,
+      name: `${GAME_MODE_CONFIG[replay.mode].name} ${replay.size}x${replay.size}`,
+    }), moves);
+    if (par != null) share(par);
+    else solveGridAsync(createGridFromLayout(replay.size, replay.mode, replay.layout), replay.size, replay.mode).promise
+      .then(solved => share(solved.moves));
+  }, [state, level, par]);
+
+  // Shares a win as a text card with the solved board as an emoji mosaic.
+  const shareResult = useCallback(() => {
+    let label = null;
+    if (level) label = level.name;
+    else if (state.dailyKey) label = state.isRetry ? `Daily ${state.dailyKey} (retry)` : `Daily ${state.dailyKey}`;
+    else if (state.moveLimit != null) label = 'Move Challenge';
+    else if (state.isZen) label = 'Zen';
+    const message = formatResultCard({
+      modeName: GAME_MODE_CONFIG[state.gameMode].name,
+      size: state.gridSize,
+      label,
+      moves: state.moveCount,
+      time: state.elapsedTime,
+      par,
+      parEstimate,
+      layout: gridLayout(state.gridData),
+    });
+    Share.share({ message }).catch(e => console.log('Share error:', e));
+  }, [state, level, par, parEstimate]);
+
+  // How this game ended, as pass-and-play results and friend challenges
+  // record it.
+  const ownResult = useMemo(() => ({
+    solved: state.gamePhase === 'won',
+    moves: state.moveCount,
+    time: state.elapsedTime,
+    rows: state.completedRows.size,
+  }), [state.gamePhase, state.moveCount, state.elapsedTime, state.completedRows]);
+
+  // Sends the finished game as a friend challenge. Only for boards anyone
+  // can be dealt: levels and puzzles have locked rows and names of their
+  // own (share those as puzzles), and survival and pass-and-play boards
+  // belong to their run.
+  const canSendChallenge = !!state.replay && !level && !state.puzzle && !state.survival && !state.session;
+  // Every pass-and-play player gets the same board, so its replay and its
+  // puzzle stay hidden for the whole session: otherwise the next player
+  // could watch the last one solve it.
+  const canShowBoard = !state.session;
+  const sendChallenge = useCallback(() => {
+    shareFriendChallenge(createFriendChallenge({
+      replay: state.replay,
+      rules: { timeLimit: TIME_FOR_SIZE[state.gridSize] || 60, moveLimit: state.moveLimit, zen: state.isZen },
+      score: ownResult,
+    }));
+  }, [state.replay, state.gridSize, state.moveLimit, state.isZen, ownResult]);
+
+  const versus = state.friendChallenge && showResultOverlay
+    ? {
+      outcome: friendChallengeOutcome(state.friendChallenge, ownResult),
+      theirs: state.friendChallenge.score,
+      yours: ownResult,
+    }
+    : null;
+
+  let sideLabel = 'MOVES';
+  let sideValue = state.moveCount;
+  if (moveLimited) {
+    sideLabel = 'TIME';
+    sideValue = `${Math.floor(state.elapsedTime)}s`;
+  } else if (state.survival) {
+    sideLabel = 'BOARD';
+    sideValue = state.survival.boardsCleared + 1;
+  }
+  let heroLabel = 'TIME';
+  let heroValue = `${state.timeRemaining}s`;
+  if (moveLimited) {
+    heroLabel = 'MOVES LEFT';
+    heroValue = Math.max(0, state.moveLimit - state.moveCount);
+  } else if (state.isZen) {
+    heroLabel = 'ZEN';
+    heroValue = `${Math.floor(state.elapsedTime)}s`;
+  }
+
+  // The best run on this board so far, raced live under the header.
+  const boardKey = ghostKey(state);
+  const ghost = boardKey && state.gamePhase === 'playing' ? state.ghosts[boardKey] : null;
+  const ghostNow = ghost && ghostAt(ghost, state.elapsedTime * 1000);
+  const standing = ghost && ghostStanding(ghost, state.elapsedTime * 1000, state.completedRows.size);
 
   return (
     <View style={[styles.gameContainer, { backgroundColor: theme.bg }]}>
@@ -1210,15 +1861,22 @@ const GameScreen = ({ state, dispatch, isAdFree }) => {
         />
       </View>
 
-      {/* Header: time hero, moves and rows secondary */}
+      {/* Header: time hero, moves and rows secondary. A move challenge
+          swaps the first two: moves left is the hero, time played secondary.
+          Survival shows which board of the run this is instead of moves. */}
       <View style={styles.gameHeader}>
         <View style={styles.headerColSecondary}>
-          <Text style={[styles.headerStatLabel, { color: theme.subText }]}>MOVES</Text>
-          <Text style={[styles.headerStatValueSm, { color: theme.text }]}>{state.moveCount}</Text>
+          <Text style={[styles.headerStatLabel, { color: theme.subText }]}>{sideLabel}</Text>
+          <Text style={[styles.headerStatValueSm, { color: theme.text }]}>{sideValue}</Text>
         </View>
         <View style={styles.headerColPrimary}>
-          <Text style={[styles.headerStatLabel, { color: theme.subText }]}>TIME</Text>
-          <Text style={[styles.headerStatValueLg, { color: theme.text }]}>{state.timeRemaining}s</Text>
+          <Text style={[styles.headerStatLabel, { color: theme.subText }]}>{heroLabel}</Text>
+          <Text style={[styles.headerStatValueLg, { color: theme.text }]}>{heroValue}</Text>
+          {moveLimited && state.freeMovesRemaining > 0 && (
+            <Text style={[styles.headerStatLabel, { color: theme.subText }]}>
+              {POWER_UP_CONFIG.FREE_MOVES.icon} +{state.freeMovesRemaining} free
+            </Text>
+          )}
         </View>
         <View style={styles.headerColSecondary}>
           <Text style={[styles.headerStatLabel, { color: theme.subText }]}>ROWS</Text>
@@ -1226,10 +1884,58 @@ const GameScreen = ({ state, dispatch, isAdFree }) => {
             {state.completedRows.size}/{state.gridSize}
           </Text>
         </View>
+        <TouchableOpacity
+          onPress={pauseGame}
+          disabled={state.gamePhase !== 'playing'}
+          style={[styles.pauseButton, { backgroundColor: theme.chipBg }]}
+          accessibilityRole="button"
+          accessibilityLabel="Pause game"
+        >
+          <Text style={[styles.pauseButtonText, { color: theme.chipText }]}>⏸</Text>
+        </TouchableOpacity>
       </View>
 
-      {/* Grid */}
-      <GameGrid state={state} dispatch={dispatch} theme={theme} evaluate={evaluate} />
+      {ghost && (
+        <View style={[styles.ghostRow, { backgroundColor: theme.chipBg }]}>
+          <Text style={[styles.ghostText, { color: theme.subText }]}>
+            👻 {ghostNow.finished
+              ? `Best: solved in ${ghost.moves} moves`
+              : `Best: ${ghostNow.rows}/${state.gridSize} rows · ${ghostNow.moves} moves`}
+          </Text>
+          <Text style={[styles.ghostStanding, { color: GHOST_STANDING[standing].color }]}>
+            {GHOST_STANDING[standing].label}
+          </Text>
+        </View>
+      )}
+
+      {/* Grid — not rendered while paused so the board can't be studied.
+          After the game, the replay viewer takes its place on request. */}
+      {shownReplay ? (
+        <ReplayViewer replay={shownReplay} state={state} theme={theme} onClose={closeReplay} />
+      ) : !state.isGamePaused && (
+        <GameGrid state={state} dispatch={dispatch} theme={theme} evaluate={evaluate} inputMode={state.inputMode} />
+      )}
+
+      {/* Undo / redo — hidden entirely when the setting is off, so scored
+          runs are undo-free rather than merely undo-discouraged */}
+      {state.undoEnabled && !state.isGamePaused && !shownReplay && (
+        <View style={styles.toggleRow}>
+          <ToggleChip
+            onPress={undo}
+            disabled={state.gamePhase !== 'playing' || !canUndo(state)}
+            label="↶  Undo"
+            chipBg={theme.chipBg}
+            chipText={theme.chipText}
+          />
+          <ToggleChip
+            onPress={redo}
+            disabled={state.gamePhase !== 'playing' || !canRedo(state)}
+            label="↷  Redo"
+            chipBg={theme.chipBg}
+            chipText={theme.chipText}
+          />
+        </View>
+      )}
 
       {/* Power-ups */}
       <PowerUpDisplay powerUps={state.availablePowerUps} onUse={handleUsePowerUp} theme={theme} />
@@ -1271,20 +1977,45 @@ const GameScreen = ({ state, dispatch, isAdFree }) => {
         topInset={insets.top}
       />
 
+      <PauseOverlay
+        visible={state.isGamePaused && state.gamePhase === 'playing' && !giveUpConfirmVisible}
+        onResume={resumeGame}
+        onGiveUp={openGiveUpConfirm}
+      />
+
       <GiveUpConfirmOverlay
         visible={giveUpConfirmVisible}
         onCancel={cancelGiveUp}
         onConfirm={acceptGiveUp}
+        message={state.session ? 'Your turn ends here with the rows you have.' : undefined}
       />
 
       <ResultOverlay
-        visible={showResultOverlay}
+        visible={showResultOverlay && !shownReplay}
         kind={state.gamePhase}
         moves={state.moveCount}
+        moveLimit={state.moveLimit}
+        survival={survivalResult}
         time={timeStat}
         rowsCompleted={state.completedRows.size}
         totalRows={state.gridSize}
+        par={par}
+        parEstimate={parEstimate}
+        seed={state.seed}
+        difficulty={boardDifficulty}
+        isDaily={!!state.dailyKey}
+        levelName={level?.name}
+        playerName={sessionPlayer?.name}
+        playAgainLabel={(preparingChallenge && 'Preparing…') || sessionLabel || (level && (followingLevel ? 'Next Level' : 'Retry Level'))}
         onPlayAgain={playAgain}
+        onReplay={canShowBoard && state.replay ? openReplay : undefined}
+        onRetry={canRetry ? retryBoard : undefined}
+        onShare={canShowBoard && (level || state.replay) ? shareBoard : undefined}
+        onShareResult={shareResult}
+        versus={versus}
+        onFriendReplay={state.friendChallenge ? openFriendReplay : undefined}
+        onSendChallenge={canSendChallenge ? sendChallenge : undefined}
+        onScores={showScores}
         onMenu={quitToMenu}
         accentGradient={gradientForMode(state.gameMode)}
       />
@@ -1292,18 +2023,799 @@ const GameScreen = ({ state, dispatch, isAdFree }) => {
   );
 };
 
+// ============================================================================
+// Campaign — the level pack in order, with each level's best stars. Locked
+// levels show a padlock until the one before is cleared. A full-screen panel
+// like Scores (visiblePanel === 'campaign').
+// ============================================================================
+const formatLevelLimit = (level) => (level.moveLimit != null ? `${level.moveLimit} moves` : `${level.timeLimit}s`);
+
+const CampaignScreen = ({ state, dispatch }) => {
+  const insets = useSafeAreaInsets();
+  const theme = useMemo(() => makeTheme(state.isDarkTheme), [state.isDarkTheme]);
+  const progress = state.campaignProgress;
+
+  const close = useCallback(() => dispatch({ type: GAME_ACTIONS.HIDE_PANEL }), [dispatch]);
+  const play = useCallback((level) => {
+    dispatch({ type: GAME_ACTIONS.HIDE_PANEL });
+    startLevel(dispatch, level);
+  }, [dispatch]);
+
+  return (
+    <View style={[styles.overlay, styles.scoresScreen, { backgroundColor: theme.bg, paddingTop: insets.top + 12, paddingBottom: insets.bottom + 12 }]}>
+      <Text style={[styles.scoresTitle, { color: theme.text }]}>Campaign</Text>
+      <Text style={[styles.campaignTotal, { color: theme.subText }]}>
+        ★ {campaignStars(progress)} / {CAMPAIGN.levels.length * 3}
+      </Text>
+
+      <FlatList
+        style={styles.campaignList}
+        data={CAMPAIGN.levels}
+        keyExtractor={level => level.id}
+        renderItem={({ item: level, index }) => {
+          const unlocked = isLevelUnlocked(CAMPAIGN, progress, level.id);
+          const stars = progress[level.id] || 0;
+          return (
+            <TouchableOpacity
+              onPress={() => play(level)}
+              disabled={!unlocked}
+              style={[styles.campaignRow, { backgroundColor: theme.card }, !unlocked && styles.buttonDisabled]}
+              accessibilityRole="button"
+              accessibilityLabel={unlocked ? `Level ${index + 1}, ${level.name}, ${stars} stars` : `Level ${index + 1}, locked`}
+            >
+              <Text style={[styles.campaignNumber, { color: theme.subText }]}>{index + 1}</Text>
+              <View style={styles.campaignInfo}>
+                <Text style={[styles.campaignName, { color: theme.text }]}>{level.name}</Text>
+                <Text style={[styles.campaignDetail, { color: theme.subText }]}>
+                  {GAME_MODE_CONFIG[level.mode]?.emoji} {level.size}x{level.size} • {formatLevelLimit(level)}
+                </Text>
+              </View>
+              <Text style={styles.campaignStars}>
+                {unlocked ? `${'★'.repeat(stars)}${'☆'.repeat(3 - stars)}` : '🔒'}
+              </Text>
+            </TouchableOpacity>
+          );
+        }}
+      />
+
+      <TouchableOpacity style={styles.scoresClose} onPress={close}>
+        <Text style={styles.scoresCloseText}>Done</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// ============================================================================
+// Puzzle editor — build a board by hand: pick mode and size, tap two tiles to
+// swap them, tap a complete row in lock mode to pre-lock it, set a time or
+// move limit. Check runs the solver, and only a puzzle it can solve can be
+// saved, played or exported as a puzzle string (see engine/puzzle.js).
+// A full-screen panel (visiblePanel === 'editor').
+// ============================================================================
+const EDITOR_LIMIT_STEPS = { time: 10, moves: 1 };
+const EDITOR_LIMIT_RANGE = { time: [10, 600], moves: [1, 999] };
+
+const solvedLayout = (size) => Array.from({ length: size * size }, (_, i) => i);
+
+const EditorScreen = ({ state, dispatch }) => {
+  const insets = useSafeAreaInsets();
+  const theme = useMemo(() => makeTheme(state.isDarkTheme), [state.isDarkTheme]);
+  const [mode, setMode] = useState(state.gameMode);
+  const [size, setSize] = useState(state.gridSize);
+  const [layout, setLayout] = useState(() => solvedLayout(state.gridSize));
+  const [lockedRows, setLockedRows] = useState([]);
+  const [name, setName] = useState('');
+  const [limitKind, setLimitKind] = useState('time');
+  const [limit, setLimit] = useState(TIME_FOR_SIZE[state.gridSize] || 60);
+  const [selected, setSelected] = useState(null);
+  const [lockMode, setLockMode] = useState(false);
+  // The saved puzzle being edited, if any, so saving replaces it.
+  const [editingId, setEditingId] = useState(null);
+  // Result of the last check: { ok, par } or { ok: false, error }, or a
+  // plain { message }. Any edit clears it.
+  const [status, setStatus] = useState(null);
+  const [exported, setExported] = useState(null);
+  // The last validation and the board it was run on. Save, Play and Export
+  // after a Check reuse it rather than solving the same board again. Solving
+  // takes seconds on big boards, so it runs a slice at a time: `result` is
+  // null and `checking` true until it's done.
+  const validated = useRef(null);
+  const [checking, setChecking] = useState(false);
+
+  const grid = useMemo(() => createGridFromLayout(size, mode, layout), [size, mode, layout]);
+  const completeRows = useMemo(() => evaluateGrid(grid, size, mode, new Set()).completedRowsAfter, [grid, size, mode]);
+
+  const changed = useCallback(() => {
+    setStatus(null);
+    setExported(null);
+  }, []);
+
+  const resetBoard = useCallback((nextSize) => {
+    setLayout(solvedLayout(nextSize));
+    setLockedRows([]);
+    setSelected(null);
+    changed();
+  }, [changed]);
+
+  const pickMode = useCallback((m) => { setMode(m); resetBoard(size); }, [resetBoard, size]);
+  const pickSize = useCallback((n) => {
+    setSize(n);
+    if (limitKind === 'time') setLimit(TIME_FOR_SIZE[n] || 60);
+    resetBoard(n);
+  }, [resetBoard, limitKind]);
+
+  const tapTile = useCallback((index) => {
+    const row = Math.floor(index / size);
+    if (lockMode) {
+      if (lockedRows.includes(row)) setLockedRows(rows => rows.filter(r => r !== row));
+      else if (completeRows.has(row)) setLockedRows(rows => rows.concat([row]).sort());
+      else { setStatus({ message: 'Only a complete row can be locked.' }); return; }
+      changed();
+      return;
+    }
+    if (lockedRows.includes(row)) return;
+    if (selected === null) { setSelected(index); return; }
+    if (selected !== index) {
+      setLayout((prev) => {
+        const next = prev.slice();
+        [next[selected], next[index]] = [next[index], next[selected]];
+        return next;
+      });
+      changed();
+    }
+    setSelected(null);
+  }, [size, lockMode, lockedRows, completeRows, selected, changed]);
+
+  const shuffle = useCallback(() => {
+    setLayout(prev => scrambleLayout(prev, size, lockedRows));
+    setSelected(null);
+    changed();
+  }, [size, lockedRows, changed]);
+
+  const pickLimitKind = useCallback((kind) => {
+    setLimitKind(kind);
+    setLimit(kind === 'time' ? TIME_FOR_SIZE[size] || 60 : 30);
+    changed();
+  }, [size, changed]);
+
+  const stepLimit = useCallback((dir) => {
+    const [min, max] = EDITOR_LIMIT_RANGE[limitKind];
+    setLimit(v => Math.min(max, Math.max(min, v + dir * EDITOR_LIMIT_STEPS[limitKind])));
+    changed();
+  }, [limitKind, changed]);
+
+  // An edit to the board or its limit, or closing the editor, abandons a
+  // check still running on the old board.
+  useEffect(() => () => {
+    if (validated.current && !validated.current.result) {
+      validated.current.check.cancel();
+      validated.current = null;
+      setChecking(false);
+    }
+  }, [mode, size, layout, lockedRows, limitKind, limit]);
+
+  // The puzzle as it stands, with par filled in if it checks out, or null
+  // if it doesn't (or the check was abandoned).
+  const check = useCallback(async () => {
+    const draft = {
+      id: editingId || `custom-${Date.now()}`,
+      name: name.trim() || 'Custom Puzzle',
+      mode,
+      size,
+      layout,
+      lockedRows,
+      ...(limitKind === 'time' ? { timeLimit: limit } : { moveLimit: limit }),
+    };
+    // Name and time limit don't affect validation, so they aren't keyed.
+    const key = [mode, size, layout.join(','), lockedRows.join(','), draft.moveLimit].join('|');
+    if (validated.current?.key !== key) validated.current = { key, check: validatePuzzleAsync(draft), result: null };
+    const run = validated.current;
+    if (!run.result) {
+      setChecking(true);
+      const result = await run.check.promise;
+      if (!result) return null;
+      run.result = result;
+      setChecking(false);
+    }
+    const { result } = run;
+    setStatus(result);
+    return result.ok ? { ...draft, par: result.par } : null;
+  }, [editingId, name, mode, size, layout, lockedRows, limitKind, limit]);
+
+  const save = useCallback(async () => {
+    const puzzle = await check();
+    if (!puzzle) return;
+    dispatch({ type: GAME_ACTIONS.SAVE_CUSTOM_PUZZLE, payload: puzzle });
+    setEditingId(puzzle.id);
+    setStatus({ ok: true, par: puzzle.par, message: 'Saved.' });
+  }, [check, dispatch]);
+
+  const play = useCallback(async () => {
+    const puzzle = await check();
+    if (!puzzle) return;
+    dispatch({ type: GAME_ACTIONS.HIDE_PANEL });
+    startLevel(dispatch, puzzle);
+  }, [check, dispatch]);
+
+  const exportPuzzle = useCallback(async () => {
+    const puzzle = await check();
+    if (!puzzle) return;
+    setExported(encodePuzzle(puzzle));
+    sharePuzzle(puzzle);
+  }, [check]);
+
+  const edit = useCallback((puzzle) => {
+    setMode(puzzle.mode);
+    setSize(puzzle.size);
+    setLayout(puzzle.layout);
+    setLockedRows(puzzle.lockedRows || []);
+    setName(puzzle.name);
+    setLimitKind(puzzle.moveLimit != null ? 'moves' : 'time');
+    setLimit(puzzle.moveLimit ?? puzzle.timeLimit);
+    setEditingId(puzzle.id);
+    setSelected(null);
+    setLockMode(false);
+    changed();
+  }, [changed]);
+
+  const close = useCallback(() => dispatch({ type: GAME_ACTIONS.HIDE_PANEL }), [dispatch]);
+
+  const tileSize = (SCREEN_WIDTH * 0.8) / size - 8;
+  let statusText = status?.message || null;
+  if (checking) statusText = 'Checking…';
+  else if (status?.error) statusText = `✕ ${status.error}`;
+  else if (status?.ok) {
+    const par = status.par != null ? `par ${status.par}` : 'par unproven';
+    statusText = `✓ Solvable — ${par}${status.message ? `. ${status.message}` : ''}`;
+  }
+
+  return (
+    <View style={[styles.overlay, styles.scoresScreen, { backgroundColor: theme.bg, paddingTop: insets.top + 12, paddingBottom: insets.bottom + 12 }]}>
+      <ScrollView contentContainerStyle={styles.editorContent}>
+        <Text style={[styles.scoresTitle, { color: theme.text }]}>Puzzle Editor</Text>
+
+        <View style={styles.scoresTabs}>
+          {Object.entries(GAME_MODE_CONFIG).map(([m, cfg]) => (
+            <TouchableOpacity
+              key={m}
+              onPress={() => pickMode(m)}
+              style={[styles.scoresTab, { backgroundColor: mode === m ? '#4CAF50' : theme.chipBg }]}
+            >
+              <Text style={[styles.scoresTabText, { color: mode === m ? '#fff' : theme.chipText }]}>{cfg.emoji} {cfg.name}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <View style={styles.scoresTabs}>
+          {[4, 5, 6].map(n => (
+            <TouchableOpacity
+              key={n}
+              onPress={() => pickSize(n)}
+              style={[styles.scoresTab, { backgroundColor: size === n ? '#4CAF50' : theme.chipBg }]}
+            >
+              <Text style={[styles.scoresTabText, { color: size === n ? '#fff' : theme.chipText }]}>{n}x{n}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <Text style={[styles.editorHint, { color: theme.subText }]}>
+          {lockMode ? 'Tap a complete row to lock or unlock it.' : 'Tap two tiles to swap them.'}
+        </Text>
+        <View style={[styles.gridFlex, { width: SCREEN_WIDTH * 0.8 }]}>
+          {grid.map((tile, index) => {
+            const row = Math.floor(index / size);
+            const isLocked = lockedRows.includes(row);
+            return (
+              <TouchableOpacity
+                key={tile.id}
+                onPress={() => tapTile(index)}
+                style={[styles.tileContainer, { width: tileSize, height: tileSize }]}
+              >
+                <LinearGradient
+                  colors={tileGradient(tile, mode, false)}
+                  style={[
+                    styles.tile3D,
+                    {
+                      width: tileSize,
+                      height: tileSize,
+                      borderColor: selected === index ? '#FFD400' : (completeRows.has(row) ? '#1E90FF' : '#ffffff'),
+                      borderWidth: selected === index ? 3 : 1
+                    }
+                  ]}
+                  start={{ x: 0, y: 0 }}
+                  end={{ x: 1, y: 1 }}
+                >
+                  <TileFace tile={tile} gameMode={mode} tileSize={tileSize} theme={theme} />
+                  {isLocked && <View style={styles.lockIcon}><Text style={styles.lockEmoji}>🔒</Text></View>}
+                </LinearGradient>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        <View style={styles.toggleRow}>
+          <ToggleChip
+            onPress={() => { setLockMode(m => !m); setSelected(null); }}
+            label={lockMode ? '🔒  Locking rows' : '↔  Arranging'}
+            chipBg={lockMode ? '#4CAF50' : theme.chipBg}
+            chipText={lockMode ? '#fff' : theme.chipText}
+          />
+          <ToggleChip onPress={shuffle} label="🔀  Shuffle" chipBg={theme.chipBg} chipText={theme.chipText} />
+          <ToggleChip onPress={() => resetBoard(size)} label="↺  Reset" chipBg={theme.chipBg} chipText={theme.chipText} />
+        </View>
+
+        <View style={styles.toggleRow}>
+          <ToggleChip
+            onPress={() => pickLimitKind('time')}
+            label="⏱  Time"
+            chipBg={limitKind === 'time' ? '#4CAF50' : theme.chipBg}
+            chipText={limitKind === 'time' ? '#fff' : theme.chipText}
+          />
+          <ToggleChip
+            onPress={() => pickLimitKind('moves')}
+            label="🎯  Moves"
+            chipBg={limitKind === 'moves' ? '#4CAF50' : theme.chipBg}
+            chipText={limitKind === 'moves' ? '#fff' : theme.chipText}
+          />
+          <ToggleChip onPress={() => stepLimit(-1)} label="−" chipBg={theme.chipBg} chipText={theme.chipText} />
+          <Text style={[styles.editorLimit, { color: theme.text }]}>{limitKind === 'time' ? `${limit}s` : `${limit} moves`}</Text>
+          <ToggleChip onPress={() => stepLimit(1)} label="+" chipBg={theme.chipBg} chipText={theme.chipText} />
+        </View>
+
+        <TextInput
+          value={name}
+          onChangeText={(text) => { setName(text); changed(); }}
+          placeholder="Puzzle name"
+          placeholderTextColor={theme.subText}
+          maxLength={40}
+          style={[styles.editorName, { color: theme.text, backgroundColor: theme.card }]}
+        />
+
+        {statusText && (
+          <Text style={[styles.editorStatus, { color: status?.error ? '#FF3B30' : theme.text }]}>{statusText}</Text>
+        )}
+        {exported && (
+          <Text selectable style={[styles.editorCode, { color: theme.text, backgroundColor: theme.card }]}>{exported}</Text>
+        )}
+
+        <View style={styles.toggleRow}>
+          <ToggleChip onPress={check} label="✓  Check" chipBg={theme.chipBg} chipText={theme.chipText} disabled={checking} />
+          <ToggleChip onPress={save} label="💾  Save" chipBg={theme.chipBg} chipText={theme.chipText} disabled={checking} />
+          <ToggleChip onPress={play} label="▶  Play" chipBg={theme.chipBg} chipText={theme.chipText} disabled={checking} />
+          <ToggleChip onPress={exportPuzzle} label="⇪  Export" chipBg={theme.chipBg} chipText={theme.chipText} disabled={checking} />
+        </View>
+
+        {state.customPuzzles.length > 0 && (
+          <View style={styles.campaignList}>
+            <Text style={[styles.label, { color: theme.text }]}>My Puzzles</Text>
+            {state.customPuzzles.map(puzzle => (
+              <View key={puzzle.id} style={[styles.campaignRow, { backgroundColor: theme.card }]}>
+                <TouchableOpacity style={styles.campaignInfo} onPress={() => edit(puzzle)}>
+                  <Text style={[styles.campaignName, { color: theme.text }]}>{puzzle.name}</Text>
+                  <Text style={[styles.campaignDetail, { color: theme.subText }]}>
+                    {GAME_MODE_CONFIG[puzzle.mode]?.emoji} {puzzle.size}x{puzzle.size} • {formatLevelLimit(puzzle)}{puzzle.par != null ? ` • par ${puzzle.par}` : ''}
+                  </Text>
+                </TouchableOpacity>
+                <ToggleChip
+                  onPress={() => { dispatch({ type: GAME_ACTIONS.HIDE_PANEL }); startLevel(dispatch, puzzle); }}
+                  label="▶"
+                  chipBg={theme.chipBg}
+                  chipText={theme.chipText}
+                />
+                <ToggleChip
+                  onPress={() => dispatch({ type: GAME_ACTIONS.DELETE_CUSTOM_PUZZLE, payload: puzzle.id })}
+                  label="✕"
+                  chipBg={theme.chipBg}
+                  chipText={theme.chipText}
+                />
+              </View>
+            ))}
+          </View>
+        )}
+
+        <TouchableOpacity style={styles.scoresClose} onPress={close}>
+          <Text style={styles.scoresCloseText}>Done</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+};
+
+// ============================================================================
+// Pass and play — two to four players take turns on the same seeded board
+// (see engine/session.js). PlayersScreen takes the names; SessionScreen sits
+// between turns, covering the board while the device changes hands, and
+// shows the results table once everyone has played. Both are full-screen
+// panels ('players' and 'session').
+// ============================================================================
+const PlayersScreen = ({ state, dispatch }) => {
+  const insets = useSafeAreaInsets();
+  const theme = useMemo(() => makeTheme(state.isDarkTheme), [state.isDarkTheme]);
+  const [names, setNames] = useState(() => Array.from({ length: MIN_PLAYERS }, () => ''));
+
+  const setName = useCallback((index, name) => {
+    setNames(prev => prev.map((n, i) => (i === index ? name : n)));
+  }, []);
+
+  const start = useCallback(() => {
+    const session = createSession({
+      seed: randomSeed(),
+      names,
+      mode: state.gameMode,
+      size: state.gridSize,
+      difficulty: state.difficulty,
+    });
+    dispatch({ type: GAME_ACTIONS.SET_SESSION, payload: session });
+    dispatch({ type: GAME_ACTIONS.SHOW_PANEL, payload: 'session' });
+  }, [names, state.gameMode, state.gridSize, state.difficulty, dispatch]);
+
+  const close = useCallback(() => dispatch({ type: GAME_ACTIONS.HIDE_PANEL }), [dispatch]);
+
+  return (
+    <View style={[styles.overlay, styles.scoresScreen, { backgroundColor: theme.bg, paddingTop: insets.top + 12, paddingBottom: insets.bottom + 12 }]}>
+      <Text style={[styles.scoresTitle, { color: theme.text }]}>Pass & Play</Text>
+      <Text style={[styles.campaignTotal, { color: theme.subText }]}>
+        {GAME_MODE_CONFIG[state.gameMode].emoji} {state.gridSize}x{state.gridSize} • {DIFFICULTY_LABELS[state.difficulty]} • same board for everyone
+      </Text>
+
+      <View style={styles.campaignList}>
+        {names.map((name, i) => (
+          <View key={i} style={[styles.campaignRow, { backgroundColor: theme.card }]}>
+            <Text style={[styles.campaignNumber, { color: theme.subText }]}>{i + 1}</Text>
+            <TextInput
+              value={name}
+              onChangeText={text => setName(i, text)}
+              placeholder={`Player ${i + 1}`}
+              placeholderTextColor={theme.subText}
+              maxLength={16}
+              style={[styles.playerName, { color: theme.text }]}
+            />
+            {names.length > MIN_PLAYERS && (
+              <ToggleChip
+                onPress={() => setNames(prev => prev.filter((_, j) => j !== i))}
+                label="✕"
+                chipBg={theme.chipBg}
+                chipText={theme.chipText}
+              />
+            )}
+          </View>
+        ))}
+      </View>
+
+      {names.length < MAX_PLAYERS && (
+        <ToggleChip
+          onPress={() => setNames(prev => prev.concat(['']))}
+          label="＋  Add Player"
+          chipBg={theme.chipBg}
+          chipText={theme.chipText}
+        />
+      )}
+
+      <TouchableOpacity style={styles.scoresClose} onPress={start}>
+        <Text style={styles.scoresCloseText}>Start Playing</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.overlaySecondary} onPress={close}>
+        <Text style={[styles.playerCancel, { color: theme.subText }]}>Cancel</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const SessionScreen = ({ state, dispatch }) => {
+  const insets = useSafeAreaInsets();
+  const theme = useMemo(() => makeTheme(state.isDarkTheme), [state.isDarkTheme]);
+  const { session } = state;
+
+  const ready = useCallback(() => {
+    dispatch({ type: GAME_ACTIONS.HIDE_PANEL });
+    startSessionTurn(dispatch, session);
+  }, [session, dispatch]);
+
+  // Same players and settings, a new board.
+  const rematch = useCallback(() => {
+    dispatch({
+      type: GAME_ACTIONS.SET_SESSION,
+      payload: createSession({ ...session, seed: randomSeed(), names: session.players.map(p => p.name) }),
+    });
+  }, [session, dispatch]);
+
+  const end = useCallback(() => {
+    dispatch({ type: GAME_ACTIONS.SET_SESSION, payload: null });
+    dispatch({ type: GAME_ACTIONS.HIDE_PANEL });
+    dispatch({ type: GAME_ACTIONS.SET_GAME_PHASE, payload: 'menu' });
+  }, [dispatch]);
+
+  if (!session) return null;
+  const screenStyle = [styles.overlay, styles.scoresScreen, { backgroundColor: theme.bg, paddingTop: insets.top + 12, paddingBottom: insets.bottom + 12 }];
+
+  if (!isSessionOver(session)) {
+    return (
+      <View style={[screenStyle, styles.handoffScreen]}>
+        <Text style={[styles.handoffKicker, { color: theme.subText }]}>
+          PLAYER {session.turn + 1} OF {session.players.length}
+        </Text>
+        <Text style={[styles.handoffTitle, { color: theme.text }]}>Pass to {currentPlayer(session).name}</Text>
+        <Text style={[styles.handoffBody, { color: theme.subText }]}>
+          No peeking — the board appears, and the clock starts, once you're ready.
+        </Text>
+        <TouchableOpacity style={styles.scoresClose} onPress={ready}>
+          <Text style={styles.scoresCloseText}>Ready</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.overlaySecondary} onPress={end}>
+          <Text style={[styles.playerCancel, { color: theme.subText }]}>End Session</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const standings = sessionStandings(session);
+  const winners = standings.filter(p => p.rank === 1);
+  return (
+    <View style={screenStyle}>
+      <Text style={[styles.scoresTitle, { color: theme.text }]}>
+        {winners.length > 1 ? "🤝 It's a tie!" : `🏆 ${winners[0].name} wins!`}
+      </Text>
+      <Text style={[styles.campaignTotal, { color: theme.subText }]}>
+        {GAME_MODE_CONFIG[session.mode].emoji} {session.size}x{session.size} • {DIFFICULTY_LABELS[session.difficulty]} • Board #{session.seed}
+      </Text>
+
+      <View style={[styles.scoresTable, { backgroundColor: theme.card }]}>
+        <View style={styles.scoresRow}>
+          <Text style={[styles.scoresHead, styles.scoresRank, { color: theme.subText }]}>#</Text>
+          <Text style={[styles.scoresHead, styles.playerCell, { color: theme.subText }]}>PLAYER</Text>
+          <Text style={[styles.scoresHead, styles.scoresCell, { color: theme.subText }]}>MOVES</Text>
+          <Text style={[styles.scoresHead, styles.scoresCell, { color: theme.subText }]}>TIME</Text>
+          <Text style={[styles.scoresHead, styles.scoresCell, { color: theme.subText }]}>ROWS</Text>
+        </View>
+        {standings.map((player, i) => {
+          const highlight = player.rank === 1;
+          const color = highlight ? '#fff' : theme.text;
+          const { result } = player;
+          return (
+            <View key={`${player.name}-${i}`} style={[styles.scoresRow, highlight && styles.scoresRowHighlight]}>
+              <Text style={[styles.scoresValue, styles.scoresRank, { color }]}>{player.rank}</Text>
+              <Text style={[styles.scoresValue, styles.playerCell, { color }]} numberOfLines={1}>{player.name}</Text>
+              <Text style={[styles.scoresValue, styles.scoresCell, { color }]}>{result.moves}</Text>
+              <Text style={[styles.scoresValue, styles.scoresCell, { color }]}>{result.solved ? formatSeconds(result.time) : '—'}</Text>
+              <Text style={[styles.scoresValue, styles.scoresCell, { color }]}>{result.solved ? '✓' : `${result.rows}/${session.size}`}</Text>
+            </View>
+          );
+        })}
+      </View>
+
+      <TouchableOpacity style={styles.scoresClose} onPress={rematch}>
+        <Text style={styles.scoresCloseText}>Rematch</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.overlaySecondary} onPress={end}>
+        <Text style={[styles.playerCancel, { color: theme.subText }]}>Back to Menu</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// ============================================================================
+// Head-to-head — on large screens, two players race side by side on the same
+// seeded board (see engine/race.js). Each lane is a whole game with its own
+// grid, clock, moves and power-ups, running the same hooks as GameScreen on
+// its own slice of the race state. The first to solve wins. A full-screen
+// panel (visiblePanel === 'race'); races aren't saved or scored.
+// ============================================================================
+const RaceLane = ({ index, state, dispatch, theme, width, isWinner, inputMode }) => {
+  const trigger = useHaptic();
+  const laneDispatch = useCallback(action => dispatch({ ...action, lane: index }), [dispatch, index]);
+  const evaluate = useGameEvaluation(state, laneDispatch, trigger);
+  const handleUsePowerUp = usePowerUps(state, laneDispatch, evaluate, trigger);
+
+  useGameTimer(state, laneDispatch);
+
+  let status = null;
+  if (isWinner) status = '🏆 Solved first!';
+  else if (state.gamePhase === 'gameOver') status = state.timeRemaining === 0 ? "⏱ Time's up" : 'Beaten';
+
+  return (
+    <View style={[styles.raceLane, { width }]}>
+      <Text style={[styles.raceLaneTitle, { color: theme.text }]}>Player {index + 1}</Text>
+      <View style={styles.raceStats}>
+        <Text style={[styles.headerStatLabel, { color: theme.subText }]}>MOVES {state.moveCount}</Text>
+        <Text style={[styles.headerStatLabel, { color: theme.subText }]}>TIME {state.timeRemaining}s</Text>
+        <Text style={[styles.headerStatLabel, { color: theme.subText }]}>ROWS {state.completedRows.size}/{state.gridSize}</Text>
+      </View>
+      {!state.isGamePaused && (
+        <GameGrid
+          state={state}
+          dispatch={laneDispatch}
+          theme={theme}
+          evaluate={evaluate}
+          width={width - 16}
+          inputMode={inputMode}
+        />
+      )}
+      <PowerUpDisplay powerUps={state.availablePowerUps} onUse={handleUsePowerUp} theme={theme} />
+      {status && <Text style={[styles.raceStatus, { color: isWinner ? '#4CAF50' : theme.subText }]}>{status}</Text>}
+    </View>
+  );
+};
+
+const RaceBoard = ({ state, theme, onRematch, onClose }) => {
+  const [race, dispatch] = useReducer(raceReducer, null, () => createRace({
+    seed: randomSeed(),
+    mode: state.gameMode,
+    size: state.gridSize,
+    difficulty: state.difficulty,
+    now: monotonicNow(),
+  }));
+  const paused = race.lanes.some(lane => lane.isGamePaused);
+  const over = isRaceOver(race);
+  const { width } = useWindowDimensions();
+  const laneWidth = (width - 36) / race.lanes.length;
+
+  // Both clocks stop together when the app leaves the foreground.
+  useEffect(() => {
+    const sub = AppState.addEventListener('change', (next) => {
+      if (next !== 'active') dispatch({ type: GAME_ACTIONS.PAUSE_GAME, payload: { now: monotonicNow() } });
+    });
+    return () => sub.remove();
+  }, []);
+
+  const togglePause = useCallback(() => {
+    dispatch({ type: paused ? GAME_ACTIONS.RESUME_GAME : GAME_ACTIONS.PAUSE_GAME, payload: { now: monotonicNow() } });
+  }, [paused]);
+
+  let verdict = null;
+  if (race.winner != null) verdict = `Player ${race.winner + 1} wins!`;
+  else if (over) verdict = "Time's up — no winner";
+
+  return (
+    <>
+      <View style={styles.raceHeader}>
+        <Text style={[styles.scoresTitle, { color: theme.text }]}>⚔️ Head-to-Head</Text>
+        {!over && (
+          <ToggleChip onPress={togglePause} label={paused ? '▶  Resume' : '⏸  Pause'} chipBg={theme.chipBg} chipText={theme.chipText} />
+        )}
+      </View>
+      <View style={styles.raceLanes}>
+        {race.lanes.map((lane, i) => (
+          <RaceLane
+            key={i}
+            index={i}
+            state={lane}
+            dispatch={dispatch}
+            theme={theme}
+            width={laneWidth}
+            isWinner={race.winner === i}
+            inputMode={state.inputMode}
+          />
+        ))}
+      </View>
+      {verdict && (
+        <>
+          <Text style={[styles.raceVerdict, { color: theme.text }]}>{verdict}</Text>
+          <TouchableOpacity style={styles.scoresClose} onPress={onRematch}>
+            <Text style={styles.scoresCloseText}>Rematch</Text>
+          </TouchableOpacity>
+        </>
+      )}
+      <TouchableOpacity style={styles.overlaySecondary} onPress={onClose}>
+        <Text style={[styles.playerCancel, { color: theme.subText }]}>{over ? 'Back to Menu' : 'Quit Race'}</Text>
+      </TouchableOpacity>
+    </>
+  );
+};
+
+const RaceScreen = ({ state, dispatch }) => {
+  const insets = useSafeAreaInsets();
+  const theme = useMemo(() => makeTheme(state.isDarkTheme), [state.isDarkTheme]);
+  // Each rematch mounts a fresh board with a new seed.
+  const [round, setRound] = useState(0);
+  const rematch = useCallback(() => setRound(r => r + 1), []);
+  const close = useCallback(() => dispatch({ type: GAME_ACTIONS.HIDE_PANEL }), [dispatch]);
+
+  return (
+    <View style={[styles.overlay, styles.scoresScreen, { backgroundColor: theme.bg, paddingTop: insets.top + 12, paddingBottom: insets.bottom + 12 }]}>
+      <RaceBoard key={round} state={state} theme={theme} onRematch={rematch} onClose={close} />
+    </View>
+  );
+};
+
 // ============================================================================
 // MenuScreen
 // ============================================================================
+// What's left of a saved game's budget, for the "Resume game" button.
+const resumeDetail = (saved) => {
+  const level = saved.levelId ? findLevel(CAMPAIGN, saved.levelId) : saved.puzzle;
+  if (level) return level.name;
+  if (saved.moveLimit != null) return `${saved.moveLimit - saved.moveCount} moves left`;
+  if (saved.survival) return `Survival board ${saved.survival.boardsCleared + 1} • ${saved.timeRemaining}s left`;
+  return saved.isZen ? 'Zen' : `${saved.timeRemaining}s left`;
+};
+
 const MenuScreen = ({ state, dispatch, isAdFree, onPurchase, onRestore, isPurchasing, isRestoring }) => {
   const theme = useMemo(() => makeTheme(state.isDarkTheme), [state.isDarkTheme]);
+  const largeScreen = isLargeScreen(useWindowDimensions());
 
   const startGame = useCallback(() => {
-    const gridData = createGridData(state.gridSize, state.gameMode, true);
+    const seed = randomSeed();
+    const gridData = createGridFromSeed(state.gridSize, state.gameMode, seed, state.difficulty);
     dispatch({ type: GAME_ACTIONS.SET_GRID_DATA, payload: gridData });
-    dispatch({ type: GAME_ACTIONS.START_NEW_GAME });
-    dispatch({ type: GAME_ACTIONS.SET_TIME, payload: TIME_FOR_SIZE[state.gridSize] || 60 });
-  }, [state.gridSize, state.gameMode, dispatch]);
+    dispatch({
+      type: GAME_ACTIONS.START_NEW_GAME,
+      payload: { seed, now: monotonicNow(), timeLimit: TIME_FOR_SIZE[state.gridSize] || 60, zen: state.zenEnabled },
+    });
+  }, [state.gridSize, state.gameMode, state.difficulty, state.zenEnabled, dispatch]);
+
+  const [prepareChallenge, preparingChallenge] = useChallengeStarter(dispatch);
+  const startChallenge = useCallback(() => {
+    prepareChallenge(state.gridSize, state.gameMode, state.difficulty);
+  }, [prepareChallenge, state.gridSize, state.gameMode, state.difficulty]);
+
+  const showCampaign = useCallback(() => {
+    dispatch({ type: GAME_ACTIONS.SHOW_PANEL, payload: 'campaign' });
+  }, [dispatch]);
+
+  const showPlayers = useCallback(() => {
+    dispatch({ type: GAME_ACTIONS.SHOW_PANEL, payload: 'players' });
+  }, [dispatch]);
+
+  const showRace = useCallback(() => {
+    dispatch({ type: GAME_ACTIONS.SHOW_PANEL, payload: 'race' });
+  }, [dispatch]);
+
+  const showEditor = useCallback(() => {
+    dispatch({ type: GAME_ACTIONS.SHOW_PANEL, payload: 'editor' });
+  }, [dispatch]);
+
+  const startSurvival = useCallback(() => {
+    startSurvivalRun(dispatch, state.gameMode);
+  }, [state.gameMode, dispatch]);
+
+  const resumeGame = useCallback(() => {
+    if (!state.savedGame) return;
+    dispatch({ type: GAME_ACTIONS.RESTORE_GAME, payload: { snapshot: state.savedGame, now: monotonicNow() } });
+  }, [state.savedGame, dispatch]);
+
+  // Today's daily for the selected mode/size. The attempt is recorded as
+  // 'started' up front, so quitting or killing the app still spends it.
+  const todayKey = dailyKeyFor();
+  const dailyResult = getDailyResult(state.dailyResults, todayKey, state.gameMode, state.gridSize);
+
+  const startDaily = useCallback(() => {
+    if (dailyResult) return;
+    const seed = dailySeed(todayKey, state.gameMode, state.gridSize);
+    const gridData = createGridFromSeed(state.gridSize, state.gameMode, seed);
+    dispatch({
+      type: GAME_ACTIONS.RECORD_DAILY_RESULT,
+      payload: {
+        dateKey: todayKey,
+        gameMode: state.gameMode,
+        gridSize: state.gridSize,
+        result: { status: 'started', date: Date.now(), seed },
+      }
+    });
+    dispatch({ type: GAME_ACTIONS.SET_GRID_DATA, payload: gridData });
+    dispatch({
+      type: GAME_ACTIONS.START_NEW_GAME,
+      payload: { seed, dailyKey: todayKey, now: monotonicNow(), timeLimit: TIME_FOR_SIZE[state.gridSize] || 60 },
+    });
+  }, [dailyResult, todayKey, state.gridSize, state.gameMode, dispatch]);
+
+  const survivalBest = state.survivalBests[state.gameMode];
+
+  const [code, setCode] = useState('');
+  const [codeError, setCodeError] = useState(false);
+  const playCode = useCallback(() => {
+    const puzzle = readPuzzleCode(code);
+    const friendChallenge = puzzle ? null : readFriendChallenge(code);
+    if (!puzzle && !friendChallenge) {
+      setCodeError(true);
+      return;
+    }
+    setCode('');
+    if (puzzle) startLevel(dispatch, puzzle);
+    else startFriendChallenge(dispatch, friendChallenge);
+  }, [code, dispatch]);
+
+  let dailyLabel = `📅 Daily Puzzle — ${state.gridSize}x${state.gridSize}`;
+  if (dailyResult?.status === 'won') dailyLabel = `📅 Daily solved in ${dailyResult.moves} moves`;
+  else if (dailyResult) dailyLabel = '📅 Daily played — back tomorrow';
 
   const toggleTheme = useCallback(() => {
     dispatch({ type: GAME_ACTIONS.SET_DARK_THEME, payload: !state.isDarkTheme });
@@ -1313,11 +2825,28 @@ const MenuScreen = ({ state, dispatch, isAdFree, onPurchase, onRestore, isPurcha
     dispatch({ type: GAME_ACTIONS.SET_MUSIC_ENABLED, payload: !state.musicEnabled });
   }, [dispatch, state.musicEnabled]);
 
+  const toggleUndo = useCallback(() => {
+    dispatch({ type: GAME_ACTIONS.SET_UNDO_ENABLED, payload: !state.undoEnabled });
+  }, [dispatch, state.undoEnabled]);
+
+  const toggleZen = useCallback(() => {
+    dispatch({ type: GAME_ACTIONS.SET_ZEN_ENABLED, payload: !state.zenEnabled });
+  }, [dispatch, state.zenEnabled]);
+
+  const toggleInputMode = useCallback(() => {
+    dispatch({ type: GAME_ACTIONS.SET_INPUT_MODE, payload: state.inputMode === 'tap' ? 'swipe' : 'tap' });
+  }, [dispatch, state.inputMode]);
+
+  const showScores = useCallback(() => {
+    dispatch({ type: GAME_ACTIONS.SHOW_PANEL, payload: 'scores' });
+  }, [dispatch]);
+
   return (
     <LinearGradient colors={gradientForMode(state.gameMode)} style={{ flex: 1 }} start={{ x: 0, y: 0 }} end={{ x: 1, y: 1 }}>
       <SafeAreaView style={[styles.container, { backgroundColor: 'transparent' }]}>
         <StatusBar barStyle="light-content" />
-        <View style={styles.menuContent}>
+        {/* Scrolls once the play options outgrow a small screen. */}
+        <ScrollView contentContainerStyle={styles.menuContent}>
           <Text style={[styles.title, { color: '#ffffff' }]}>GRIDZEN 2</Text>
           <Text style={[styles.subtitle, { color: '#e6e6e6' }]}>3 game modes • 3 sizes</Text>
 
@@ -1335,6 +2864,30 @@ const MenuScreen = ({ state, dispatch, isAdFree, onPurchase, onRestore, isPurcha
               chipBg="rgba(0,0,0,0.25)"
               chipText="#fff"
             />
+            <ToggleChip
+              onPress={toggleZen}
+              label={state.zenEnabled ? '🧘  Zen on' : '⏱  Timed'}
+              chipBg="rgba(0,0,0,0.25)"
+              chipText="#fff"
+            />
+            <ToggleChip
+              onPress={toggleUndo}
+              label={state.undoEnabled ? '↶  Undo on' : '↶  Undo off'}
+              chipBg="rgba(0,0,0,0.25)"
+              chipText="#fff"
+            />
+            <ToggleChip
+              onPress={toggleInputMode}
+              label={state.inputMode === 'tap' ? '👆  Tap to swap' : '👉  Swipe'}
+              chipBg="rgba(0,0,0,0.25)"
+              chipText="#fff"
+            />
+            <ToggleChip
+              onPress={showScores}
+              label="🏆  Scores"
+              chipBg="rgba(0,0,0,0.25)"
+              chipText="#fff"
+            />
           </View>
 
           <View style={styles.gameModeContainer}>
@@ -1356,6 +2909,21 @@ const MenuScreen = ({ state, dispatch, isAdFree, onPurchase, onRestore, isPurcha
             </View>
           </View>
 
+          <View style={styles.gridSizeContainer}>
+            <Text style={[styles.label, { color: '#ffffff' }]}>Difficulty</Text>
+            <View style={styles.gridSizeButtons}>
+              {DIFFICULTIES.map(level => (
+                <TouchableOpacity
+                  key={level}
+                  style={[styles.gridSizeButton, { backgroundColor: state.difficulty === level ? '#4CAF50' : 'rgba(0,0,0,0.25)' }]}
+                  onPress={() => dispatch({ type: GAME_ACTIONS.SET_DIFFICULTY, payload: level })}
+                >
+                  <Text style={[styles.gridSizeButtonText, { color: '#ffffff' }]}>{DIFFICULTY_LABELS[level]}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+
           <View style={styles.gridSizeContainer}>
             <Text style={[styles.label, { color: '#ffffff' }]}>Grid Size</Text>
             <View style={styles.gridSizeButtons}>
@@ -1371,10 +2939,86 @@ const MenuScreen = ({ state, dispatch, isAdFree, onPurchase, onRestore, isPurcha
             </View>
           </View>
 
+          {state.savedGame && (
+            <TouchableOpacity style={styles.resumeButton} onPress={resumeGame}>
+              <Text style={styles.startButtonText}>▶ Resume game</Text>
+              <Text style={styles.resumeButtonDetail}>
+                {GAME_MODE_CONFIG[state.savedGame.gameMode]?.name} • {state.savedGame.gridSize}x{state.savedGame.gridSize} • {state.savedGame.moveCount} moves • {resumeDetail(state.savedGame)}
+              </Text>
+            </TouchableOpacity>
+          )}
+
           <TouchableOpacity style={styles.startButton} onPress={startGame}>
             <Text style={styles.startButtonText}>Start Game</Text>
           </TouchableOpacity>
 
+          <TouchableOpacity style={styles.dailyButton} onPress={showCampaign}>
+            <Text style={styles.dailyButtonText}>
+              🗺 Campaign — ★ {campaignStars(state.campaignProgress)}/{CAMPAIGN.levels.length * 3}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.dailyButton} onPress={startSurvival}>
+            <Text style={styles.dailyButtonText}>
+              ♾ Survival{survivalBest ? ` — best ${survivalBest.score}` : ''}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.dailyButton, preparingChallenge && styles.buttonDisabled]}
+            onPress={startChallenge}
+            disabled={preparingChallenge}
+          >
+            {preparingChallenge ? (
+              <ActivityIndicator size="small" color="#ffffff" />
+            ) : (
+              <Text style={styles.dailyButtonText}>🎯 Move Challenge — {DIFFICULTY_LABELS[state.difficulty]}</Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.dailyButton} onPress={showPlayers}>
+            <Text style={styles.dailyButtonText}>👥 Pass & Play</Text>
+          </TouchableOpacity>
+
+          {largeScreen && (
+            <TouchableOpacity style={styles.dailyButton} onPress={showRace}>
+              <Text style={styles.dailyButtonText}>⚔️ Head-to-Head</Text>
+            </TouchableOpacity>
+          )}
+
+          <TouchableOpacity style={styles.dailyButton} onPress={showEditor}>
+            <Text style={styles.dailyButtonText}>✏️ Puzzle Editor</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.dailyButton, dailyResult && styles.buttonDisabled]}
+            onPress={startDaily}
+            disabled={!!dailyResult}
+          >
+            <Text style={styles.dailyButtonText}>{dailyLabel}</Text>
+          </TouchableOpacity>
+
+          {/* A puzzle code or link, or a challenge, from a friend */}
+          <View style={styles.codeRow}>
+            <TextInput
+              value={code}
+              onChangeText={(text) => { setCode(text); setCodeError(false); }}
+              placeholder="Paste a puzzle code or challenge"
+              placeholderTextColor="rgba(255,255,255,0.6)"
+              autoCapitalize="none"
+              autoCorrect={false}
+              style={styles.codeInput}
+            />
+            <TouchableOpacity
+              style={[styles.codeButton, !code.trim() && styles.buttonDisabled]}
+              onPress={playCode}
+              disabled={!code.trim()}
+            >
+              <Text style={styles.dailyButtonText}>Play</Text>
+            </TouchableOpacity>
+          </View>
+          {codeError && <Text style={styles.codeError}>That isn't a GridZen 2 puzzle code or challenge.</Text>}
+
           {/* Remove Ads — hidden once ad-free */}
           {!isAdFree && (
             <TouchableOpacity
@@ -1409,7 +3053,7 @@ const MenuScreen = ({ state, dispatch, isAdFree, onPurchase, onRestore, isPurcha
               )}
             </TouchableOpacity>
           )}
-        </View>
+        </ScrollView>
       </SafeAreaView>
     </LinearGradient>
   );
@@ -1501,9 +3145,11 @@ const GridZen2 = () => {
 
   // Persistence, audio, and rating prompt all live at the root so they exist
   // exactly once.
-  usePersistence(state, dispatch);
-  useGameAudio(state.gamePhase, state.musicEnabled);
+  const settingsLoaded = usePersistence(state, dispatch);
+  useSavedGame(state, dispatch);
+  useGameAudio(state.gamePhase, state.musicEnabled, state.isGamePaused);
   useRatingPrompt(state.gamePhase);
+  useIncomingLinks(dispatch, settingsLoaded);
 
   const renderCurrent = () => {
     // 'won' and 'gameOver' keep the GameScreen mounted so the ResultOverlay
@@ -1534,6 +3180,12 @@ const GridZen2 = () => {
     <GameContext.Provider value={{ state, dispatch }}>
       <GestureHandlerRootView style={{ flex: 1 }}>
         {renderCurrent()}
+        {state.visiblePanel === 'scores' && <ScoresScreen state={state} dispatch={dispatch} />}
+        {state.visiblePanel === 'campaign' && <CampaignScreen state={state} dispatch={dispatch} />}
+        {state.visiblePanel === 'editor' && <EditorScreen state={state} dispatch={dispatch} />}
+        {state.visiblePanel === 'players' && <PlayersScreen state={state} dispatch={dispatch} />}
+        {state.visiblePanel === 'session' && <SessionScreen state={state} dispatch={dispatch} />}
+        {state.visiblePanel === 'race' && <RaceScreen state={state} dispatch={dispatch} />}
       </GestureHandlerRootView>
     </GameContext.Provider>
   );
@@ -1553,6 +3205,7 @@ const styles = StyleSheet.create({
 
   toggleRow: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'center',
     gap: 10,
     marginBottom: 4
@@ -1589,7 +3242,12 @@ const styles = StyleSheet.create({
     letterSpacing: 0.3,
   },
 
+  pauseButton: { width: 36, height: 36, borderRadius: 18, alignItems: 'center', justifyContent: 'center', marginLeft: 4 },
+  pauseButtonText: { fontSize: 16 },
+  pauseOverlay: { backgroundColor: '#0c0c0f' },
+
   gridContainer: { alignItems: 'center', marginBottom: 16 },
+  replayStatus: { fontSize: 12, fontWeight: '700', letterSpacing: 0.5, textAlign: 'center', marginBottom: 8 },
   gridFlex: { flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'center', alignItems: 'center' },
 
   tileContainer: { margin: 4 },
@@ -1623,7 +3281,7 @@ const styles = StyleSheet.create({
     backgroundColor: 'transparent'
   },
 
-  menuContent: { flex: 1, justifyContent: 'center', alignItems: 'center', padding: 20 },
+  menuContent: { flexGrow: 1, justifyContent: 'center', alignItems: 'center', padding: 20 },
   title: { fontSize: 36, fontWeight: 'bold', textAlign: 'center', marginBottom: 10 },
   subtitle: { fontSize: 16, textAlign: 'center', marginBottom: 14 },
 
@@ -1642,6 +3300,39 @@ const styles = StyleSheet.create({
   startButton: { backgroundColor: '#4CAF50', padding: 18, borderRadius: 15, width: '80%', marginTop: 10 },
   startButtonText: { color: '#ffffff', fontSize: 18, fontWeight: 'bold', textAlign: 'center' },
 
+  resumeButton: { backgroundColor: '#007AFF', padding: 14, borderRadius: 15, width: '80%', marginBottom: 4, alignItems: 'center' },
+  resumeButtonDetail: { color: 'rgba(255,255,255,0.85)', fontSize: 12, marginTop: 3 },
+
+  dailyButton: {
+    backgroundColor: 'rgba(0,0,0,0.25)',
+    paddingVertical: 13,
+    borderRadius: 12,
+    width: '80%',
+    marginTop: 10,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#4CAF50'
+  },
+  dailyButtonText: { color: '#ffffff', fontSize: 15, fontWeight: '700' },
+  codeRow: { flexDirection: 'row', width: '80%', marginTop: 10 },
+  codeInput: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.25)',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 11,
+    color: '#ffffff',
+    fontSize: 14,
+  },
+  codeButton: {
+    backgroundColor: '#4CAF50',
+    borderRadius: 12,
+    paddingHorizontal: 18,
+    marginLeft: 8,
+    justifyContent: 'center',
+  },
+  codeError: { color: '#ffffff', fontSize: 13, marginTop: 6 },
+
   removeAdsButton: {
     backgroundColor: 'rgba(0,0,0,0.35)',
     paddingVertical: 13,
@@ -1714,6 +3405,7 @@ const styles = StyleSheet.create({
     elevation: 20,
   },
   overlayHeader: { paddingVertical: 26, paddingHorizontal: 22, alignItems: 'center' },
+  overlayKicker: { color: 'rgba(255,255,255,0.85)', fontSize: 11, fontWeight: '700', letterSpacing: 1.5, marginBottom: 4 },
   overlayTitle: { color: '#fff', fontSize: 28, fontWeight: '800', letterSpacing: -0.5 },
   overlaySubtitle: { color: 'rgba(255,255,255,0.88)', fontSize: 14, marginTop: 4, textAlign: 'center' },
   overlayStats: { flexDirection: 'row', paddingVertical: 18, paddingHorizontal: 12, alignItems: 'center' },
@@ -1721,6 +3413,8 @@ const styles = StyleSheet.create({
   overlayStatDivider: { width: 1, height: 32, backgroundColor: 'rgba(255,255,255,0.12)' },
   overlayStatValue: { color: '#fff', fontSize: 22, fontWeight: '700' },
   overlayStatLabel: { color: 'rgba(255,255,255,0.55)', fontSize: 11, marginTop: 2, letterSpacing: 1 },
+  overlayPar: { color: '#FFD400', fontSize: 13, fontWeight: '700', textAlign: 'center', marginBottom: 6, letterSpacing: 0.5 },
+  overlaySeed: { color: 'rgba(255,255,255,0.4)', fontSize: 11, textAlign: 'center', marginBottom: 10, letterSpacing: 0.5 },
   overlayPrimary: {
     marginHorizontal: 16,
     marginTop: 4,
@@ -1731,8 +3425,84 @@ const styles = StyleSheet.create({
   },
   overlayPrimaryText: { color: '#fff', fontSize: 16, fontWeight: '700' },
   overlaySecondary: { paddingVertical: 14, alignItems: 'center', marginBottom: 4 },
+  overlaySecondaryTight: { paddingTop: 0 },
   overlaySecondaryText: { color: 'rgba(255,255,255,0.65)', fontSize: 14, fontWeight: '500' },
 
+  scoresScreen: { justifyContent: 'flex-start', paddingHorizontal: 18 },
+  scoresTitle: { fontSize: 28, fontWeight: '800', letterSpacing: -0.5, marginBottom: 14 },
+  scoresTabs: { flexDirection: 'row', justifyContent: 'center', gap: 8, marginBottom: 10 },
+  scoresTab: { paddingHorizontal: 12, paddingVertical: 8, borderRadius: 14 },
+  scoresTabText: { fontSize: 12, fontWeight: '700' },
+  scoresTable: { width: '100%', maxWidth: 420, borderRadius: 16, paddingVertical: 8, marginTop: 6 },
+  scoresRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, paddingHorizontal: 14 },
+  scoresRowHighlight: { backgroundColor: '#4CAF50', borderRadius: 10, marginHorizontal: 6, paddingHorizontal: 8 },
+  scoresHead: { fontSize: 11, fontWeight: '600', letterSpacing: 1.2 },
+  scoresValue: { fontSize: 15, fontWeight: '600' },
+  scoresRank: { width: 28 },
+  scoresCell: { flex: 1, textAlign: 'center' },
+  scoresLevel: { flex: 1.1, textAlign: 'center' },
+  scoresDate: { flex: 1.4, textAlign: 'right' },
+  scoresEmpty: { fontSize: 14, textAlign: 'center', paddingVertical: 24, paddingHorizontal: 16 },
+  scoresClose: { backgroundColor: '#4CAF50', borderRadius: 14, paddingVertical: 14, paddingHorizontal: 48, marginTop: 20 },
+  scoresCloseText: { color: '#fff', fontSize: 16, fontWeight: '700' },
+
+  campaignTotal: { fontSize: 15, fontWeight: '600', marginBottom: 12 },
+  campaignList: { width: '100%', maxWidth: 420, flexGrow: 0 },
+  campaignRow: { flexDirection: 'row', alignItems: 'center', borderRadius: 14, paddingVertical: 12, paddingHorizontal: 14, marginBottom: 8 },
+  campaignNumber: { width: 28, fontSize: 16, fontWeight: '700' },
+  campaignInfo: { flex: 1 },
+  campaignName: { fontSize: 16, fontWeight: '700' },
+  campaignDetail: { fontSize: 12, marginTop: 2 },
+  campaignStars: { fontSize: 18, color: '#FFB300' },
+
+  playerName: { flex: 1, fontSize: 16, fontWeight: '600', paddingVertical: 4 },
+  playerCell: { flex: 1.6 },
+  playerCancel: { fontSize: 14, fontWeight: '500' },
+  handoffScreen: { justifyContent: 'center' },
+  handoffKicker: { fontSize: 12, fontWeight: '700', letterSpacing: 1.5, marginBottom: 8 },
+  handoffTitle: { fontSize: 32, fontWeight: '800', letterSpacing: -0.5, textAlign: 'center' },
+  handoffBody: { fontSize: 15, textAlign: 'center', marginTop: 12, paddingHorizontal: 24 },
+
+  versus: {
+    marginHorizontal: 16,
+    marginBottom: 10,
+    paddingVertical: 8,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255,255,255,0.08)',
+    alignItems: 'center',
+  },
+  versusVerdict: { color: '#fff', fontSize: 16, fontWeight: '800', marginBottom: 4 },
+  versusLine: { color: 'rgba(255,255,255,0.8)', fontSize: 13, fontWeight: '600' },
+
+  ghostRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    width: SCREEN_WIDTH * 0.8,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginBottom: 6,
+    opacity: 0.75,
+  },
+  ghostText: { fontSize: 13, fontWeight: '600' },
+  ghostStanding: { fontSize: 13, fontWeight: '800' },
+
+  raceHeader: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', width: '100%' },
+  raceLanes: { flexDirection: 'row', justifyContent: 'center' },
+  raceLane: { alignItems: 'center', paddingHorizontal: 8 },
+  raceLaneTitle: { fontSize: 18, fontWeight: '800', marginBottom: 4 },
+  raceStats: { flexDirection: 'row', justifyContent: 'space-around', width: '100%', marginBottom: 4 },
+  raceStatus: { fontSize: 15, fontWeight: '700', marginTop: 8 },
+  raceVerdict: { fontSize: 24, fontWeight: '800', marginTop: 16 },
+
+  editorContent: { alignItems: 'center', paddingBottom: 12 },
+  editorHint: { fontSize: 13, marginVertical: 8 },
+  editorLimit: { fontSize: 15, fontWeight: '700', minWidth: 72, textAlign: 'center' },
+  editorName: { width: '80%', borderRadius: 12, paddingHorizontal: 14, paddingVertical: 10, fontSize: 15, marginTop: 6 },
+  editorStatus: { fontSize: 14, fontWeight: '600', textAlign: 'center', marginTop: 10, paddingHorizontal: 16 },
+  editorCode: { fontSize: 12, fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace', borderRadius: 10, padding: 10, marginTop: 8, width: '90%' },
+
   confirmCard: {
     width: '100%',
     maxWidth: 340,
@@ -0,0 +1,7 @@
+import GridZen2 from '../App';
+
+describe('App', () => {
+  it('loads headless with native SDKs mocked', () => {
+    expect(typeof GridZen2).toBe('function');
+  });
+});
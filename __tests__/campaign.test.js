@@ -0,0 +1,95 @@
+import {
+  GAME_ACTIONS,
+  INITIAL_STATE,
+  campaignStars,
+  createGridFromLayout,
+  createLevelGrid,
+  deserializeGame,
+  findLevel,
+  gameStateReducer,
+  gridLayout,
+  isLevelUnlocked,
+  isValidLevel,
+  levelStars,
+  nextLevel,
+  serializeGame,
+} from '../engine';
+import CAMPAIGN from '../assets/levels/campaign.json';
+
+const reduce = (state, type, payload) => gameStateReducer(state, { type, payload });
+
+describe('the bundled level pack', () => {
+  it('has valid levels with unique ids', () => {
+    CAMPAIGN.levels.forEach(level => expect(isValidLevel(level)).toBe(true));
+    expect(new Set(CAMPAIGN.levels.map(l => l.id)).size).toBe(CAMPAIGN.levels.length);
+  });
+
+  it('never sets a move limit below par', () => {
+    CAMPAIGN.levels
+      .filter(level => level.moveLimit != null)
+      .forEach(level => expect(level.moveLimit).toBeGreaterThanOrEqual(level.par));
+  });
+});
+
+describe('levels', () => {
+  const level = {
+    id: 't', name: 'Test', mode: 'classic', size: 4,
+    layout: [0, 1, 2, 3, 4, 5, 6, 7, 9, 8, 10, 11, 12, 13, 14, 15],
+    lockedRows: [0, 1], timeLimit: 60, par: 1,
+  };
+
+  it('createLevelGrid builds the level\'s fixed layout', () => {
+    const grid = createLevelGrid(level);
+    expect(gridLayout(grid)).toEqual(level.layout);
+    expect(grid).toEqual(createGridFromLayout(4, 'classic', level.layout));
+  });
+
+  it('rejects levels that do not hang together', () => {
+    expect(isValidLevel(level)).toBe(true);
+    expect(isValidLevel({ ...level, lockedRows: [2] })).toBe(false);
+    expect(isValidLevel({ ...level, moveLimit: 10 })).toBe(false);
+    expect(isValidLevel({ ...level, layout: level.layout.slice(1) })).toBe(false);
+  });
+
+  it('starts with its locked rows in place', () => {
+    const state = reduce(
+      { ...INITIAL_STATE, gridData: createLevelGrid(level) },
+      GAME_ACTIONS.START_NEW_GAME,
+      { now: 0, timeLimit: 60, levelId: 't', lockedRows: [0, 1] }
+    );
+    expect(state.levelId).toBe('t');
+    expect(state.completedRows).toEqual(new Set([0, 1]));
+    expect(state.lockedTiles).toEqual(new Set([0, 1, 2, 3, 4, 5, 6, 7]));
+    const snapshot = deserializeGame(JSON.parse(JSON.stringify(serializeGame(state, 0))));
+    expect(snapshot.levelId).toBe('t');
+  });
+});
+
+describe('progress', () => {
+  const [first, second, third] = CAMPAIGN.levels;
+
+  it('unlocks each level once the previous one is cleared', () => {
+    expect(isLevelUnlocked(CAMPAIGN, {}, first.id)).toBe(true);
+    expect(isLevelUnlocked(CAMPAIGN, {}, second.id)).toBe(false);
+    expect(isLevelUnlocked(CAMPAIGN, { [first.id]: 1 }, second.id)).toBe(true);
+    expect(isLevelUnlocked(CAMPAIGN, { [first.id]: 1 }, third.id)).toBe(false);
+    expect(isLevelUnlocked(CAMPAIGN, {}, 'nope')).toBe(false);
+    expect(nextLevel(CAMPAIGN, first.id)).toBe(second);
+    expect(nextLevel(CAMPAIGN, CAMPAIGN.levels[CAMPAIGN.levels.length - 1].id)).toBeNull();
+    expect(findLevel(CAMPAIGN, third.id)).toBe(third);
+  });
+
+  it('awards at least one star for a clear', () => {
+    expect(levelStars(10, 10)).toBe(3);
+    expect(levelStars(15, 10)).toBe(2);
+    expect(levelStars(50, 10)).toBe(1);
+  });
+
+  it('keeps the best stars per level', () => {
+    let state = reduce(INITIAL_STATE, GAME_ACTIONS.RECORD_LEVEL_RESULT, { levelId: 'a', stars: 2 });
+    state = reduce(state, GAME_ACTIONS.RECORD_LEVEL_RESULT, { levelId: 'a', stars: 1 });
+    state = reduce(state, GAME_ACTIONS.RECORD_LEVEL_RESULT, { levelId: 'b', stars: 3 });
+    expect(state.campaignProgress).toEqual({ a: 2, b: 3 });
+    expect(campaignStars(state.campaignProgress)).toBe(5);
+  });
+});
@@ -0,0 +1,74 @@
+import {
+  addClockTime,
+  clockElapsedMs,
+  clockRemainingMs,
+  createClock,
+  elapsedSeconds,
+  formatSeconds,
+  isClockRunning,
+  monotonicNow,
+  pauseClock,
+  remainingSeconds,
+  resumeClock,
+  setClockRemaining,
+} from '../engine';
+
+describe('game clock', () => {
+  it('counts from its start timestamp', () => {
+    const clock = createClock(60, 5000);
+    expect(clockElapsedMs(clock, 5000)).toBe(0);
+    expect(clockElapsedMs(clock, 6250)).toBe(1250);
+    expect(clockRemainingMs(clock, 6250)).toBe(58750);
+  });
+
+  it('shows whole seconds rounded up and scores to the hundredth', () => {
+    const clock = createClock(60, 0);
+    expect(remainingSeconds(clock, 1)).toBe(60);
+    expect(remainingSeconds(clock, 1000)).toBe(59);
+    expect(elapsedSeconds(clock, 1234)).toBe(1.23);
+    expect(elapsedSeconds(clock, 1235)).toBe(1.24);
+  });
+
+  it('pauses and resumes without counting the gap', () => {
+    let clock = createClock(60, 0);
+    clock = pauseClock(clock, 4000);
+    expect(isClockRunning(clock)).toBe(false);
+    expect(clockElapsedMs(clock, 90000)).toBe(4000);
+    expect(pauseClock(clock, 95000)).toBe(clock);
+    clock = resumeClock(clock, 90000);
+    expect(resumeClock(clock, 91000)).toBe(clock);
+    expect(clockElapsedMs(clock, 91500)).toBe(5500);
+  });
+
+  it('adds bonus time to the budget and composes with pauses', () => {
+    let clock = createClock(10, 0);
+    clock = pauseClock(clock, 8000);
+    clock = addClockTime(clock, 15);
+    clock = resumeClock(clock, 20000);
+    expect(remainingSeconds(clock, 20000)).toBe(17);
+    expect(clockRemainingMs(clock, 37000)).toBe(0);
+  });
+
+  it('never reports more elapsed time than the budget', () => {
+    const clock = createClock(5, 0);
+    expect(clockElapsedMs(clock, 60000)).toBe(5000);
+    expect(remainingSeconds(clock, 60000)).toBe(0);
+  });
+
+  it('setClockRemaining resizes the budget around the time already played', () => {
+    const clock = setClockRemaining(createClock(60, 0), 30, 45000);
+    expect(clockRemainingMs(clock, 45000)).toBe(30000);
+    expect(clockElapsedMs(clock, 45000)).toBe(45000);
+  });
+
+  it('formatSeconds drops the hundredths only from whole seconds', () => {
+    expect(formatSeconds(42)).toBe('42s');
+    expect(formatSeconds(41.5)).toBe('41.50s');
+    expect(formatSeconds(0.07)).toBe('0.07s');
+  });
+
+  it('monotonicNow returns increasing milliseconds', () => {
+    const a = monotonicNow();
+    expect(monotonicNow()).toBeGreaterThanOrEqual(a);
+  });
+});
@@ -0,0 +1,39 @@
+import { GAME_ACTIONS, INITIAL_STATE, dailyKeyFor, dailySeed, gameStateReducer, getDailyResult } from '../engine';
+
+describe('daily puzzle', () => {
+  it('keys by local calendar date', () => {
+    expect(dailyKeyFor(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+    expect(dailyKeyFor(new Date(2026, 11, 31, 0, 1))).toBe('2026-12-31');
+  });
+
+  it('gives one seed per day, mode and size', () => {
+    const seed = dailySeed('2026-10-18', 'classic', 4);
+    expect(dailySeed('2026-10-18', 'classic', 4)).toBe(seed);
+    expect(dailySeed('2026-10-19', 'classic', 4)).not.toBe(seed);
+    expect(dailySeed('2026-10-18', 'color', 4)).not.toBe(seed);
+    expect(dailySeed('2026-10-18', 'classic', 5)).not.toBe(seed);
+  });
+
+  it('records results apart from the leaderboards', () => {
+    const record = (state, gameMode, gridSize, result) => gameStateReducer(state, {
+      type: GAME_ACTIONS.RECORD_DAILY_RESULT,
+      payload: { dateKey: '2026-10-18', gameMode, gridSize, result },
+    });
+    let state = record(INITIAL_STATE, 'classic', 4, { status: 'started' });
+    state = record(state, 'color', 5, { status: 'started' });
+    state = record(state, 'classic', 4, { status: 'won', moves: 30 });
+
+    expect(getDailyResult(state.dailyResults, '2026-10-18', 'classic', 4)).toEqual({ status: 'won', moves: 30 });
+    expect(getDailyResult(state.dailyResults, '2026-10-18', 'color', 5)).toEqual({ status: 'started' });
+    expect(getDailyResult(state.dailyResults, '2026-10-18', 'pattern', 4)).toBeNull();
+    expect(getDailyResult(state.dailyResults, '2026-10-17', 'classic', 4)).toBeNull();
+    expect(state.leaderboards).toBe(INITIAL_STATE.leaderboards);
+  });
+
+  it('START_NEW_GAME only marks a daily run when given a date key', () => {
+    const daily = gameStateReducer(INITIAL_STATE, { type: GAME_ACTIONS.START_NEW_GAME, payload: { seed: 1, dailyKey: '2026-10-18' } });
+    expect(daily.dailyKey).toBe('2026-10-18');
+    const regular = gameStateReducer(daily, { type: GAME_ACTIONS.START_NEW_GAME, payload: { seed: 2 } });
+    expect(regular.dailyKey).toBeNull();
+  });
+});
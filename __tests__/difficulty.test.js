@@ -0,0 +1,77 @@
+import {
+  DIFFICULTIES,
+  DIFFICULTY_BANDS,
+  applySwap,
+  boardMetrics,
+  createGridData,
+  createGridForDifficulty,
+  createGridFromLayout,
+  createGridFromSeed,
+  createRng,
+  difficultyScore,
+  gridLayout,
+  rateDifficulty,
+} from '../engine';
+
+const solved = (size, mode) =>
+  createGridFromLayout(size, mode, Array.from({ length: size * size }, (_, i) => i));
+
+describe('boardMetrics', () => {
+  it('measures a solved board as zero', () => {
+    expect(boardMetrics(solved(4, 'classic'), 4, 'classic')).toEqual({ displacement: 0, inversions: 0 });
+    expect(boardMetrics(solved(4, 'color'), 4, 'color')).toEqual({ displacement: 0, entropy: 0 });
+    expect(difficultyScore(solved(5, 'pattern'), 5, 'pattern')).toBe(0);
+  });
+
+  it('counts displacement and inversions for classic', () => {
+    // Swapping tiles 0 and 5 moves each one row and one column.
+    const m = boardMetrics(applySwap(solved(4, 'classic'), 0, 5), 4, 'classic');
+    expect(m.displacement).toBe(4);
+    expect(m.inversions).toBe(9);
+  });
+
+  it('measures row entropy for color boards', () => {
+    // One exchange between rows 0 and 1 mixes two rows of four.
+    const m = boardMetrics(applySwap(solved(4, 'color'), 0, 4), 4, 'color');
+    expect(m.displacement).toBe(2);
+    const rowEntropy = -(0.75 * Math.log(0.75) + 0.25 * Math.log(0.25)) / Math.log(4);
+    expect(m.entropy).toBeCloseTo((2 * rowEntropy) / 4);
+  });
+});
+
+describe('createGridForDifficulty', () => {
+  it.each(['classic', 'color', 'pattern'])('hits each level on %s boards', (mode) => {
+    DIFFICULTIES.forEach((level) => {
+      const grid = createGridForDifficulty(4, mode, level, createRng(12));
+      expect(rateDifficulty(grid, 4, mode)).toBe(level);
+      const [min] = DIFFICULTY_BANDS[level];
+      expect(difficultyScore(grid, 4, mode)).toBeGreaterThanOrEqual(min);
+    });
+  });
+
+  it('is reproducible from a seed', () => {
+    const a = createGridForDifficulty(5, 'classic', 'hard', createRng(99));
+    const b = createGridForDifficulty(5, 'classic', 'hard', createRng(99));
+    expect(gridLayout(a)).toEqual(gridLayout(b));
+  });
+
+  it('orders levels by score', () => {
+    const scores = DIFFICULTIES.map(level =>
+      difficultyScore(createGridForDifficulty(6, 'color', level, createRng(4)), 6, 'color'));
+    expect(scores[0]).toBeLessThan(scores[1]);
+    expect(scores[1]).toBeLessThan(scores[2]);
+  });
+});
+
+describe('createGridFromSeed', () => {
+  it('rebuilds a game board from the seed and difficulty the overlay shows', () => {
+    const game = createGridForDifficulty(5, 'color', 'hard', createRng(77));
+    expect(gridLayout(createGridFromSeed(5, 'color', 77, 'hard'))).toEqual(gridLayout(game));
+    expect(gridLayout(createGridFromSeed(5, 'color', 77, 'easy'))).not.toEqual(gridLayout(game));
+  });
+
+  it('is a plain seeded shuffle without a difficulty', () => {
+    expect(gridLayout(createGridFromSeed(4, 'classic', 9))).toEqual(gridLayout(createGridData(4, 'classic', true, createRng(9))));
+    expect(rateDifficulty(createGridFromSeed(4, 'classic', 9, 'easy'), 4, 'classic')).toBe('easy');
+  });
+});
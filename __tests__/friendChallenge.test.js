@@ -0,0 +1,76 @@
+import {
+  GAME_ACTIONS,
+  INITIAL_STATE,
+  createFriendChallenge,
+  createFriendChallengeBoard,
+  createGridFromSeed,
+  deserializeGame,
+  encodeFriendChallenge,
+  friendChallengeOutcome,
+  gameStateReducer,
+  gridLayout,
+  isValidFriendChallenge,
+  readFriendChallenge,
+  serializeGame,
+} from '../engine';
+
+const played = () => {
+  const state = gameStateReducer(
+    { ...INITIAL_STATE, gridSize: 4, gameMode: 'pattern', gridData: createGridFromSeed(4, 'pattern', 31) },
+    { type: GAME_ACTIONS.START_NEW_GAME, payload: { seed: 31, now: 0, timeLimit: 60 } }
+  );
+  return createFriendChallenge({
+    replay: state.replay,
+    rules: { timeLimit: 60 },
+    score: { solved: true, moves: 20, time: 41.5, rows: 4 },
+  });
+};
+
+describe('friend challenges', () => {
+  it('packs the board, rules, score and replay', () => {
+    const bundle = played();
+    expect(isValidFriendChallenge(bundle)).toBe(true);
+    expect(bundle.board).toMatchObject({ mode: 'pattern', size: 4, seed: 31 });
+    expect(bundle.rules).toEqual({ timeLimit: 60, moveLimit: null, zen: false });
+    expect(gridLayout(createFriendChallengeBoard(bundle))).toEqual(gridLayout(createGridFromSeed(4, 'pattern', 31)));
+  });
+
+  it('reads a challenge from a file or a pasted share message', () => {
+    const bundle = played();
+    const json = encodeFriendChallenge(bundle);
+    expect(readFriendChallenge(json)).toEqual(bundle);
+    expect(readFriendChallenge(`Can you beat this?\n\n${json}\n`)).toEqual(bundle);
+  });
+
+  it('rejects anything else', () => {
+    const bundle = played();
+    expect(readFriendChallenge('gz1.n4.0123')).toBeNull();
+    expect(readFriendChallenge('{ not json }')).toBeNull();
+    expect(readFriendChallenge(null)).toBeNull();
+    expect(isValidFriendChallenge({ ...bundle, v: 2 })).toBe(false);
+    expect(isValidFriendChallenge({ ...bundle, rules: { timeLimit: 0 } })).toBe(false);
+    expect(isValidFriendChallenge({ ...bundle, score: { ...bundle.score, moves: -1 } })).toBe(false);
+    // The replay has to start from the challenge's board.
+    const layout = bundle.board.layout.slice().reverse();
+    expect(isValidFriendChallenge({ ...bundle, board: { ...bundle.board, layout } })).toBe(false);
+  });
+
+  it('compares the recipient against the sender', () => {
+    const bundle = played();
+    expect(friendChallengeOutcome(bundle, { solved: true, moves: 18, time: 60, rows: 4 })).toBe('won');
+    expect(friendChallengeOutcome(bundle, { solved: true, moves: 20, time: 41.5, rows: 4 })).toBe('tied');
+    expect(friendChallengeOutcome(bundle, { solved: true, moves: 20, time: 50, rows: 4 })).toBe('lost');
+    expect(friendChallengeOutcome(bundle, { solved: false, moves: 9, time: 60, rows: 3 })).toBe('lost');
+  });
+
+  it('starts with the game and survives a save', () => {
+    const bundle = played();
+    const state = gameStateReducer(
+      { ...INITIAL_STATE, gridSize: 4, gameMode: 'pattern', gridData: createFriendChallengeBoard(bundle) },
+      { type: GAME_ACTIONS.START_NEW_GAME, payload: { seed: 31, now: 0, friendChallenge: bundle } }
+    );
+    expect(state.friendChallenge).toBe(bundle);
+    const restored = deserializeGame(JSON.parse(JSON.stringify(serializeGame(state, 1000))));
+    expect(restored.friendChallenge).toEqual(bundle);
+  });
+});
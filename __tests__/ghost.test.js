@@ -0,0 +1,100 @@
+import {
+  GAME_ACTIONS,
+  INITIAL_STATE,
+  MAX_GHOSTS,
+  applySwap,
+  createGhost,
+  createGridFromLayout,
+  gameStateReducer,
+  ghostAt,
+  ghostKey,
+  ghostStanding,
+  gridLayout,
+  isValidGhost,
+  recordGhost,
+} from '../engine';
+
+// A solved classic board with two rows broken by one swap each: the first
+// swap back completes row 1, the second the rest.
+const solved = createGridFromLayout(4, 'classic', Array.from({ length: 16 }, (_, i) => i));
+const replay = {
+  v: 1, mode: 'classic', size: 4, seed: 5,
+  layout: gridLayout(applySwap(applySwap(solved, 0, 1), 4, 5)),
+  events: [[1000, 's', 4, 5], [2000, 'p', 'shuffle'], [3000, 's', 0, 1]],
+};
+
+describe('ghost keys', () => {
+  const game = { gameMode: 'color', gridSize: 5, seed: 42 };
+
+  it('keys seeded boards by mode, size and seed', () => {
+    expect(ghostKey(game)).toBe('color-5-42');
+  });
+
+  it('keys levels and puzzles by id', () => {
+    expect(ghostKey({ ...game, levelId: 3 })).toBe('level:3');
+    expect(ghostKey({ ...game, puzzle: { id: 'abc' } })).toBe('puzzle:abc');
+  });
+
+  it('has no ghost for boards that never come round again', () => {
+    expect(ghostKey({ ...game, seed: 0 })).toBeNull();
+    expect(ghostKey({ ...game, survival: { boardsCleared: 0 } })).toBeNull();
+    expect(ghostKey({ ...game, session: { seed: 42 } })).toBeNull();
+  });
+});
+
+describe('ghosts', () => {
+  const ghost = createGhost(replay, { moves: 2, time: 3 }, 100);
+
+  it('records moves and rows over time from the replay', () => {
+    expect(isValidGhost(ghost)).toBe(true);
+    expect(ghost).toMatchObject({ moves: 2, time: 3, date: 100 });
+    expect(ghost.points[0]).toEqual([0, 0, 0]);
+    expect(ghost.points[2]).toEqual([2000, 1, ghost.points[1][2]]);
+    expect(ghost.points[3]).toEqual([3000, 2, 4]);
+  });
+
+  it('finds where the ghost was at a point in the game', () => {
+    expect(ghostAt(ghost, 500)).toEqual({ moves: 0, rows: 0, finished: false });
+    expect(ghostAt(ghost, 1500).moves).toBe(1);
+    expect(ghostAt(ghost, 3000)).toEqual({ moves: 2, rows: 4, finished: true });
+  });
+
+  it('compares rows against the ghost', () => {
+    expect(ghostStanding(ghost, 500, 1)).toBe('ahead');
+    expect(ghostStanding(ghost, 500, 0)).toBe('level');
+    expect(ghostStanding(ghost, 1500, 0)).toBe('behind');
+    expect(ghostStanding(ghost, 4000, 3)).toBe('behind');
+  });
+
+  it('rejects malformed ghosts', () => {
+    expect(isValidGhost(null)).toBe(false);
+    expect(isValidGhost({ moves: 2, points: [] })).toBe(false);
+  });
+});
+
+describe('recording ghosts', () => {
+  const run = (moves, time, date) => ({ moves, time, date, points: [[0, 0, 0]] });
+
+  it('keeps the best run on each board', () => {
+    const ghosts = recordGhost({}, 'a', run(10, 30, 1));
+    expect(recordGhost(ghosts, 'a', run(12, 20, 2))).toBe(ghosts);
+    expect(recordGhost(ghosts, 'a', run(10, 25, 2)).a.time).toBe(25);
+  });
+
+  it(`keeps only the ${MAX_GHOSTS} most recent boards`, () => {
+    let ghosts = {};
+    for (let i = 0; i <= MAX_GHOSTS; i++) ghosts = recordGhost(ghosts, `b${i}`, run(10, 30, i));
+    expect(Object.keys(ghosts)).toHaveLength(MAX_GHOSTS);
+    expect(ghosts.b0).toBeUndefined();
+    expect(ghosts[`b${MAX_GHOSTS}`]).toBeDefined();
+  });
+
+  it('stores ghosts in the game state', () => {
+    const ghost = run(10, 30, 1);
+    let state = gameStateReducer(INITIAL_STATE, { type: GAME_ACTIONS.RECORD_GHOST, payload: { key: 'a', ghost } });
+    expect(state.ghosts).toEqual({ a: ghost });
+    expect(gameStateReducer(state, { type: GAME_ACTIONS.RECORD_GHOST, payload: { key: 'a', ghost } })).toBe(state);
+    state = gameStateReducer(state, { type: GAME_ACTIONS.LOAD_GHOSTS, payload: {} });
+    expect(state.ghosts).toEqual({});
+  });
+});
@@ -0,0 +1,119 @@
+import {
+  applySwap,
+  checkRowCompletion,
+  checkStrategicError,
+  createGridData,
+  evaluateGrid,
+} from '../engine';
+
+const MODES = ['classic', 'color', 'pattern'];
+
+describe('createGridData', () => {
+  it.each(MODES)('%s builds size*size tiles with matching currentIndex', (mode) => {
+    for (const size of [4, 5, 6]) {
+      const grid = createGridData(size, mode, true);
+      expect(grid).toHaveLength(size * size);
+      grid.forEach((tile, i) => {
+        expect(tile.currentIndex).toBe(i);
+        expect(tile.gameMode).toBe(mode);
+      });
+      expect(new Set(grid.map(t => t.id)).size).toBe(size * size);
+    }
+  });
+
+  it('classic shuffles a permutation of 1..N', () => {
+    const numbers = createGridData(5, 'classic', true).map(t => t.number).sort((a, b) => a - b);
+    expect(numbers).toEqual(Array.from({ length: 25 }, (_, i) => i + 1));
+  });
+
+  it.each(MODES)('%s unshuffled grid is already solved', (mode) => {
+    const grid = createGridData(4, mode, false);
+    expect(evaluateGrid(grid, 4, mode, new Set()).isWin).toBe(true);
+  });
+});
+
+describe('checkRowCompletion', () => {
+  it('classic requires the exact sequence for that row', () => {
+    const grid = createGridData(4, 'classic', false);
+    expect(checkRowCompletion(grid, 4, 1, 'classic')).toBe(true);
+    const swapped = applySwap(grid, 4, 5);
+    expect(checkRowCompletion(swapped, 4, 1, 'classic')).toBe(false);
+    // Row 0 moved to row 1 is still "wrong" in classic.
+    const shifted = applySwap(applySwap(grid, 0, 4), 1, 5);
+    expect(checkRowCompletion(shifted, 4, 0, 'classic')).toBe(false);
+  });
+
+  it('color only needs every tile in the row to share one color', () => {
+    const grid = createGridData(4, 'color', false);
+    const swapped = applySwap(grid, 0, 4);
+    expect(checkRowCompletion(swapped, 4, 0, 'color')).toBe(false);
+    // Swapping two tiles of the same color inside a row keeps it complete.
+    expect(checkRowCompletion(applySwap(grid, 0, 1), 4, 0, 'color')).toBe(true);
+  });
+
+  it('pattern accepts any shared symbol, even in another row', () => {
+    const grid = createGridData(4, 'pattern', false);
+    // Swap rows 0 and 1 wholesale: both still uniform.
+    let g = grid;
+    for (let c = 0; c < 4; c++) g = applySwap(g, c, 4 + c);
+    expect(checkRowCompletion(g, 4, 0, 'pattern')).toBe(true);
+    expect(checkRowCompletion(applySwap(grid, 0, 4), 4, 0, 'pattern')).toBe(false);
+  });
+});
+
+describe('checkStrategicError', () => {
+  it('allows top-down and bottom-up completion', () => {
+    expect(checkStrategicError(new Set(), 5)).toBe(false);
+    expect(checkStrategicError(new Set([0, 1]), 5)).toBe(false);
+    expect(checkStrategicError(new Set([3, 4]), 5)).toBe(false);
+  });
+
+  it('flags a middle row completed out of order', () => {
+    expect(checkStrategicError(new Set([2]), 5)).toBe(true);
+    expect(checkStrategicError(new Set([0, 2]), 5)).toBe(true);
+  });
+
+  it('does not flag the outer rows alone', () => {
+    expect(checkStrategicError(new Set([0, 4]), 5)).toBe(false);
+  });
+});
+
+describe('evaluateGrid', () => {
+  it('reports only newly completed rows', () => {
+    const solved = createGridData(4, 'classic', false);
+    const grid = applySwap(solved, 12, 13);
+    const result = evaluateGrid(grid, 4, 'classic', new Set([0]));
+    expect(result.newlyCompleted).toEqual([1, 2]);
+    expect([...result.completedRowsAfter].sort()).toEqual([0, 1, 2]);
+    expect(result.isWin).toBe(false);
+  });
+
+  it('detects a win and suppresses the strategic error on it', () => {
+    const solved = createGridData(4, 'color', false);
+    const result = evaluateGrid(solved, 4, 'color', new Set([2]));
+    expect(result.isWin).toBe(true);
+    expect(result.isStrategicError).toBe(false);
+  });
+
+  it('flags a strategic error when a middle row completes first', () => {
+    const solved = createGridData(5, 'classic', false);
+    // Break rows 0, 1, 3, 4 so only the middle row is complete.
+    let grid = applySwap(solved, 0, 5);
+    grid = applySwap(grid, 15, 20);
+    const result = evaluateGrid(grid, 5, 'classic', new Set());
+    expect(result.newlyCompleted).toEqual([2]);
+    expect(result.isStrategicError).toBe(true);
+  });
+});
+
+describe('applySwap', () => {
+  it('is immutable and keeps currentIndex in sync', () => {
+    const grid = createGridData(4, 'pattern', false);
+    const next = applySwap(grid, 0, 15);
+    expect(next).not.toBe(grid);
+    expect(next[0].id).toBe(grid[15].id);
+    expect(next[0].currentIndex).toBe(0);
+    expect(next[15].currentIndex).toBe(15);
+    expect(grid[0].id).toBe('tile-0');
+  });
+});
@@ -0,0 +1,107 @@
+import {
+  GAME_ACTIONS,
+  INITIAL_STATE,
+  MAX_HISTORY,
+  applySwap,
+  canRedo,
+  canUndo,
+  createGridFromSeed,
+  gameStateReducer,
+} from '../engine';
+
+const reduce = (state, type, payload) => gameStateReducer(state, { type, payload });
+
+const newGame = () => reduce(
+  { ...INITIAL_STATE, gridSize: 4, gameMode: 'classic', gridData: createGridFromSeed(4, 'classic', 3) },
+  GAME_ACTIONS.START_NEW_GAME,
+  { seed: 3, now: 0, timeLimit: 60 }
+);
+
+// A swipe that completes row 0, as GameGrid + useGameEvaluation dispatch it.
+const completingSwipe = (state) => {
+  let next = reduce(state, GAME_ACTIONS.SWAP_TILES, { fromIndex: 0, toIndex: 1 });
+  next = reduce(next, GAME_ACTIONS.COMPLETE_ROW, { rowIndex: 0 });
+  return reduce(next, GAME_ACTIONS.ADD_POWER_UP, { id: '3-0', type: 'ROW_HINT' });
+};
+
+describe('undo / redo', () => {
+  it('starts each game with nothing to undo or redo', () => {
+    const state = newGame();
+    expect(canUndo(state)).toBe(false);
+    expect(canRedo(state)).toBe(false);
+    expect(reduce(state, GAME_ACTIONS.UNDO_MOVE)).toBe(state);
+    expect(reduce(state, GAME_ACTIONS.REDO_MOVE)).toBe(state);
+  });
+
+  it('undoes and redoes a swipe', () => {
+    const start = newGame();
+    const swiped = reduce(start, GAME_ACTIONS.SWAP_TILES, { fromIndex: 0, toIndex: 1 });
+    expect(swiped.gridData).toEqual(applySwap(start.gridData, 0, 1));
+
+    const undone = reduce(swiped, GAME_ACTIONS.UNDO_MOVE);
+    expect(undone.gridData).toBe(start.gridData);
+    expect(undone.undoCount).toBe(1);
+    expect(canRedo(undone)).toBe(true);
+
+    const redone = reduce(undone, GAME_ACTIONS.REDO_MOVE);
+    expect(redone.gridData).toBe(swiped.gridData);
+    expect(canRedo(redone)).toBe(false);
+    expect(redone.undoCount).toBe(1);
+  });
+
+  it('un-completes rows and unlocks their tiles', () => {
+    const done = completingSwipe(newGame());
+    expect(done.lockedTiles.size).toBe(4);
+
+    const undone = reduce(done, GAME_ACTIONS.UNDO_MOVE);
+    expect(undone.completedRows.size).toBe(0);
+    expect(undone.lockedTiles.size).toBe(0);
+    expect(undone.rowCompletionStreak).toBe(0);
+
+    const redone = reduce(undone, GAME_ACTIONS.REDO_MOVE);
+    expect(redone.completedRows).toEqual(new Set([0]));
+    expect(redone.lockedTiles).toEqual(new Set([0, 1, 2, 3]));
+  });
+
+  it('does not hand out the same drop twice', () => {
+    const done = completingSwipe(newGame());
+    const undone = reduce(done, GAME_ACTIONS.UNDO_MOVE);
+    // The drop stays in hand; completing the row again earns nothing new.
+    expect(undone.availablePowerUps).toHaveLength(1);
+    const again = completingSwipe(undone);
+    expect(again.availablePowerUps).toHaveLength(1);
+  });
+
+  it('records power-up grid changes as moves', () => {
+    const start = newGame();
+    const grid = applySwap(start.gridData, 2, 3);
+    const applied = reduce(start, GAME_ACTIONS.APPLY_POWER_UP_GRID, { gridData: grid, now: 0 });
+    expect(applied.gridData).toBe(grid);
+    expect(reduce(applied, GAME_ACTIONS.UNDO_MOVE).gridData).toBe(start.gridData);
+    // Loading a board is not a move.
+    expect(canUndo(reduce(start, GAME_ACTIONS.SET_GRID_DATA, grid))).toBe(false);
+  });
+
+  it('drops the redo branch on a new move', () => {
+    let state = reduce(newGame(), GAME_ACTIONS.SWAP_TILES, { fromIndex: 0, toIndex: 1 });
+    state = reduce(state, GAME_ACTIONS.UNDO_MOVE);
+    state = reduce(state, GAME_ACTIONS.SWAP_TILES, { fromIndex: 4, toIndex: 5 });
+    expect(canRedo(state)).toBe(false);
+  });
+
+  it('keeps at most MAX_HISTORY moves', () => {
+    let state = newGame();
+    for (let i = 0; i < MAX_HISTORY + 10; i++) {
+      state = reduce(state, GAME_ACTIONS.SWAP_TILES, { fromIndex: 0, toIndex: 1 });
+    }
+    expect(state.history.past).toHaveLength(MAX_HISTORY);
+  });
+
+  it('resets on a new game', () => {
+    const played = reduce(completingSwipe(newGame()), GAME_ACTIONS.UNDO_MOVE);
+    const fresh = reduce(played, GAME_ACTIONS.START_NEW_GAME, { seed: 4, now: 0 });
+    expect(canUndo(fresh)).toBe(false);
+    expect(canRedo(fresh)).toBe(false);
+    expect(fresh.undoCount).toBe(0);
+  });
+});
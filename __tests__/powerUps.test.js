@@ -0,0 +1,83 @@
+import {
+  applySwap,
+  autoCompleteGrid,
+  checkRowCompletion,
+  createGridData,
+  findHintRow,
+  findTeleportSwap,
+} from '../engine';
+
+const countInPlace = (grid) => grid.filter((t, i) => t.number === i + 1).length;
+
+describe('findHintRow', () => {
+  it('picks the incomplete row with the most correct tiles', () => {
+    let grid = createGridData(4, 'classic', false);
+    grid = applySwap(grid, 0, 15); // rows 0 and 3 each lose one tile
+    grid = applySwap(grid, 4, 9); // rows 1 and 2 each lose one tile
+    grid = applySwap(grid, 5, 10); // rows 1 and 2 lose another
+    expect(findHintRow(grid, 4, 'classic')).toBe(0);
+  });
+
+  it('returns null when every row is complete', () => {
+    expect(findHintRow(createGridData(4, 'pattern', false), 4, 'pattern')).toBeNull();
+  });
+
+  it('scores pattern rows by their dominant symbol', () => {
+    let grid = createGridData(4, 'pattern', false);
+    grid = applySwap(grid, 0, 4);
+    grid = applySwap(grid, 1, 8);
+    grid = applySwap(grid, 12, 13); // same symbol, row 3 stays complete
+    expect(findHintRow(grid, 4, 'pattern')).toBe(1);
+  });
+});
+
+describe('autoCompleteGrid', () => {
+  it('classic places two more tiles without undoing the first fix', () => {
+    let grid = createGridData(4, 'classic', false);
+    grid = applySwap(grid, 0, 1);
+    grid = applySwap(grid, 2, 3);
+    const before = countInPlace(grid);
+    const next = autoCompleteGrid(grid, 4, 'classic');
+    expect(countInPlace(next)).toBe(before + 4);
+    expect(checkRowCompletion(next, 4, 0, 'classic')).toBe(true);
+  });
+
+  it('color moves a matching tile into the first broken row', () => {
+    // Color rows take their target from the first tile, so break column 1.
+    let grid = createGridData(4, 'color', false);
+    grid = applySwap(grid, 1, 4);
+    const next = autoCompleteGrid(grid, 4, 'color');
+    expect(checkRowCompletion(next, 4, 0, 'color')).toBe(true);
+  });
+
+  it('pattern pulls the dominant symbol into each broken row', () => {
+    let grid = createGridData(4, 'pattern', false);
+    grid = applySwap(grid, 0, 8);
+    const next = autoCompleteGrid(grid, 4, 'pattern');
+    expect(checkRowCompletion(next, 4, 0, 'pattern')).toBe(true);
+    expect(checkRowCompletion(next, 4, 2, 'pattern')).toBe(true);
+  });
+
+  it('returns the original array when there is nothing to fix', () => {
+    const grid = createGridData(5, 'classic', false);
+    expect(autoCompleteGrid(grid, 5, 'classic')).toBe(grid);
+  });
+});
+
+describe('findTeleportSwap', () => {
+  it('classic targets the first misplaced number', () => {
+    const grid = applySwap(createGridData(4, 'classic', false), 3, 10);
+    expect(findTeleportSwap(grid, 4, 'classic')).toEqual([3, 10]);
+  });
+
+  it('color swaps a wrong tile with one of the row color elsewhere', () => {
+    const grid = applySwap(createGridData(4, 'color', false), 5, 14);
+    const swap = findTeleportSwap(grid, 4, 'color');
+    expect(swap[0]).toBe(5);
+    expect(checkRowCompletion(applySwap(grid, swap[0], swap[1]), 4, 1, 'color')).toBe(true);
+  });
+
+  it('returns null on a solved board', () => {
+    expect(findTeleportSwap(createGridData(6, 'pattern', false), 6, 'pattern')).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+import {
+  GAME_ACTIONS,
+  INITIAL_STATE,
+  PUZZLE_STRING_PREFIX,
+  createGridFromLayout,
+  createGridFromSeed,
+  createLevelGrid,
+  createReplay,
+  createRng,
+  decodePuzzle,
+  deserializeGame,
+  encodePuzzle,
+  gameStateReducer,
+  gridLayout,
+  puzzleFromReplay,
+  puzzleLink,
+  readPuzzleCode,
+  scrambleLayout,
+  serializeGame,
+  solveGrid,
+  validatePuzzle,
+  validatePuzzleAsync,
+} from '../engine';
+
+const reduce = (state, type, payload) => gameStateReducer(state, { type, payload });
+
+const SOLVED = Array.from({ length: 16 }, (_, i) => i);
+// Rows 0 and 1 complete; two tiles swapped in row 2.
+const LAYOUT = [0, 1, 2, 3, 4, 5, 6, 7, 9, 8, 10, 11, 12, 13, 14, 15];
+
+const puzzle = {
+  id: 'p', name: 'Two Rows Down', mode: 'classic', size: 4,
+  layout: LAYOUT, lockedRows: [0, 1], moveLimit: 3, par: 1,
+};
+
+describe('puzzle strings', () => {
+  it('round-trips a puzzle', () => {
+    const code = encodePuzzle(puzzle);
+    expect(code.startsWith(`${PUZZLE_STRING_PREFIX}.n4.`)).toBe(true);
+    const decoded = decodePuzzle(code);
+    expect(decoded).toMatchObject({ ...puzzle, id: expect.stringMatching(/^custom-/) });
+    expect(decoded.timeLimit).toBeUndefined();
+    expect(decodePuzzle(` ${code} `).id).toBe(decoded.id);
+  });
+
+  it('keeps time limits and odd names', () => {
+    const timed = { ...puzzle, moveLimit: undefined, timeLimit: 90, name: 'a.b c%' };
+    expect(decodePuzzle(encodePuzzle(timed))).toMatchObject({ timeLimit: 90, name: 'a.b c%' });
+  });
+
+  it('keeps an unproven par unset', () => {
+    expect(decodePuzzle(encodePuzzle({ ...puzzle, par: null })).par).toBeNull();
+  });
+
+  it('rejects strings that are not playable puzzles', () => {
+    const code = encodePuzzle(puzzle);
+    expect(decodePuzzle('')).toBeNull();
+    expect(decodePuzzle(null)).toBeNull();
+    expect(decodePuzzle(code.replace(PUZZLE_STRING_PREFIX, 'gz9'))).toBeNull();
+    expect(decodePuzzle(code.replace('.n4.', '.x4.'))).toBeNull();
+    expect(decodePuzzle(code.replace('.01.', '.2.'))).toBeNull();
+    expect(decodePuzzle(code.replace('.m3.', '.m0.'))).toBeNull();
+    expect(decodePuzzle(code.replace('0123', '0023'))).toBeNull();
+  });
+});
+
+describe('sharing', () => {
+  it('opens a play link', () => {
+    const link = puzzleLink(puzzle);
+    expect(link.startsWith('gridzen2://play?code=')).toBe(true);
+    expect(readPuzzleCode(link)).toEqual(decodePuzzle(encodePuzzle(puzzle)));
+    expect(readPuzzleCode('gridzen2://play?seed=1')).toBeNull();
+  });
+
+  it('finds the code in a pasted message', () => {
+    const message = `Try this:\n${encodePuzzle(puzzle)}\nGood luck`;
+    expect(readPuzzleCode(message)).toEqual(decodePuzzle(encodePuzzle(puzzle)));
+    expect(readPuzzleCode('hello')).toBeNull();
+  });
+
+  it('shares a played board from its replay', () => {
+    const gridData = createGridFromSeed(5, 'color', 9);
+    const replay = createReplay(gridData, 'color', 5, 9);
+    const shared = decodePuzzle(encodePuzzle(puzzleFromReplay(replay, { timeLimit: 75, par: 12, name: 'Mine' })));
+    expect(shared).toMatchObject({ mode: 'color', size: 5, timeLimit: 75, par: 12, name: 'Mine', lockedRows: [] });
+    expect(createLevelGrid(shared)).toEqual(gridData);
+  });
+});
+
+describe('validatePuzzle', () => {
+  it('gives par for a solvable puzzle', () => {
+    expect(validatePuzzle(puzzle)).toEqual({ ok: true, par: 1 });
+  });
+
+  it('explains what is wrong', () => {
+    expect(validatePuzzle({ ...puzzle, lockedRows: [2] }).ok).toBe(false);
+    expect(validatePuzzle({ ...puzzle, layout: SOLVED }).error).toMatch(/already solved/);
+    expect(validatePuzzle({ ...puzzle, moveLimit: 0 }).error).toMatch(/below par/);
+  });
+
+  it('tells a board with no solution from one the solver gave up on', () => {
+    // Row 1 is locked while tiles for rows 0 and 2 sit on the wrong side of it.
+    const sealed = { ...puzzle, layout: [8, ...SOLVED.slice(1, 8), 0, ...SOLVED.slice(9)], lockedRows: [1] };
+    expect(validatePuzzle(sealed).error).toMatch(/No solution:/);
+    const scrambled = { ...puzzle, layout: gridLayout(createGridFromSeed(4, 'classic', 1)), lockedRows: [] };
+    const gaveUp = validatePuzzle(scrambled, { beamWidth: 0, maxNodes: 0 });
+    expect(gaveUp.error).toMatch(/No solution found in time/);
+  });
+
+  it('holds an unproven par to the lower bound and leaves it unset', () => {
+    const layout = gridLayout(createGridFromSeed(4, 'classic', 1));
+    const { moves, optimal, lowerBound } = solveGrid(createGridFromLayout(4, 'classic', layout), 4, 'classic');
+    expect(optimal).toBe(false);
+    expect(lowerBound).toBeLessThan(moves);
+    const board = { ...puzzle, layout, lockedRows: [], moveLimit: lowerBound };
+    expect(validatePuzzle(board)).toEqual({ ok: true, par: null });
+    expect(validatePuzzle({ ...board, moveLimit: lowerBound - 1 }).error).toMatch(/needs at least/);
+  });
+});
+
+describe('validatePuzzleAsync', () => {
+  it('checks in slices to the same verdict', async () => {
+    const board = { ...puzzle, layout: gridLayout(createGridFromSeed(4, 'color', 4)), mode: 'color', lockedRows: [] };
+    await expect(validatePuzzleAsync(board).promise).resolves.toEqual(validatePuzzle(board));
+    await expect(validatePuzzleAsync({ ...puzzle, layout: SOLVED }).promise).resolves.toEqual(validatePuzzle({ ...puzzle, layout: SOLVED }));
+  });
+
+  it('resolves to null when cancelled', async () => {
+    const check = validatePuzzleAsync({ ...puzzle, layout: gridLayout(createGridFromSeed(4, 'classic', 1)), lockedRows: [] });
+    check.cancel();
+    await expect(check.promise).resolves.toBeNull();
+  });
+});
+
+describe('scrambleLayout', () => {
+  it('never moves a tile across a locked row', () => {
+    const layout = scrambleLayout(SOLVED, 4, [1], createRng(5));
+    expect(layout.slice(4, 8)).toEqual([4, 5, 6, 7]);
+    expect(layout.slice(0, 4).sort((a, b) => a - b)).toEqual([0, 1, 2, 3]);
+    expect(layout.slice(8).sort((a, b) => a - b)).toEqual(SOLVED.slice(8));
+  });
+});
+
+describe('custom puzzles', () => {
+  it('saves, replaces and deletes by id', () => {
+    let state = reduce(INITIAL_STATE, GAME_ACTIONS.SAVE_CUSTOM_PUZZLE, puzzle);
+    state = reduce(state, GAME_ACTIONS.SAVE_CUSTOM_PUZZLE, { ...puzzle, id: 'q' });
+    state = reduce(state, GAME_ACTIONS.SAVE_CUSTOM_PUZZLE, { ...puzzle, name: 'Renamed' });
+    expect(state.customPuzzles.map(p => [p.id, p.name])).toEqual([['p', 'Renamed'], ['q', puzzle.name]]);
+    state = reduce(state, GAME_ACTIONS.DELETE_CUSTOM_PUZZLE, 'p');
+    expect(state.customPuzzles.map(p => p.id)).toEqual(['q']);
+  });
+
+  it('plays and saves a puzzle that is not in the campaign', () => {
+    const state = reduce(
+      { ...INITIAL_STATE, gridData: createLevelGrid(puzzle) },
+      GAME_ACTIONS.START_NEW_GAME,
+      { now: 0, moveLimit: 3, puzzle, lockedRows: puzzle.lockedRows }
+    );
+    expect(state.puzzle).toBe(puzzle);
+    expect(state.levelId).toBeNull();
+    const snapshot = deserializeGame(JSON.parse(JSON.stringify(serializeGame(state, 0))));
+    expect(snapshot.puzzle).toEqual(puzzle);
+  });
+});
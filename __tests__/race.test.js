@@ -0,0 +1,47 @@
+import {
+  GAME_ACTIONS,
+  createRace,
+  gridLayout,
+  isRaceOver,
+  raceReducer,
+} from '../engine';
+
+const newRace = () => createRace({ seed: 7, mode: 'color', size: 4, difficulty: 'easy', now: 0 });
+
+describe('races', () => {
+  it('gives every lane the same board and its own game', () => {
+    const race = newRace();
+    expect(race.lanes).toHaveLength(2);
+    expect(gridLayout(race.lanes[0].gridData)).toEqual(gridLayout(race.lanes[1].gridData));
+    expect(race.lanes[0]).not.toBe(race.lanes[1]);
+    expect(race.lanes.every(lane => lane.gamePhase === 'playing' && lane.seed === 7)).toBe(true);
+  });
+
+  it('sends an action to its lane only', () => {
+    const race = raceReducer(newRace(), { type: GAME_ACTIONS.INCREMENT_MOVES, lane: 1 });
+    expect(race.lanes.map(lane => lane.moveCount)).toEqual([0, 1]);
+    expect(raceReducer(race, { type: 'NOPE', lane: 0 })).toBe(race);
+  });
+
+  it('sends an action without a lane to every lane', () => {
+    const race = raceReducer(newRace(), { type: GAME_ACTIONS.PAUSE_GAME, payload: { now: 1000 } });
+    expect(race.lanes.every(lane => lane.isGamePaused)).toBe(true);
+  });
+
+  it('ends the race when the first lane solves its board', () => {
+    let race = raceReducer(newRace(), { type: GAME_ACTIONS.SET_GAME_PHASE, payload: 'won', lane: 1 });
+    expect(race.winner).toBe(1);
+    expect(race.lanes[0].gamePhase).toBe('gameOver');
+    expect(isRaceOver(race)).toBe(true);
+    race = raceReducer(race, { type: GAME_ACTIONS.SET_GAME_PHASE, payload: 'won', lane: 0 });
+    expect(race.winner).toBe(1);
+  });
+
+  it('has no winner if every clock runs out', () => {
+    let race = raceReducer(newRace(), { type: GAME_ACTIONS.SET_GAME_PHASE, payload: 'gameOver', lane: 0 });
+    expect(isRaceOver(race)).toBe(false);
+    race = raceReducer(race, { type: GAME_ACTIONS.SET_GAME_PHASE, payload: 'gameOver', lane: 1 });
+    expect(isRaceOver(race)).toBe(true);
+    expect(race.winner).toBeNull();
+  });
+});
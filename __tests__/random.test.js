@@ -0,0 +1,82 @@
+import {
+  createGridData,
+  createGridFromSeed,
+  createPowerUpDrop,
+  createRng,
+  deriveSeed,
+  hashSeed,
+  randomSeed,
+  POWER_UP_CONFIG,
+} from '../engine';
+
+describe('createRng', () => {
+  it('is deterministic for a seed and stays in [0, 1)', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    for (let i = 0; i < 200; i++) {
+      const x = a();
+      expect(x).toBe(b());
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThan(1);
+    }
+  });
+
+  it('diverges for different seeds', () => {
+    expect(createRng(1)()).not.toBe(createRng(2)());
+  });
+});
+
+describe('seed helpers', () => {
+  it('randomSeed returns an unsigned 32-bit integer', () => {
+    const seed = randomSeed();
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThan(2 ** 32);
+  });
+
+  it('hashSeed and deriveSeed are stable', () => {
+    expect(hashSeed('2026-10-18')).toBe(hashSeed('2026-10-18'));
+    expect(hashSeed('a')).not.toBe(hashSeed('b'));
+    expect(deriveSeed(7, 'x')).toBe(deriveSeed(7, 'x'));
+    expect(deriveSeed(7, 'x')).not.toBe(deriveSeed(7, 'y'));
+  });
+});
+
+describe('createGridFromSeed', () => {
+  it.each(['classic', 'color', 'pattern'])('rebuilds the same %s board from a seed', (mode) => {
+    const a = createGridFromSeed(5, mode, 123456);
+    const b = createGridFromSeed(5, mode, 123456);
+    expect(b).toEqual(a);
+    expect(createGridData(5, mode, true, createRng(123456))).toEqual(a);
+  });
+
+  it('different seeds give different boards', () => {
+    const numbers = (g) => g.map(t => t.number).join();
+    expect(numbers(createGridFromSeed(6, 'classic', 1))).not.toBe(numbers(createGridFromSeed(6, 'classic', 2)));
+  });
+});
+
+describe('createPowerUpDrop', () => {
+  it('drops the same power-up for the same seed and index', () => {
+    expect(createPowerUpDrop(99, 0)).toEqual(createPowerUpDrop(99, 0));
+    expect(createPowerUpDrop(99, 0).id).not.toBe(createPowerUpDrop(99, 1).id);
+  });
+
+  it('never drops FREEZE_TIME in Zen mode', () => {
+    const drops = Array.from({ length: 50 }, (_, i) => createPowerUpDrop(7, i, { zen: true }).type);
+    expect(drops).not.toContain('FREEZE_TIME');
+    expect(new Set(drops).size).toBe(Object.keys(POWER_UP_CONFIG).length - 1);
+  });
+
+  it('favours FREE_MOVES in move-limited games', () => {
+    const drops = Array.from({ length: 200 }, (_, i) => createPowerUpDrop(7, i, { moveLimited: true }).type);
+    expect(drops).not.toContain('FREEZE_TIME');
+    const freeMoves = drops.filter(t => t === 'FREE_MOVES').length;
+    expect(freeMoves).toBeGreaterThan(drops.length / 4);
+  });
+
+  it('carries the config for its type', () => {
+    const drop = createPowerUpDrop(5, 3);
+    expect(POWER_UP_CONFIG[drop.type]).toMatchObject({ icon: drop.icon, name: drop.name, effect: drop.effect });
+  });
+});
@@ -0,0 +1,294 @@
+import { GAME_ACTIONS, INITIAL_STATE, MAX_POWER_UPS, createGridData, gameStateReducer } from '../engine';
+
+const reduce = (state, type, payload) => gameStateReducer(state, { type, payload });
+
+const playing = () => ({
+  ...INITIAL_STATE,
+  gamePhase: 'playing',
+  isGameActive: true,
+  gridData: createGridData(4, 'classic', false),
+});
+
+const powerUp = (id, type = 'FREEZE_TIME') => ({ id, type });
+
+describe('gameStateReducer', () => {
+  it('handles every GAME_ACTIONS type', () => {
+    // Guards against a new action being added without a reducer case or test.
+    // One move each way on the history so UNDO_MOVE / REDO_MOVE have work to do,
+    // a survival run in progress for NEXT_SURVIVAL_BOARD, and a pass-and-play
+    // session for RECORD_SESSION_TURN.
+    const base = {
+      ...INITIAL_STATE,
+      history: { past: [{ gridData: [] }], future: [{ gridData: [] }], dropped: [] },
+      survival: { seed: 1, boardsCleared: 0, rowsCleared: 0 },
+      session: { seed: 1, players: [{ name: 'A', result: null }, { name: 'B', result: null }], turn: 0 },
+    };
+    const handled = Object.values(GAME_ACTIONS).filter((type) => {
+      const next = gameStateReducer(base, {
+        type,
+        payload: {
+          rowIndex: 0, fromIndex: 0, toIndex: 0, gameMode: 'classic', gridSize: 4,
+          score: { moves: 1, time: 1 }, now: 0, seconds: 1,
+          snapshot: { clock: { budgetMs: 1000, elapsedMs: 0 } },
+          powerUp: { id: 'x', type: 'ROW_HINT' }, gridData: [],
+          board: { seed: 2, size: 4, gridData: [] }, result: { score: 1 }, levelId: 'a', stars: 1,
+          id: 'p', key: 'k', ghost: { moves: 1, time: 1, date: 1, points: [[0, 0, 0]] },
+        },
+      });
+      return next !== base;
+    });
+    expect(handled).toEqual(Object.values(GAME_ACTIONS));
+  });
+
+  it('returns the same state for unknown actions', () => {
+    expect(reduce(INITIAL_STATE, 'NOPE')).toBe(INITIAL_STATE);
+  });
+
+  it('SET_GAME_PHASE / SET_GAME_MODE / SET_GRID_SIZE set their field', () => {
+    expect(reduce(INITIAL_STATE, GAME_ACTIONS.SET_GAME_PHASE, 'won').gamePhase).toBe('won');
+    expect(reduce(INITIAL_STATE, GAME_ACTIONS.SET_GAME_MODE, 'pattern').gameMode).toBe('pattern');
+    expect(reduce(INITIAL_STATE, GAME_ACTIONS.SET_GRID_SIZE, 6).gridSize).toBe(6);
+  });
+
+  it('SET_GRID_DATA replaces the grid', () => {
+    const grid = createGridData(5, 'color', false);
+    expect(reduce(INITIAL_STATE, GAME_ACTIONS.SET_GRID_DATA, grid).gridData).toBe(grid);
+  });
+
+  it('SWAP_TILES swaps two tiles and rewrites currentIndex', () => {
+    const state = playing();
+    const next = reduce(state, GAME_ACTIONS.SWAP_TILES, { fromIndex: 0, toIndex: 1 });
+    expect(next.gridData[0].number).toBe(2);
+    expect(next.gridData[1].number).toBe(1);
+    expect(next.gridData[0].currentIndex).toBe(0);
+    expect(next.gridData[1].currentIndex).toBe(1);
+    expect(state.gridData[0].number).toBe(1);
+  });
+
+  it('INCREMENT_MOVES counts up', () => {
+    expect(reduce(playing(), GAME_ACTIONS.INCREMENT_MOVES).moveCount).toBe(1);
+  });
+
+  it('COMPLETE_ROW marks the row, locks its tiles and bumps the streak', () => {
+    const next = reduce(playing(), GAME_ACTIONS.COMPLETE_ROW, { rowIndex: 1 });
+    expect([...next.completedRows]).toEqual([1]);
+    expect([...next.lockedTiles].sort((a, b) => a - b)).toEqual([4, 5, 6, 7]);
+    expect(next.rowCompletionStreak).toBe(1);
+    expect(INITIAL_STATE.completedRows.size).toBe(0);
+  });
+
+  it('ADD_POWER_UP caps the rail at MAX_POWER_UPS, dropping the oldest', () => {
+    let state = playing();
+    for (let i = 0; i < MAX_POWER_UPS + 2; i++) {
+      state = reduce(state, GAME_ACTIONS.ADD_POWER_UP, powerUp(String(i)));
+    }
+    expect(state.availablePowerUps).toHaveLength(MAX_POWER_UPS);
+    expect(state.availablePowerUps[0].id).toBe('2');
+  });
+
+  it('USE_POWER_UP removes it by id and marks it active', () => {
+    let state = reduce(playing(), GAME_ACTIONS.ADD_POWER_UP, powerUp('a', 'ROW_HINT'));
+    state = reduce(state, GAME_ACTIONS.ADD_POWER_UP, powerUp('b'));
+    state = reduce(state, GAME_ACTIONS.USE_POWER_UP, { powerUp: powerUp('a', 'ROW_HINT'), now: 0 });
+    expect(state.availablePowerUps.map(p => p.id)).toEqual(['b']);
+    expect(state.activePowerUp).toBe('ROW_HINT');
+  });
+
+  it('CLEAR_POWER_UPS empties the rail', () => {
+    const state = reduce(reduce(playing(), GAME_ACTIONS.ADD_POWER_UP, powerUp('a')), GAME_ACTIONS.CLEAR_POWER_UPS);
+    expect(state.availablePowerUps).toEqual([]);
+    expect(state.activePowerUp).toBeNull();
+  });
+
+  it('SET_FREE_MOVES adds and CONSUME_FREE_MOVE never goes below zero', () => {
+    let state = reduce(playing(), GAME_ACTIONS.SET_FREE_MOVES, 3);
+    state = reduce(state, GAME_ACTIONS.SET_FREE_MOVES, 3);
+    expect(state.freeMovesRemaining).toBe(6);
+    state = reduce({ ...state, freeMovesRemaining: 0 }, GAME_ACTIONS.CONSUME_FREE_MOVE);
+    expect(state.freeMovesRemaining).toBe(0);
+  });
+
+  it('SET_HINT_ROW / CLEAR_HINT_ROW', () => {
+    const state = reduce(playing(), GAME_ACTIONS.SET_HINT_ROW, 2);
+    expect(state.hintRowIndex).toBe(2);
+    expect(reduce(state, GAME_ACTIONS.CLEAR_HINT_ROW).hintRowIndex).toBeNull();
+  });
+
+  describe('clock', () => {
+    const started = (timeLimit = 90) => reduce(playing(), GAME_ACTIONS.START_NEW_GAME, { now: 1000, timeLimit });
+
+    it('START_NEW_GAME starts a running clock with the time limit', () => {
+      const state = started();
+      expect(state.timeRemaining).toBe(90);
+      expect(state.elapsedTime).toBe(0);
+      expect(state.clock.runningSince).toBe(1000);
+      // Without a limit it falls back to the size's budget.
+      expect(reduce({ ...playing(), gridSize: 6 }, GAME_ACTIONS.START_NEW_GAME).timeRemaining).toBe(130);
+    });
+
+    it('a Zen game counts up with no budget', () => {
+      let state = reduce(playing(), GAME_ACTIONS.START_NEW_GAME, { now: 1000, timeLimit: 90, zen: true });
+      expect(state.isZen).toBe(true);
+      state = reduce(state, GAME_ACTIONS.TICK_CLOCK, { now: 1000 + 3600 * 1000 });
+      expect(state.elapsedTime).toBe(3600);
+      expect(state.timeRemaining).toBe(Infinity);
+      expect(reduce(state, GAME_ACTIONS.START_NEW_GAME, { now: 0 }).isZen).toBe(false);
+    });
+
+    it('a move challenge is untimed and carries its budget', () => {
+      let state = reduce(playing(), GAME_ACTIONS.START_NEW_GAME, { now: 1000, moveLimit: 30 });
+      expect(state.moveLimit).toBe(30);
+      expect(state.isZen).toBe(false);
+      state = reduce(state, GAME_ACTIONS.TICK_CLOCK, { now: 1000 + 600 * 1000 });
+      expect(state.timeRemaining).toBe(Infinity);
+      expect(reduce(state, GAME_ACTIONS.START_NEW_GAME, { now: 0 }).moveLimit).toBeNull();
+    });
+
+    it('a retry is marked for its game only', () => {
+      const state = reduce(playing(), GAME_ACTIONS.START_NEW_GAME, { now: 1000, retry: true, dailyKey: '2026-10-18' });
+      expect(state).toMatchObject({ isRetry: true, dailyKey: '2026-10-18' });
+      expect(reduce(state, GAME_ACTIONS.START_NEW_GAME, { now: 0 }).isRetry).toBe(false);
+    });
+
+    it('TICK_CLOCK derives both fields from timestamps', () => {
+      const state = reduce(started(), GAME_ACTIONS.TICK_CLOCK, { now: 1000 + 12345 });
+      expect(state.timeRemaining).toBe(78);
+      expect(state.elapsedTime).toBe(12.35);
+      // Ticks are idempotent: late or doubled ticks can't drift the clock.
+      expect(reduce(state, GAME_ACTIONS.TICK_CLOCK, { now: 1000 + 12345 })).toEqual(state);
+    });
+
+    it('paused time is not counted', () => {
+      let state = started();
+      state = reduce(state, GAME_ACTIONS.PAUSE_GAME, { now: 11000 });
+      expect(state).toMatchObject({ isGamePaused: true, isGameActive: false, elapsedTime: 10 });
+      state = reduce(state, GAME_ACTIONS.TICK_CLOCK, { now: 500000 });
+      expect(state.elapsedTime).toBe(10);
+      state = reduce(state, GAME_ACTIONS.RESUME_GAME, { now: 500000 });
+      expect(state).toMatchObject({ isGamePaused: false, isGameActive: true });
+      state = reduce(state, GAME_ACTIONS.TICK_CLOCK, { now: 505000 });
+      expect(state.elapsedTime).toBe(15);
+      expect(state.timeRemaining).toBe(75);
+    });
+
+    it('ADD_TIME extends the countdown without touching elapsed time', () => {
+      let state = reduce(started(60), GAME_ACTIONS.TICK_CLOCK, { now: 51000 });
+      state = reduce(state, GAME_ACTIONS.ADD_TIME, { seconds: 15, now: 51000 });
+      expect(state.timeRemaining).toBe(25);
+      state = reduce(state, GAME_ACTIONS.TICK_CLOCK, { now: 71000 });
+      expect(state.timeRemaining).toBe(5);
+      expect(state.elapsedTime).toBe(70);
+    });
+
+    it('SET_TIME sets the remaining time as of now', () => {
+      const state = reduce(started(), GAME_ACTIONS.SET_TIME, { seconds: 30, now: 21000 });
+      expect(state.timeRemaining).toBe(30);
+      expect(state.elapsedTime).toBe(20);
+    });
+
+    it('stops at zero when the budget runs out', () => {
+      const state = reduce(started(60), GAME_ACTIONS.TICK_CLOCK, { now: 999999 });
+      expect(state.timeRemaining).toBe(0);
+      expect(state.elapsedTime).toBe(60);
+    });
+  });
+
+  it('START_NEW_GAME resets per-game state but keeps the grid and settings', () => {
+    let state = playing();
+    state = reduce(state, GAME_ACTIONS.COMPLETE_ROW, { rowIndex: 0 });
+    state = reduce(state, GAME_ACTIONS.INCREMENT_MOVES);
+    state = reduce(state, GAME_ACTIONS.ADD_POWER_UP, powerUp('a'));
+    state = reduce(state, GAME_ACTIONS.SHOW_STRATEGIC_WARNING);
+    state = { ...state, gamePhase: 'won', isDarkTheme: true };
+    const next = reduce(state, GAME_ACTIONS.START_NEW_GAME);
+    expect(next).toMatchObject({
+      gamePhase: 'playing',
+      isGameActive: true,
+      isGamePaused: false,
+      moveCount: 0,
+      rowCompletionStreak: 0,
+      availablePowerUps: [],
+      freeMovesRemaining: 0,
+      hintRowIndex: null,
+      strategicWarningVisible: false,
+      strategicWarningShown: false,
+      isDarkTheme: true,
+    });
+    expect(next.completedRows.size).toBe(0);
+    expect(next.lockedTiles.size).toBe(0);
+    expect(next.gridData).toBe(state.gridData);
+  });
+
+  it('START_NEW_GAME records the seed it was given', () => {
+    expect(reduce(playing(), GAME_ACTIONS.START_NEW_GAME, { seed: 77 }).seed).toBe(77);
+    expect(reduce({ ...playing(), seed: 5 }, GAME_ACTIONS.START_NEW_GAME).seed).toBe(5);
+  });
+
+  it('SHOW_PANEL / HIDE_PANEL', () => {
+    const state = reduce(INITIAL_STATE, GAME_ACTIONS.SHOW_PANEL, 'scores');
+    expect(state.visiblePanel).toBe('scores');
+    expect(reduce(state, GAME_ACTIONS.HIDE_PANEL).visiblePanel).toBeNull();
+  });
+
+  it('strategic warning is shown once and stays flagged after hiding', () => {
+    const shown = reduce(playing(), GAME_ACTIONS.SHOW_STRATEGIC_WARNING);
+    expect(shown).toMatchObject({ strategicWarningVisible: true, strategicWarningShown: true });
+    expect(reduce(shown, GAME_ACTIONS.HIDE_STRATEGIC_WARNING))
+      .toMatchObject({ strategicWarningVisible: false, strategicWarningShown: true });
+  });
+
+  it('SET_DARK_THEME / SET_MUSIC_ENABLED coerce to booleans', () => {
+    expect(reduce(INITIAL_STATE, GAME_ACTIONS.SET_DARK_THEME, 1).isDarkTheme).toBe(true);
+    expect(reduce(INITIAL_STATE, GAME_ACTIONS.SET_MUSIC_ENABLED, undefined).musicEnabled).toBe(false);
+  });
+
+  it('SET_INPUT_MODE falls back to swiping for unknown modes', () => {
+    expect(INITIAL_STATE.inputMode).toBe('swipe');
+    expect(reduce(INITIAL_STATE, GAME_ACTIONS.SET_INPUT_MODE, 'tap').inputMode).toBe('tap');
+    expect(reduce({ ...INITIAL_STATE, inputMode: 'tap' }, GAME_ACTIONS.SET_INPUT_MODE, 'drag').inputMode).toBe('swipe');
+  });
+
+  describe('SAVE_HIGH_SCORE', () => {
+    const save = (state, moves, time) => reduce(state, GAME_ACTIONS.SAVE_HIGH_SCORE, {
+      gameMode: 'color', gridSize: 5, score: { moves, time, date: 0 },
+    });
+
+    it('sorts by moves then time and keeps the top 10', () => {
+      let state = INITIAL_STATE;
+      for (let i = 12; i > 0; i--) state = save(state, i, 10);
+      state = save(state, 1, 5);
+      const board = state.leaderboards.color['5x5'];
+      expect(board).toHaveLength(10);
+      expect(board[0]).toMatchObject({ moves: 1, time: 5 });
+      expect(board[1]).toMatchObject({ moves: 1, time: 10 });
+      expect(board[9].moves).toBe(9);
+    });
+
+    it('remembers the entry it just saved for highlighting', () => {
+      const next = reduce(INITIAL_STATE, GAME_ACTIONS.SAVE_HIGH_SCORE, {
+        gameMode: 'pattern', gridSize: 6, score: { moves: 9, time: 40, date: 1234 },
+      });
+      expect(next.lastSavedScore).toEqual({ gameMode: 'pattern', gridSize: 6, zen: false, date: 1234 });
+    });
+
+    it('does not mutate other modes or the previous leaderboards', () => {
+      const next = save(INITIAL_STATE, 3, 3);
+      expect(INITIAL_STATE.leaderboards.color['5x5']).toEqual([]);
+      expect(next.leaderboards.classic).toEqual(INITIAL_STATE.leaderboards.classic);
+    });
+
+    it('keeps Zen runs on their own boards', () => {
+      const next = reduce(INITIAL_STATE, GAME_ACTIONS.SAVE_HIGH_SCORE, {
+        gameMode: 'color', gridSize: 5, score: { moves: 7, time: 300, date: 1 }, zen: true,
+      });
+      expect(next.zenLeaderboards.color['5x5']).toEqual([{ moves: 7, time: 300, date: 1 }]);
+      expect(next.leaderboards).toBe(INITIAL_STATE.leaderboards);
+      expect(next.lastSavedScore.zen).toBe(true);
+    });
+  });
+
+  it('LOAD_LEADERBOARDS replaces the leaderboards', () => {
+    const boards = { classic: {}, color: {}, pattern: {} };
+    expect(reduce(INITIAL_STATE, GAME_ACTIONS.LOAD_LEADERBOARDS, boards).leaderboards).toBe(boards);
+  });
+});
@@ -0,0 +1,116 @@
+import {
+  GAME_ACTIONS,
+  INITIAL_STATE,
+  applySwap,
+  arrangeGrid,
+  autoCompleteGrid,
+  buildReplayFrames,
+  createGridFromLayout,
+  createGridFromSeed,
+  deserializeGame,
+  gameStateReducer,
+  gridLayout,
+  isValidReplay,
+  replayDuration,
+  serializeGame,
+} from '../engine';
+
+const reduce = (state, type, payload) => gameStateReducer(state, { type, payload });
+
+const newGame = (mode = 'classic', size = 4, seed = 21) => reduce(
+  { ...INITIAL_STATE, gridSize: size, gameMode: mode, gridData: createGridFromSeed(size, mode, seed) },
+  GAME_ACTIONS.START_NEW_GAME,
+  { seed, now: 1000, timeLimit: 60 }
+);
+
+describe('board layouts', () => {
+  it.each(['classic', 'color', 'pattern'])('round-trips a %s board', (mode) => {
+    const grid = createGridFromSeed(5, mode, 8);
+    expect(createGridFromLayout(5, mode, gridLayout(grid))).toEqual(grid);
+  });
+
+  it('arranges existing tiles without minting new ones', () => {
+    const grid = createGridFromSeed(4, 'classic', 8);
+    const target = applySwap(grid, 3, 9);
+    const arranged = arrangeGrid(grid, gridLayout(target));
+    expect(arranged).toEqual(target);
+  });
+});
+
+describe('replay recording', () => {
+  it('starts from the initial board with an empty log', () => {
+    const state = newGame();
+    expect(isValidReplay(state.replay)).toBe(true);
+    expect(createGridFromLayout(4, 'classic', state.replay.layout)).toEqual(state.gridData);
+    expect(state.replay.events).toEqual([]);
+    expect(state.replay).toMatchObject({ mode: 'classic', size: 4, seed: 21 });
+  });
+
+  it('stamps events with play time, not wall time', () => {
+    let state = newGame();
+    state = reduce(state, GAME_ACTIONS.SWAP_TILES, { fromIndex: 0, toIndex: 1, now: 3500 });
+    state = reduce(state, GAME_ACTIONS.PAUSE_GAME, { now: 4000 });
+    state = reduce(state, GAME_ACTIONS.RESUME_GAME, { now: 64000 });
+    state = reduce(state, GAME_ACTIONS.USE_POWER_UP, { powerUp: { id: 'a', type: 'ROW_HINT' }, now: 65000 });
+    state = reduce(state, GAME_ACTIONS.UNDO_MOVE, { now: 66000 });
+    expect(state.replay.events).toEqual([
+      [2500, 's', 0, 1],
+      [4000, 'p', 'ROW_HINT'],
+      [5000, 'u'],
+    ]);
+    expect(replayDuration(state.replay)).toBe(5000);
+  });
+
+  it('does not log an undo with nothing to undo', () => {
+    const state = reduce(newGame(), GAME_ACTIONS.UNDO_MOVE, { now: 2000 });
+    expect(state.replay.events).toEqual([]);
+  });
+
+  it('survives a saved game', () => {
+    const state = reduce(newGame(), GAME_ACTIONS.SWAP_TILES, { fromIndex: 0, toIndex: 1, now: 2000 });
+    const restored = deserializeGame(JSON.parse(JSON.stringify(serializeGame(state, 2000))));
+    expect(restored.replay).toEqual(state.replay);
+  });
+});
+
+describe('replay playback', () => {
+  it('reproduces the live game frame by frame', () => {
+    let state = newGame('color', 4, 5);
+    const boards = [state.gridData];
+    const grid = autoCompleteGrid(state.gridData, 4, 'color');
+    state = reduce(state, GAME_ACTIONS.APPLY_POWER_UP_GRID, { gridData: grid, now: 1500 });
+    boards.push(state.gridData);
+    state = reduce(state, GAME_ACTIONS.SWAP_TILES, { fromIndex: 4, toIndex: 5, now: 2000 });
+    boards.push(state.gridData);
+    state = reduce(state, GAME_ACTIONS.UNDO_MOVE, { now: 2500 });
+    boards.push(state.gridData);
+    state = reduce(state, GAME_ACTIONS.REDO_MOVE, { now: 3000 });
+    boards.push(state.gridData);
+
+    const frames = buildReplayFrames(state.replay);
+    expect(frames.map(f => gridLayout(f.gridData))).toEqual(boards.map(gridLayout));
+    expect(frames.map(f => f.t)).toEqual([0, 500, 1000, 1500, 2000]);
+  });
+
+  it('locks completed rows and unlocks them on undo', () => {
+    // A solved classic board with tiles 0 and 1 exchanged: swapping them back
+    // completes every row.
+    const solved = createGridFromLayout(4, 'classic', Array.from({ length: 16 }, (_, i) => i));
+    const replay = {
+      v: 1, mode: 'classic', size: 4, seed: 0,
+      layout: gridLayout(applySwap(solved, 0, 1)),
+      events: [[100, 's', 0, 1], [200, 'u']],
+    };
+    const frames = buildReplayFrames(replay);
+    expect(frames[0].completedRows.has(0)).toBe(false);
+    expect(frames[1].completedRows).toEqual(new Set([0, 1, 2, 3]));
+    expect(frames[1].lockedTiles.size).toBe(16);
+    expect(frames[2].lockedTiles.size).toBe(0);
+  });
+
+  it('rejects malformed replays', () => {
+    expect(isValidReplay(null)).toBe(false);
+    expect(isValidReplay({ v: 1, size: 4, layout: [0, 1], events: [] })).toBe(false);
+    expect(isValidReplay({ v: 99, size: 2, layout: [0, 1, 2, 3], events: [] })).toBe(false);
+  });
+});
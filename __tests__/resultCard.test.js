@@ -0,0 +1,31 @@
+import { formatResultCard, resultMosaic } from '../engine';
+
+const SOLVED = Array.from({ length: 16 }, (_, i) => i);
+
+describe('resultMosaic', () => {
+  it('draws one square per tile, coloured by its row', () => {
+    expect(resultMosaic(SOLVED, 4)).toBe('🟥🟥🟥🟥\n🟧🟧🟧🟧\n🟨🟨🟨🟨\n🟩🟩🟩🟩');
+    const swapped = SOLVED.slice();
+    [swapped[3], swapped[4]] = [swapped[4], swapped[3]];
+    expect(resultMosaic(swapped, 4).split('\n')[0]).toBe('🟥🟥🟥🟧');
+  });
+});
+
+describe('formatResultCard', () => {
+  const run = { modeName: 'NUMBERS', size: 4, moves: 23, time: 41.2, par: 21, layout: SOLVED };
+
+  it('summarises the run above the mosaic', () => {
+    const lines = formatResultCard({ ...run, label: 'Daily 2026-10-18' }).split('\n');
+    expect(lines[0]).toBe('GridZen 2 — NUMBERS 4x4 · Daily 2026-10-18');
+    expect(lines[1]).toBe('Solved in 23 moves · 41.20s · par 21 ★★☆');
+    expect(lines).toHaveLength(6);
+  });
+
+  it('marks a par the solver could not prove', () => {
+    expect(formatResultCard({ ...run, parEstimate: true }).split('\n')[1]).toBe('Solved in 23 moves · 41.20s · par ~21 ★★☆');
+  });
+
+  it('leaves par out until it is known', () => {
+    expect(formatResultCard({ ...run, par: null, time: 30 }).split('\n')[1]).toBe('Solved in 23 moves · 30s');
+  });
+});
@@ -0,0 +1,105 @@
+import {
+  GAME_ACTIONS,
+  INITIAL_STATE,
+  createGridFromSeed,
+  deserializeGame,
+  gameStateReducer,
+  serializeGame,
+} from '../engine';
+
+const midGame = () => {
+  let state = gameStateReducer(
+    { ...INITIAL_STATE, gridSize: 5, gameMode: 'color', gridData: createGridFromSeed(5, 'color', 9) },
+    { type: GAME_ACTIONS.START_NEW_GAME, payload: { seed: 9, now: 0, timeLimit: 90 } }
+  );
+  state = gameStateReducer(state, { type: GAME_ACTIONS.TICK_CLOCK, payload: { now: 43000 } });
+  state = gameStateReducer(state, { type: GAME_ACTIONS.COMPLETE_ROW, payload: { rowIndex: 0 } });
+  state = gameStateReducer(state, { type: GAME_ACTIONS.ADD_POWER_UP, payload: { id: '9-0', type: 'ROW_HINT' } });
+  state = gameStateReducer(state, { type: GAME_ACTIONS.SET_FREE_MOVES, payload: 3 });
+  return { ...state, moveCount: 12, hintRowIndex: 2 };
+};
+
+describe('serializeGame / deserializeGame', () => {
+  it('round-trips through JSON with Sets intact', () => {
+    const state = midGame();
+    const restored = deserializeGame(JSON.parse(JSON.stringify(serializeGame(state, 43000))));
+    expect(restored.completedRows).toEqual(new Set([0]));
+    expect(restored.lockedTiles).toEqual(new Set([0, 1, 2, 3, 4]));
+    expect(restored).toMatchObject({
+      gameMode: 'color',
+      gridSize: 5,
+      seed: 9,
+      moveCount: 12,
+      timeRemaining: 47,
+      elapsedTime: 43,
+      freeMovesRemaining: 3,
+      rowCompletionStreak: 1,
+      clock: { budgetMs: 90000, elapsedMs: 43000 },
+    });
+    expect(restored.gridData).toEqual(state.gridData);
+    expect(restored.availablePowerUps).toEqual(state.availablePowerUps);
+    expect(restored).not.toHaveProperty('hintRowIndex');
+  });
+
+  it('keeps a retry a retry', () => {
+    const restore = state => deserializeGame(JSON.parse(JSON.stringify(serializeGame(state, 43000))));
+    expect(restore({ ...midGame(), isRetry: true, dailyKey: '2026-10-18' })).toMatchObject({ isRetry: true, dailyKey: '2026-10-18' });
+    expect(restore(midGame()).isRetry).toBe(false);
+  });
+
+  it('rejects snapshots that do not hang together', () => {
+    const data = serializeGame(midGame(), 43000);
+    expect(deserializeGame(null)).toBeNull();
+    expect(deserializeGame({ ...data, version: 99 })).toBeNull();
+    expect(deserializeGame({ ...data, gridData: data.gridData.slice(1) })).toBeNull();
+    expect(deserializeGame({ ...data, clock: undefined })).toBeNull();
+  });
+});
+
+describe('RESTORE_GAME', () => {
+  it('puts the saved game back into play and clears the offer', () => {
+    const snapshot = deserializeGame(serializeGame(midGame(), 43000));
+    let state = gameStateReducer(INITIAL_STATE, { type: GAME_ACTIONS.SET_SAVED_GAME, payload: snapshot });
+    expect(state.savedGame).toBe(snapshot);
+    state = gameStateReducer(state, { type: GAME_ACTIONS.RESTORE_GAME, payload: { snapshot, now: 7000 } });
+    expect(state).toMatchObject({
+      gamePhase: 'playing',
+      isGameActive: true,
+      isGamePaused: false,
+      moveCount: 12,
+      hintRowIndex: null,
+      savedGame: null,
+    });
+    expect(state.lockedTiles.has(4)).toBe(true);
+    // The clock resumes from the saved play time on the new session's timeline.
+    expect(state.clock).toEqual({ budgetMs: 90000, accumulatedMs: 43000, runningSince: 7000 });
+    state = gameStateReducer(state, { type: GAME_ACTIONS.TICK_CLOCK, payload: { now: 9000 } });
+    expect(state.elapsedTime).toBe(45);
+    expect(state.timeRemaining).toBe(45);
+  });
+
+  it('resumes a Zen game without a budget', () => {
+    let state = gameStateReducer(midGame(), { type: GAME_ACTIONS.START_NEW_GAME, payload: { now: 0, zen: true } });
+    const json = JSON.parse(JSON.stringify(serializeGame(state, 500000)));
+    expect(json.clock.budgetMs).toBeNull();
+    const snapshot = deserializeGame(json);
+    state = gameStateReducer(INITIAL_STATE, { type: GAME_ACTIONS.RESTORE_GAME, payload: { snapshot, now: 0 } });
+    expect(state.isZen).toBe(true);
+    expect(state.elapsedTime).toBe(500);
+    expect(state.timeRemaining).toBe(Infinity);
+  });
+
+  it('resumes a move challenge with its budget', () => {
+    let state = gameStateReducer(midGame(), { type: GAME_ACTIONS.START_NEW_GAME, payload: { now: 0, moveLimit: 24 } });
+    state = gameStateReducer(state, { type: GAME_ACTIONS.INCREMENT_MOVES });
+    const snapshot = deserializeGame(JSON.parse(JSON.stringify(serializeGame(state, 1000))));
+    expect(snapshot.moveLimit).toBe(24);
+    expect(snapshot.moveCount).toBe(1);
+    expect(snapshot.clock.budgetMs).toBe(Infinity);
+  });
+
+  it('starting a new game discards the offer', () => {
+    const state = { ...INITIAL_STATE, savedGame: {} };
+    expect(gameStateReducer(state, { type: GAME_ACTIONS.START_NEW_GAME }).savedGame).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+import { GAME_ACTIONS, INITIAL_STATE, SAVE_DATA_VERSION, compareScores, migrateSavedData, winRecordAction } from '../engine';
+
+describe('compareScores', () => {
+  it('orders by moves, then time, with unknown times last', () => {
+    const list = [
+      { moves: 5, time: null },
+      { moves: 5, time: 20 },
+      { moves: 3, time: 90 },
+      { moves: 5, time: 10 },
+    ].sort(compareScores);
+    expect(list).toEqual([
+      { moves: 3, time: 90 },
+      { moves: 5, time: 10 },
+      { moves: 5, time: 20 },
+      { moves: 5, time: null },
+    ]);
+  });
+});
+
+describe('winRecordAction', () => {
+  const state = { ...INITIAL_STATE, gameMode: 'classic', gridSize: 4, seed: 7 };
+  const score = (moves) => ({ moves, time: 30, date: 1, seed: 7, undos: 0, difficulty: null });
+  const level = { id: 2, par: 10 };
+
+  it('rates a level on the moves it was won in', () => {
+    const stars = (moves) => winRecordAction({ ...state, levelId: 2 }, score(moves), level).payload.stars;
+    expect(stars(10)).toBe(3);
+    // 15 is the last move count that still earns two stars.
+    expect(stars(15)).toBe(2);
+    expect(stars(16)).toBe(1);
+  });
+
+  it('records dailies on their own board', () => {
+    const action = winRecordAction({ ...state, dailyKey: '2026-10-18' }, score(12));
+    expect(action.type).toBe(GAME_ACTIONS.RECORD_DAILY_RESULT);
+    expect(action.payload.result).toMatchObject({ status: 'won', moves: 12 });
+  });
+
+  it('ranks plain games and nothing unrankable', () => {
+    expect(winRecordAction(state, score(12))).toEqual({
+      type: GAME_ACTIONS.SAVE_HIGH_SCORE,
+      payload: { gameMode: 'classic', gridSize: 4, score: score(12), zen: false },
+    });
+    expect(winRecordAction({ ...state, moveLimit: 20 }, score(12))).toBeNull();
+    expect(winRecordAction({ ...state, puzzle: { id: 'p' } }, score(12))).toBeNull();
+    expect(winRecordAction({ ...state, session: { seed: 7 } }, score(12))).toBeNull();
+    expect(winRecordAction({ ...state, friendChallenge: { v: 1 } }, score(12))).toBeNull();
+  });
+
+  it('records nothing for a retry, daily or not', () => {
+    expect(winRecordAction({ ...state, isRetry: true }, score(12))).toBeNull();
+    expect(winRecordAction({ ...state, isRetry: true, dailyKey: '2026-10-18' }, score(12))).toBeNull();
+  });
+});
+
+describe('migrateSavedData', () => {
+  const v1 = {
+    leaderboards: {
+      classic: {
+        '4x4': [{ moves: 10, time: 42, date: 1 }],
+        '5x5': [{ moves: 20, time: -12, date: 2 }],
+        '6x6': [{ moves: 30, time: -80, date: 3 }, { moves: 30, time: -75, date: 4 }],
+      },
+      color: { '4x4': [], '5x5': [], '6x6': [] },
+    },
+    isDarkTheme: true,
+  };
+
+  it('adds back each size\'s extra time budget and flags the result', () => {
+    const out = migrateSavedData(v1);
+    expect(out.version).toBe(SAVE_DATA_VERSION);
+    expect(out.leaderboards.classic['4x4'][0]).toEqual({ moves: 10, time: 42, date: 1, timeApprox: true });
+    expect(out.leaderboards.classic['5x5'][0]).toEqual({ moves: 20, time: 18, date: 2, timeApprox: true });
+    expect(out.isDarkTheme).toBe(true);
+  });
+
+  it('drops times that are still impossible and re-sorts', () => {
+    const board = migrateSavedData(v1).leaderboards.classic['6x6'];
+    // 130 - 60 - 75 = -5 → unknown; 130 - 60 - 80 = -10 → unknown.
+    expect(board.map(e => e.time)).toEqual([null, null]);
+  });
+
+  it('leaves current-version data alone', () => {
+    const current = { version: SAVE_DATA_VERSION, leaderboards: { classic: { '4x4': [{ moves: 1, time: 5 }] } } };
+    expect(migrateSavedData(current).leaderboards).toBe(current.leaderboards);
+  });
+
+  it('tolerates missing sections', () => {
+    expect(migrateSavedData({})).toEqual({ version: SAVE_DATA_VERSION });
+    expect(migrateSavedData(null)).toBeNull();
+  });
+});
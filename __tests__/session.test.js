@@ -0,0 +1,90 @@
+import {
+  GAME_ACTIONS,
+  INITIAL_STATE,
+  createSession,
+  createSessionBoard,
+  currentPlayer,
+  deserializeGame,
+  gameStateReducer,
+  gridLayout,
+  isSessionOver,
+  isValidSession,
+  recordTurn,
+  serializeGame,
+  sessionStandings,
+} from '../engine';
+
+const reduce = (state, type, payload) => gameStateReducer(state, { type, payload });
+
+const newSession = (names = ['Ann', '', 'Cy']) =>
+  createSession({ seed: 42, names, mode: 'classic', size: 4, difficulty: 'medium' });
+
+describe('sessions', () => {
+  it('names blank players and starts with the first', () => {
+    const session = newSession();
+    expect(session.players.map(p => p.name)).toEqual(['Ann', 'Player 2', 'Cy']);
+    expect(currentPlayer(session).name).toBe('Ann');
+    expect(isValidSession(session)).toBe(true);
+    expect(isValidSession(newSession(['Solo']))).toBe(false);
+  });
+
+  it('gives every player the same board', () => {
+    const session = newSession();
+    expect(gridLayout(createSessionBoard(session))).toEqual(gridLayout(createSessionBoard(recordTurn(session, null))));
+  });
+
+  it('passes the turn on until everyone has played', () => {
+    let session = newSession(['Ann', 'Bo']);
+    session = recordTurn(session, { solved: true, moves: 20, time: 30, rows: 4 });
+    expect(currentPlayer(session).name).toBe('Bo');
+    session = recordTurn(session, { solved: false, moves: 40, time: 60, rows: 2 });
+    expect(isSessionOver(session)).toBe(true);
+    expect(currentPlayer(session)).toBeNull();
+    expect(recordTurn(session, { solved: true })).toBe(session);
+  });
+});
+
+describe('sessionStandings', () => {
+  const play = (results) => results.reduce(recordTurn, newSession(['A', 'B', 'C', 'D']));
+
+  it('ranks solvers by moves and time, then the rest by rows', () => {
+    const standings = sessionStandings(play([
+      { solved: false, moves: 30, time: 60, rows: 3 },
+      { solved: true, moves: 25, time: 50, rows: 4 },
+      { solved: true, moves: 25, time: 40, rows: 4 },
+      { solved: false, moves: 10, time: 60, rows: 1 },
+    ]));
+    expect(standings.map(p => [p.name, p.rank])).toEqual([['C', 1], ['B', 2], ['A', 3], ['D', 4]]);
+  });
+
+  it('shares a rank between identical results', () => {
+    const same = { solved: true, moves: 18, time: 22, rows: 4 };
+    const standings = sessionStandings(play([{ ...same, moves: 30 }, same, same, { ...same, moves: 12 }]));
+    expect(standings.map(p => p.rank)).toEqual([1, 2, 2, 4]);
+  });
+});
+
+describe('session state', () => {
+  it('records the turn of the game just played', () => {
+    const session = newSession();
+    let state = reduce(INITIAL_STATE, GAME_ACTIONS.SET_SESSION, session);
+    state = reduce(
+      { ...state, gridData: createSessionBoard(session) },
+      GAME_ACTIONS.START_NEW_GAME,
+      { seed: session.seed, now: 0, session }
+    );
+    expect(state.session).toBe(session);
+    const snapshot = deserializeGame(JSON.parse(JSON.stringify(serializeGame(state, 0))));
+    expect(snapshot.session).toEqual(session);
+
+    state = reduce(state, GAME_ACTIONS.RECORD_SESSION_TURN, { solved: true, moves: 9, time: 12, rows: 4 });
+    expect(state.session.players[0].result.moves).toBe(9);
+    expect(currentPlayer(state.session).name).toBe('Player 2');
+  });
+
+  it('a regular game leaves the session', () => {
+    const state = reduce({ ...INITIAL_STATE, session: newSession() }, GAME_ACTIONS.START_NEW_GAME, { now: 0 });
+    expect(state.session).toBeNull();
+    expect(reduce(state, GAME_ACTIONS.RECORD_SESSION_TURN, {})).toBe(state);
+  });
+});
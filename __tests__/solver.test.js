@@ -0,0 +1,111 @@
+import {
+  applySwap,
+  createGridFromLayout,
+  createGridFromSeed,
+  evaluateGrid,
+  moveBudget,
+  rateRun,
+  solveGrid,
+  solveGridAsync,
+} from '../engine';
+
+const solvedLayout = (size) => Array.from({ length: size * size }, (_, i) => i);
+
+// Play a solution the way GameGrid would: adjacent swaps only, never touching
+// a row that has already locked.
+const playOut = (grid, size, mode, path) => {
+  let board = grid;
+  let completed = new Set();
+  path.forEach(([a, b]) => {
+    expect([1, size]).toContain(Math.abs(a - b));
+    expect(completed.has(Math.floor(a / size))).toBe(false);
+    expect(completed.has(Math.floor(b / size))).toBe(false);
+    board = applySwap(board, a, b);
+    completed = evaluateGrid(board, size, mode, completed).completedRowsAfter;
+  });
+  return evaluateGrid(board, size, mode, completed).isWin;
+};
+
+describe('solveGrid', () => {
+  it('needs no moves for a solved board', () => {
+    const grid = createGridFromLayout(4, 'classic', solvedLayout(4));
+    expect(solveGrid(grid, 4, 'classic')).toEqual({ moves: 0, path: [], optimal: true, lowerBound: 0 });
+  });
+
+  it('finds and proves short solutions', () => {
+    let grid = createGridFromLayout(4, 'classic', solvedLayout(4));
+    grid = applySwap(applySwap(grid, 5, 6), 9, 13);
+    const result = solveGrid(grid, 4, 'classic');
+    expect(result.moves).toBe(2);
+    expect(result.optimal).toBe(true);
+    expect(playOut(grid, 4, 'classic', result.path)).toBe(true);
+  });
+
+  it('treats any single-color row as complete', () => {
+    // Rows 0 and 1 trade places wholesale: already solved, nothing to do.
+    const layout = solvedLayout(4);
+    const swappedRows = layout.slice(4, 8).concat(layout.slice(0, 4), layout.slice(8));
+    expect(solveGrid(createGridFromLayout(4, 'color', swappedRows), 4, 'color').moves).toBe(0);
+  });
+
+  it.each(['classic', 'color', 'pattern'])('solves shuffled %s boards within the rules', (mode) => {
+    const grid = createGridFromSeed(4, mode, 17);
+    const result = solveGrid(grid, 4, mode);
+    expect(result.moves).toBe(result.path.length);
+    expect(result.moves).toBeGreaterThanOrEqual(result.lowerBound);
+    expect(playOut(grid, 4, mode, result.path)).toBe(true);
+  });
+
+  it('reports a board sealed off by a locked row as unsolvable', () => {
+    // Row 1 is locked while tiles for rows 0 and 2 sit on the wrong side of it.
+    let grid = createGridFromLayout(4, 'classic', solvedLayout(4));
+    grid = applySwap(grid, 0, 8);
+    const result = solveGrid(grid, 4, 'classic', { lockedRows: new Set([1]) });
+    expect(result.moves).toBeNull();
+  });
+});
+
+describe('solveGridAsync', () => {
+  it('solves in slices to the same result', async () => {
+    const grid = createGridFromSeed(5, 'color', 4);
+    const solve = solveGridAsync(grid, 5, 'color');
+    await expect(solve.promise).resolves.toEqual(solveGrid(grid, 5, 'color'));
+  });
+
+  it('stops when cancelled', async () => {
+    jest.useFakeTimers();
+    const solve = solveGridAsync(createGridFromSeed(6, 'classic', 4), 6, 'classic');
+    solve.cancel();
+    jest.runAllTimers();
+    await expect(solve.promise).resolves.toBeNull();
+    jest.useRealTimers();
+  });
+});
+
+describe('moveBudget', () => {
+  it('budgets at least the solver\'s solution, with more slack when easier', () => {
+    const { moves } = solveGrid(createGridFromSeed(4, 'color', 17), 4, 'color');
+    const easy = moveBudget(moves, 'easy');
+    const hard = moveBudget(moves, 'hard');
+    expect(hard).toBeGreaterThanOrEqual(moves);
+    expect(easy).toBe(moves * 2);
+    expect(moveBudget(moves)).toBeLessThan(easy);
+  });
+
+  it('has no budget without a solution', () => {
+    expect(moveBudget(10, 'medium')).toBe(15);
+    expect(moveBudget(0, 'hard')).toBe(1);
+    expect(moveBudget(null)).toBeNull();
+  });
+});
+
+describe('rateRun', () => {
+  it('rates against par', () => {
+    expect(rateRun(9, 10)).toEqual({ stars: 3, label: 'Under par!' });
+    expect(rateRun(10, 10)).toEqual({ stars: 3, label: 'Perfect' });
+    expect(rateRun(15, 10).stars).toBe(2);
+    expect(rateRun(20, 10).stars).toBe(1);
+    expect(rateRun(21, 10).stars).toBe(0);
+    expect(rateRun(5, null)).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+import {
+  GAME_ACTIONS,
+  INITIAL_STATE,
+  createGridFromSeed,
+  createSurvivalBoard,
+  createSurvivalRun,
+  deserializeGame,
+  gameStateReducer,
+  gridLayout,
+  serializeGame,
+  survivalBonus,
+  survivalScore,
+  survivalStage,
+} from '../engine';
+
+const reduce = (state, type, payload) => gameStateReducer(state, { type, payload });
+
+const startRun = (seed = 3) => {
+  const survival = createSurvivalRun(seed);
+  const board = createSurvivalBoard(survival, 'color', 0);
+  return reduce(
+    { ...INITIAL_STATE, gameMode: 'color', gridSize: board.size, gridData: board.gridData },
+    GAME_ACTIONS.START_NEW_GAME,
+    { seed: board.seed, now: 0, timeLimit: 60, survival }
+  );
+};
+
+describe('survival stages', () => {
+  it('grows through every level at each size, then holds', () => {
+    const stages = Array.from({ length: 11 }, (_, i) => survivalStage(i));
+    expect(stages.slice(0, 4)).toEqual([
+      { size: 4, difficulty: 'easy' },
+      { size: 4, difficulty: 'medium' },
+      { size: 4, difficulty: 'hard' },
+      { size: 5, difficulty: 'easy' },
+    ]);
+    expect(stages[8]).toEqual({ size: 6, difficulty: 'hard' });
+    expect(stages[10]).toEqual(stages[8]);
+    expect(survivalBonus(0)).toBe(30);
+    expect(survivalBonus(8)).toBe(65);
+  });
+
+  it('derives each board from the run seed', () => {
+    const run = createSurvivalRun(11);
+    const a = createSurvivalBoard(run, 'classic', 4);
+    const b = createSurvivalBoard(run, 'classic', 4);
+    expect(a.size).toBe(5);
+    expect(gridLayout(a.gridData)).toEqual(gridLayout(b.gridData));
+    expect(createSurvivalBoard(run, 'classic', 5).seed).not.toBe(a.seed);
+  });
+});
+
+describe('NEXT_SURVIVAL_BOARD', () => {
+  it('carries the leftover time, a bonus and the power-ups to the next board', () => {
+    let state = startRun();
+    const powerUp = { id: 'p', type: 'ROW_HINT' };
+    state = { ...state, availablePowerUps: [powerUp], completedRows: new Set([0, 1, 2, 3]), moveCount: 9 };
+    const board = createSurvivalBoard(state.survival, 'color', 1);
+    state = reduce(state, GAME_ACTIONS.NEXT_SURVIVAL_BOARD, { board, now: 20000 });
+
+    expect(state.survival).toMatchObject({ boardsCleared: 1, rowsCleared: 4 });
+    expect(state.timeRemaining).toBe(40 + survivalBonus(1));
+    expect(state.elapsedTime).toBe(0);
+    expect(state.availablePowerUps).toEqual([powerUp]);
+    expect(state.completedRows.size).toBe(0);
+    expect(state.moveCount).toBe(0);
+    expect(state.seed).toBe(board.seed);
+    expect(state.replay.layout).toEqual(gridLayout(board.gridData));
+    expect(state.gamePhase).toBe('playing');
+  });
+
+  it('a new game leaves the run', () => {
+    const state = reduce(
+      { ...startRun(), gridData: createGridFromSeed(4, 'color', 1) },
+      GAME_ACTIONS.START_NEW_GAME,
+      { now: 0 }
+    );
+    expect(state.survival).toBeNull();
+  });
+
+  it('survives a saved game', () => {
+    const state = startRun();
+    const snapshot = deserializeGame(JSON.parse(JSON.stringify(serializeGame(state, 1000))));
+    expect(snapshot.survival).toEqual(state.survival);
+  });
+});
+
+describe('survival scoring', () => {
+  it('adds boards cleared to every row completed', () => {
+    const run = { seed: 1, boardsCleared: 2, rowsCleared: 8 };
+    expect(survivalScore(run)).toBe(10);
+    expect(survivalScore(run, 3)).toBe(13);
+  });
+
+  it('keeps the best run per mode', () => {
+    const record = (state, score) => reduce(state, GAME_ACTIONS.RECORD_SURVIVAL_RUN, {
+      gameMode: 'pattern', result: { score, boards: 1, rows: score - 1, date: score },
+    });
+    let state = record(INITIAL_STATE, 12);
+    state = record(state, 7);
+    expect(state.survivalBests.pattern.score).toBe(12);
+    expect(state.survivalBests.classic).toBeNull();
+    expect(record(state, 15).survivalBests.pattern.score).toBe(15);
+  });
+});
@@ -0,0 +1,57 @@
+import { createGridFromLayout, evaluateGrid } from './grid';
+import { rateRun } from './solver';
+
+// ============================================================================
+// Campaign: a fixed sequence of hand-authored levels, shipped as a JSON pack
+// (assets/levels/campaign.json). Each level is one board with its rules:
+//
+//   { id, name, mode, size, layout, lockedRows, timeLimit | moveLimit, par }
+//
+// `layout` is the starting board in gridLayout form; `lockedRows` are rows
+// that start complete and locked; exactly one of timeLimit (seconds) and
+// moveLimit is set; `par` is the solver's count for the board, worked out
+// when the level was written, and what stars are earned against.
+//
+// Progress is { [levelId]: stars }, best result per level. A level unlocks
+// once the one before it has been cleared.
+// ============================================================================
+
+export const CAMPAIGN_VERSION = 1;
+
+// Whether `level` can be played as written: a board of the right size with
+// every tile once, locked rows that really are complete, and one limit.
+export const isValidLevel = (level) => {
+  if (!level || typeof level.id !== 'string' || ![4, 5, 6].includes(level.size)) return false;
+  if (!['classic', 'color', 'pattern'].includes(level.mode)) return false;
+  const n = level.size * level.size;
+  const { layout } = level;
+  if (!Array.isArray(layout) || layout.length !== n) return false;
+  if (new Set(layout).size !== n || layout.some(home => !Number.isInteger(home) || home < 0 || home >= n)) return false;
+  if ((level.timeLimit == null) === (level.moveLimit == null)) return false;
+  const lockedRows = level.lockedRows || [];
+  if (lockedRows.some(r => !Number.isInteger(r) || r < 0 || r >= level.size)) return false;
+  const { completedRowsAfter } = evaluateGrid(createLevelGrid(level), level.size, level.mode, new Set());
+  return lockedRows.every(r => completedRowsAfter.has(r));
+};
+
+export const createLevelGrid = (level) => createGridFromLayout(level.size, level.mode, level.layout);
+
+export const findLevel = (pack, levelId) => pack.levels.find(level => level.id === levelId) || null;
+
+// The level after `levelId`, or null at the end of the pack.
+export const nextLevel = (pack, levelId) => {
+  const i = pack.levels.findIndex(level => level.id === levelId);
+  return i === -1 ? null : pack.levels[i + 1] || null;
+};
+
+export const isLevelUnlocked = (pack, progress, levelId) => {
+  const i = pack.levels.findIndex(level => level.id === levelId);
+  if (i <= 0) return i === 0;
+  return (progress[pack.levels[i - 1].id] || 0) > 0;
+};
+
+// Stars for clearing a level in `moves`: 1 just for clearing it, 2 and 3
+// for getting near par, as rated on the result overlay.
+export const levelStars = (moves, par) => Math.max(1, rateRun(moves, par)?.stars || 0);
+
+export const campaignStars = (progress) => Object.values(progress).reduce((sum, stars) => sum + stars, 0);
@@ -0,0 +1,73 @@
+// ============================================================================
+// Game clock. Time is derived from timestamps instead of counted in 1s steps:
+// the clock remembers how much play time has accumulated across earlier
+// running segments, plus when the current segment started. Elapsed and
+// remaining time are computed from those on demand, so a slow JS thread can
+// delay a repaint but never loses or gains time, and a FREEZE_TIME bonus is
+// just a bigger budget.
+//
+// Every function takes `now` from the caller (use monotonicNow()), which
+// keeps the reducer pure and the clock testable.
+// ============================================================================
+
+// Milliseconds from a monotonic source when one exists. Date.now() can jump
+// when the user or NTP adjusts the wall clock; performance.now() can't.
+export const monotonicNow = () =>
+  (typeof performance !== 'undefined' && typeof performance.now === 'function')
+    ? performance.now()
+    : Date.now();
+
+// A fresh, running clock with `budgetSec` seconds on it.
+export const createClock = (budgetSec, now) => ({
+  budgetMs: budgetSec * 1000,
+  accumulatedMs: 0,
+  runningSince: now,
+});
+
+// A clock resumed from a snapshot: `elapsedMs` already played out of `budgetMs`.
+export const restoreClock = (budgetMs, elapsedMs, now) => ({
+  budgetMs,
+  accumulatedMs: elapsedMs,
+  runningSince: now,
+});
+
+export const isClockRunning = (clock) => clock.runningSince !== null;
+
+// Play time so far, capped at the budget so a late tick can't overshoot.
+export const clockElapsedMs = (clock, now) => {
+  const running = isClockRunning(clock) ? Math.max(0, now - clock.runningSince) : 0;
+  return Math.min(clock.budgetMs, clock.accumulatedMs + running);
+};
+
+export const clockRemainingMs = (clock, now) =>
+  Math.max(0, clock.budgetMs - clockElapsedMs(clock, now));
+
+export const pauseClock = (clock, now) => {
+  if (!isClockRunning(clock)) return clock;
+  return { ...clock, accumulatedMs: clockElapsedMs(clock, now), runningSince: null };
+};
+
+export const resumeClock = (clock, now) => {
+  if (isClockRunning(clock)) return clock;
+  return { ...clock, runningSince: now };
+};
+
+export const addClockTime = (clock, seconds) => ({ ...clock, budgetMs: clock.budgetMs + seconds * 1000 });
+
+// Make `seconds` the time remaining as of `now`, by resizing the budget.
+export const setClockRemaining = (clock, seconds, now) => ({
+  ...clock,
+  budgetMs: clockElapsedMs(clock, now) + seconds * 1000,
+});
+
+// Countdown as shown in the header: whole seconds, rounded up so the display
+// reads 60 for the whole first second and hits 0 only when time is gone.
+export const remainingSeconds = (clock, now) => Math.ceil(clockRemainingMs(clock, now) / 1000);
+
+// Elapsed time for scoring, in seconds to the hundredth.
+export const elapsedSeconds = (clock, now) => Math.round(clockElapsedMs(clock, now) / 10) / 100;
+
+// A time as shown anywhere in the app or a shared card. Scored times carry
+// hundredths; whole numbers (countdown, legacy records) print without a
+// trailing '.00'.
+export const formatSeconds = (sec) => (Number.isInteger(sec) ? `${sec}s` : `${sec.toFixed(2)}s`);
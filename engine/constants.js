@@ -0,0 +1,182 @@
+/**
+ * GridZen2 engine — shared constants.
+ * Plain JS only: nothing in engine/ may import react, react-native or any
+ * native SDK, so the rules can run in Node (tests, tooling) as well as the app.
+ */
+
+export const GAME_ACTIONS = {
+  SET_GAME_PHASE: 'SET_GAME_PHASE',
+  SET_GAME_MODE: 'SET_GAME_MODE',
+  START_NEW_GAME: 'START_NEW_GAME',
+  SET_GRID_DATA: 'SET_GRID_DATA',
+  SET_GRID_SIZE: 'SET_GRID_SIZE',
+  SWAP_TILES: 'SWAP_TILES',
+  APPLY_POWER_UP_GRID: 'APPLY_POWER_UP_GRID',
+  NEXT_SURVIVAL_BOARD: 'NEXT_SURVIVAL_BOARD',
+  UNDO_MOVE: 'UNDO_MOVE',
+  REDO_MOVE: 'REDO_MOVE',
+  COMPLETE_ROW: 'COMPLETE_ROW',
+  ADD_POWER_UP: 'ADD_POWER_UP',
+  USE_POWER_UP: 'USE_POWER_UP',
+  CLEAR_POWER_UPS: 'CLEAR_POWER_UPS',
+  SET_FREE_MOVES: 'SET_FREE_MOVES',
+  CONSUME_FREE_MOVE: 'CONSUME_FREE_MOVE',
+  SET_HINT_ROW: 'SET_HINT_ROW',
+  CLEAR_HINT_ROW: 'CLEAR_HINT_ROW',
+  INCREMENT_MOVES: 'INCREMENT_MOVES',
+  TICK_CLOCK: 'TICK_CLOCK',
+  SET_TIME: 'SET_TIME',
+  ADD_TIME: 'ADD_TIME',
+  PAUSE_GAME: 'PAUSE_GAME',
+  RESUME_GAME: 'RESUME_GAME',
+  SHOW_PANEL: 'SHOW_PANEL',
+  HIDE_PANEL: 'HIDE_PANEL',
+  SHOW_STRATEGIC_WARNING: 'SHOW_STRATEGIC_WARNING',
+  HIDE_STRATEGIC_WARNING: 'HIDE_STRATEGIC_WARNING',
+  SET_DARK_THEME: 'SET_DARK_THEME',
+  SET_MUSIC_ENABLED: 'SET_MUSIC_ENABLED',
+  SET_UNDO_ENABLED: 'SET_UNDO_ENABLED',
+  SET_INPUT_MODE: 'SET_INPUT_MODE',
+  SET_DIFFICULTY: 'SET_DIFFICULTY',
+  SET_ZEN_ENABLED: 'SET_ZEN_ENABLED',
+  SAVE_HIGH_SCORE: 'SAVE_HIGH_SCORE',
+  LOAD_LEADERBOARDS: 'LOAD_LEADERBOARDS',
+  LOAD_ZEN_LEADERBOARDS: 'LOAD_ZEN_LEADERBOARDS',
+  SET_SAVED_GAME: 'SET_SAVED_GAME',
+  RESTORE_GAME: 'RESTORE_GAME',
+  RECORD_DAILY_RESULT: 'RECORD_DAILY_RESULT',
+  LOAD_DAILY_RESULTS: 'LOAD_DAILY_RESULTS',
+  RECORD_SURVIVAL_RUN: 'RECORD_SURVIVAL_RUN',
+  LOAD_SURVIVAL_BESTS: 'LOAD_SURVIVAL_BESTS',
+  RECORD_LEVEL_RESULT: 'RECORD_LEVEL_RESULT',
+  LOAD_CAMPAIGN_PROGRESS: 'LOAD_CAMPAIGN_PROGRESS',
+  SAVE_CUSTOM_PUZZLE: 'SAVE_CUSTOM_PUZZLE',
+  DELETE_CUSTOM_PUZZLE: 'DELETE_CUSTOM_PUZZLE',
+  LOAD_CUSTOM_PUZZLES: 'LOAD_CUSTOM_PUZZLES',
+  SET_SESSION: 'SET_SESSION',
+  RECORD_SESSION_TURN: 'RECORD_SESSION_TURN',
+  RECORD_GHOST: 'RECORD_GHOST',
+  LOAD_GHOSTS: 'LOAD_GHOSTS',
+};
+
+// Time budget scales with grid size. 60s for 4x4 is generous; 60s for 6x6
+// is brutal. Each step up gets more time but stays beatable.
+export const TIME_FOR_SIZE = { 4: 60, 5: 90, 6: 130 };
+export const MAX_POWER_UPS = 5;
+
+export const INITIAL_STATE = {
+  gamePhase: 'menu',
+  gameMode: 'classic',
+  gridData: [],
+  gridSize: 4,
+  // Target for newly generated boards: 'easy' | 'medium' | 'hard' (see
+  // difficulty.js). Also the level of the board in play, which is recorded
+  // with its score.
+  difficulty: 'medium',
+  seed: 0,
+  // Date key ('YYYY-MM-DD') while playing that day's daily puzzle, else null.
+  dailyKey: null,
+  moveCount: 0,
+  // Timestamp-based game clock (see clock.js). timeRemaining and elapsedTime
+  // are derived from it on every clock action and are what the UI reads.
+  clock: { budgetMs: 60000, accumulatedMs: 0, runningSince: null },
+  // Whole seconds left, as shown in the header.
+  timeRemaining: 60,
+  // Seconds actually played this game, to the hundredth. Independent of the
+  // countdown, so FREEZE_TIME bonuses and larger boards' budgets don't skew
+  // it, and it stops while paused because the clock does.
+  elapsedTime: 0,
+  isGameActive: false,
+  isGamePaused: false,
+  // Whether the game in play is untimed. Set per game from zenEnabled, except
+  // that dailies are always timed.
+  isZen: false,
+  // Move budget for a move-limited challenge, else null. Such games are
+  // untimed like Zen, and lost once moveCount reaches it.
+  moveLimit: null,
+  // Survival run the current board belongs to (see survival.js), else null.
+  survival: null,
+  // Pass-and-play session (see session.js): set before the first turn and
+  // kept through the last player's results, else null.
+  session: null,
+  // Friend challenge being answered (see friendChallenge.js), else null.
+  friendChallenge: null,
+  // Whether this game replays the last board to race its ghost. A retry
+  // knows the board in advance, so it's never ranked or counted as a daily.
+  isRetry: false,
+  // Id of the campaign level in play (see campaign.js), else null.
+  levelId: null,
+  // Custom puzzle in play (see puzzle.js), else null. Held whole rather than
+  // by id, since it may never have been saved.
+  puzzle: null,
+  completedRows: new Set(),
+  lockedTiles: new Set(),
+  rowCompletionStreak: 0,
+  availablePowerUps: [],
+  activePowerUp: null,
+  freeMovesRemaining: 0,
+  hintRowIndex: null,
+  // Undo/redo stacks for the current game (see history.js) and how many
+  // times the player has undone, which scored runs record.
+  history: { past: [], future: [], dropped: [] },
+  undoCount: 0,
+  // Log of the current (or just-finished) game for playback (see replay.js).
+  replay: null,
+  isDarkTheme: false,
+  musicEnabled: true,
+  // Setting: when off, undo is unavailable in every game, so leaderboard
+  // runs are undo-free; when on, they record their undo count instead.
+  undoEnabled: true,
+  // Setting: how tiles are moved. 'swipe' drags a tile onto its neighbour;
+  // 'tap' selects a tile, then a tap on a neighbour swaps them.
+  inputMode: 'swipe',
+  // Setting: start regular games in Zen mode (no countdown, no game over).
+  zenEnabled: false,
+  visiblePanel: null,
+  strategicWarningVisible: false,
+  strategicWarningShown: false,
+  leaderboards: {
+    classic: { '4x4': [], '5x5': [], '6x6': [] },
+    color: { '4x4': [], '5x5': [], '6x6': [] },
+    pattern: { '4x4': [], '5x5': [], '6x6': [] }
+  },
+  // Same shape as leaderboards, for Zen runs.
+  zenLeaderboards: {
+    classic: { '4x4': [], '5x5': [], '6x6': [] },
+    color: { '4x4': [], '5x5': [], '6x6': [] },
+    pattern: { '4x4': [], '5x5': [], '6x6': [] }
+  },
+  // Deserialized snapshot of a game interrupted by the app closing, offered
+  // as "Resume game" on the menu until it is resumed or replaced.
+  savedGame: null,
+  // Identifies the most recent SAVE_HIGH_SCORE so the scores screen can
+  // highlight it: { gameMode, gridSize, zen, date }.
+  lastSavedScore: null,
+  // Daily attempts, kept apart from leaderboards:
+  // { [dateKey]: { [mode]: { '4x4': { status, moves, time, date } } } }
+  dailyResults: {},
+  // Best survival run per mode: { score, boards, rows, date } or null.
+  survivalBests: { classic: null, color: null, pattern: null },
+  // Campaign stars per cleared level: { [levelId]: 1 | 2 | 3 }.
+  campaignProgress: {},
+  // Puzzles saved from the editor, newest first.
+  customPuzzles: [],
+  // Best run per board to race against (see ghost.js): { [ghostKey]: ghost }.
+  ghosts: {}
+};
+
+export const POWER_UP_CONFIG = {
+  FREEZE_TIME: { icon: '❄️', name: 'Time Freeze', description: '+15s', effect: 15 },
+  TELEPORT_SWAP: { icon: '🌀', name: 'Teleport', description: 'Smart auto-swap', effect: 1 },
+  AUTO_COMPLETE: { icon: '✨', name: 'Auto-Complete', description: 'Fix 2 tiles', effect: 2 },
+  FREE_MOVES: { icon: '⚡', name: 'Free Moves', description: '3 free moves', effect: 3 },
+  ROW_HINT: { icon: '🎯', name: 'Row Hint', description: 'Highlight best row', effect: 1 }
+};
+
+export const vibrantColors = [
+  '#FF3B30', '#FF6B1A', '#FFB300', '#34C759',
+  '#00D1FF', '#007AFF', '#AF52DE', '#FF2D92',
+  '#00E1B4', '#4ECDC4', '#45B7D1', '#16A085',
+  '#F7DC6F', '#96CEB4', '#98D8C8', '#5AC8FA'
+];
+
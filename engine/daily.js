@@ -0,0 +1,20 @@
+import { hashSeed } from './random';
+
+// ============================================================================
+// Daily puzzle. One board per calendar day per mode and size, identical for
+// every player: the seed is derived from the local date, not from a server.
+// ============================================================================
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// 'YYYY-MM-DD' in the device's local time zone, so the puzzle rolls over at
+// the player's midnight rather than UTC's.
+export const dailyKeyFor = (date = new Date()) =>
+  `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+export const dailySeed = (dateKey, gameMode, gridSize) =>
+  hashSeed(`daily:${dateKey}:${gameMode}:${gridSize}`);
+
+// Stored result for a day/mode/size, or null if it hasn't been attempted.
+export const getDailyResult = (dailyResults, dateKey, gameMode, gridSize) =>
+  dailyResults?.[dateKey]?.[gameMode]?.[`${gridSize}x${gridSize}`] || null;
@@ -0,0 +1,138 @@
+import { createGridData, createGridFromLayout, gridLayout } from './grid';
+import { createRng } from './random';
+
+// ============================================================================
+// Board difficulty. A plain Fisher–Yates shuffle can come out nearly solved
+// or thoroughly scrambled, so boards are scored and generated to a target:
+//
+// - classic: how far tiles sit from home (Manhattan displacement) and how
+//   out of order they are (inversions in reading order);
+// - color/pattern: how far each kind is from its best row, and how mixed the
+//   rows are (Shannon entropy of the kinds in each row).
+//
+// Each measure is divided by its value on a typical full shuffle, and the
+// score is their average: about 1 for an ordinary shuffle, 0 when solved.
+// ============================================================================
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// [min, max) score per level.
+export const DIFFICULTY_BANDS = {
+  easy: [0.3, 0.7],
+  medium: [0.7, 1.05],
+  hard: [1.05, Infinity],
+};
+
+// Median color/pattern displacement over 2,000 seeded shuffles per size; the
+// median row entropy was 0.75 at every size. Classic medians follow from the
+// maths of a uniform shuffle, so they're computed instead.
+const TYPICAL_KIND_DISPLACEMENT = { 4: 14, 5: 26, 6: 46 };
+const TYPICAL_ROW_ENTROPY = 0.75;
+
+// Generation gives up on hitting the band after this many candidates and
+// keeps the closest one, so a seed always yields a board.
+const MAX_ATTEMPTS = 40;
+
+// Raw measures for a board: { displacement, inversions } for classic,
+// { displacement, entropy } for color/pattern (entropy averaged over rows,
+// 0 = every row one kind, 1 = every row fully mixed).
+export const boardMetrics = (grid, size, mode) => {
+  const layout = gridLayout(grid);
+  const n = layout.length;
+
+  if (mode === 'classic') {
+    let displacement = 0;
+    let inversions = 0;
+    for (let i = 0; i < n; i++) {
+      const home = layout[i];
+      displacement += Math.abs(Math.floor(i / size) - Math.floor(home / size)) + Math.abs((i % size) - (home % size));
+      for (let j = i + 1; j < n; j++) if (layout[j] < home) inversions++;
+    }
+    return { displacement, inversions };
+  }
+
+  // A color/pattern tile's kind is its solved row.
+  const kinds = layout.map(home => Math.floor(home / size));
+  let displacement = 0;
+  for (let k = 0; k < size; k++) {
+    let best = Infinity;
+    for (let r = 0; r < size; r++) {
+      let d = 0;
+      kinds.forEach((kind, i) => { if (kind === k) d += Math.abs(Math.floor(i / size) - r); });
+      best = Math.min(best, d);
+    }
+    displacement += best;
+  }
+  let entropy = 0;
+  for (let r = 0; r < size; r++) {
+    const counts = {};
+    for (let c = 0; c < size; c++) {
+      const kind = kinds[r * size + c];
+      counts[kind] = (counts[kind] || 0) + 1;
+    }
+    Object.values(counts).forEach((count) => {
+      const p = count / size;
+      entropy -= (p * Math.log(p)) / Math.log(size);
+    });
+  }
+  return { displacement, entropy: entropy / size };
+};
+
+export const difficultyScore = (grid, size, mode) => {
+  const m = boardMetrics(grid, size, mode);
+  if (mode === 'classic') {
+    const n = size * size;
+    // Mean |a - b| for a, b uniform on 0..size-1 is (size² - 1) / (3·size),
+    // per axis; a random permutation has n(n - 1)/4 inversions on average.
+    const typicalDisplacement = n * 2 * (size * size - 1) / (3 * size);
+    return (m.displacement / typicalDisplacement + m.inversions / (n * (n - 1) / 4)) / 2;
+  }
+  const typical = TYPICAL_KIND_DISPLACEMENT[size] || size * size;
+  return (m.displacement / typical + m.entropy / TYPICAL_ROW_ENTROPY) / 2;
+};
+
+// Which level a board falls in. Anything below easy's band (nearly solved)
+// still counts as easy.
+export const rateDifficulty = (grid, size, mode) => {
+  const score = difficultyScore(grid, size, mode);
+  return DIFFICULTIES.find(level => score < DIFFICULTY_BANDS[level][1]) || 'hard';
+};
+
+// Easy boards are rarely produced by a full shuffle, so they start from the
+// solved board and make a few random exchanges instead.
+const lightScramble = (size, gameMode, random) => {
+  const layout = Array.from({ length: size * size }, (_, i) => i);
+  const swaps = Math.ceil(layout.length / 4);
+  for (let s = 0; s < swaps; s++) {
+    const i = Math.floor(random() * layout.length);
+    const j = Math.floor(random() * layout.length);
+    [layout[i], layout[j]] = [layout[j], layout[i]];
+  }
+  return createGridFromLayout(size, gameMode, layout);
+};
+
+// A shuffled board whose difficulty score falls in `difficulty`'s band.
+// Deterministic for a seeded `random`, like createGridData.
+export const createGridForDifficulty = (size, gameMode, difficulty, random = Math.random) => {
+  const [min, max] = DIFFICULTY_BANDS[difficulty] || DIFFICULTY_BANDS.medium;
+  let best = null;
+  let bestGap = Infinity;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const grid = difficulty === 'easy'
+      ? lightScramble(size, gameMode, random)
+      : createGridData(size, gameMode, true, random);
+    const score = difficultyScore(grid, size, gameMode);
+    if (score >= min && score < max) return grid;
+    const gap = score < min ? min - score : score - max;
+    if (gap < bestGap) { best = grid; bestGap = gap; }
+  }
+  return best;
+};
+
+// Rebuild the exact board for a seed: a plain shuffle, as dailies use, or
+// with `difficulty` the board createGridForDifficulty makes from that seed,
+// as every other seeded game uses. A seed only names a board together with
+// its difficulty, which is why the result overlay shows both.
+export const createGridFromSeed = (size, gameMode, seed, difficulty = null) => (difficulty
+  ? createGridForDifficulty(size, gameMode, difficulty, createRng(seed))
+  : createGridData(size, gameMode, true, createRng(seed)));
@@ -0,0 +1,77 @@
+import { createGridFromLayout } from './grid';
+import { isValidReplay } from './replay';
+import { compareResults } from './session';
+
+// ============================================================================
+// Friend challenges: a finished game packed into a self-contained JSON file
+// that can be sent any way a file or text can (share sheet, chat, email) and
+// played offline by the recipient on the same board, under the same rules,
+// against the sender's result. (Not to be confused with move-limited
+// challenge games, which are one of the rules a friend challenge can carry.)
+//
+//   { format: 'gridzen2-challenge', v: 1,
+//     board: { mode, size, seed, layout },
+//     rules: { timeLimit, moveLimit, zen },
+//     score: { solved, moves, time, rows },
+//     replay }
+//
+// `board` is the starting board (the replay's), `score` a result shaped like
+// a pass-and-play one (see session.js) and `replay` the sender's game, so the
+// recipient can watch how it was done.
+// ============================================================================
+
+export const FRIEND_CHALLENGE_FORMAT = 'gridzen2-challenge';
+export const FRIEND_CHALLENGE_VERSION = 1;
+
+export const createFriendChallenge = ({ replay, rules, score }) => ({
+  format: FRIEND_CHALLENGE_FORMAT,
+  v: FRIEND_CHALLENGE_VERSION,
+  board: { mode: replay.mode, size: replay.size, seed: replay.seed, layout: replay.layout },
+  rules: { timeLimit: rules.timeLimit, moveLimit: rules.moveLimit ?? null, zen: !!rules.zen },
+  score: { solved: score.solved, moves: score.moves, time: score.time, rows: score.rows },
+  replay,
+});
+
+const isCount = (n) => Number.isInteger(n) && n >= 0;
+
+export const isValidFriendChallenge = (bundle) => {
+  if (!bundle || bundle.format !== FRIEND_CHALLENGE_FORMAT || bundle.v !== FRIEND_CHALLENGE_VERSION) return false;
+  const { board, rules, score, replay } = bundle;
+  if (!board || ![4, 5, 6].includes(board.size) || !['classic', 'color', 'pattern'].includes(board.mode)) return false;
+  const n = board.size * board.size;
+  if (!Array.isArray(board.layout) || board.layout.length !== n || new Set(board.layout).size !== n
+    || board.layout.some(home => !Number.isInteger(home) || home < 0 || home >= n)) return false;
+  if (!rules || !(rules.timeLimit > 0) || (rules.moveLimit != null && !(isCount(rules.moveLimit) && rules.moveLimit > 0))) {
+    return false;
+  }
+  if (!score || typeof score.solved !== 'boolean' || !isCount(score.moves) || !isCount(score.rows)
+    || typeof score.time !== 'number') return false;
+  return isValidReplay(replay) && replay.mode === board.mode && replay.size === board.size
+    && replay.layout.every((home, i) => home === board.layout[i]);
+};
+
+export const encodeFriendChallenge = (bundle) => JSON.stringify(bundle);
+
+// Finds a challenge in a file's contents or pasted text: the JSON object
+// anywhere in it, so a whole share message can be pasted. Null if there
+// isn't a valid one.
+export const readFriendChallenge = (text) => {
+  if (typeof text !== 'string') return null;
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+  let bundle;
+  try { bundle = JSON.parse(text.slice(start, end + 1)); } catch { return null; }
+  return isValidFriendChallenge(bundle) ? bundle : null;
+};
+
+export const createFriendChallengeBoard = (bundle) =>
+  createGridFromLayout(bundle.board.size, bundle.board.mode, bundle.board.layout);
+
+// How the recipient's result stands against the sender's: 'won', 'lost'
+// or 'tied', ranked as pass-and-play players are.
+export const friendChallengeOutcome = (bundle, result) => {
+  const c = compareResults(result, bundle.score);
+  if (c === 0) return 'tied';
+  return c < 0 ? 'won' : 'lost';
+};
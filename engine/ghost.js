@@ -0,0 +1,69 @@
+import { compareScores } from './scores';
+import { buildReplayFrames } from './replay';
+
+// ============================================================================
+// Ghosts: the player's best win on a board, kept as its progress over time
+// so a later attempt at the same board can be raced against it. Built from
+// the winning game's replay:
+//
+//   { moves, time, date, points: [[t, moves, rows], ...] }
+//
+// one point per replay event, `t` in the game clock's milliseconds, `moves`
+// the swipes made so far and `rows` the rows complete after the event.
+// Ghosts are kept per board (see ghostKey), best run only, and only the
+// MAX_GHOSTS most recently set are kept.
+// ============================================================================
+
+export const MAX_GHOSTS = 30;
+
+// Which board a game is on, or null for games without a ghost: unseeded and
+// survival boards never come round again, and pass-and-play turns aren't
+// one player's runs. Levels and puzzles are keyed by id, so a ghost carries
+// across retries; anything else by mode, size and seed.
+export const ghostKey = ({ levelId, puzzle, survival, session, gameMode, gridSize, seed }) => {
+  if (session) return null;
+  if (levelId) return `level:${levelId}`;
+  if (puzzle) return `puzzle:${puzzle.id}`;
+  if (survival || !seed) return null;
+  return `${gameMode}-${gridSize}-${seed}`;
+};
+
+export const createGhost = (replay, { moves, time }, date = Date.now()) => {
+  let swipes = 0;
+  const points = buildReplayFrames(replay).map(({ t, event, completedRows }) => {
+    if (event && event[1] === 's') swipes += 1;
+    return [t, swipes, completedRows.size];
+  });
+  return { moves, time, date, points };
+};
+
+export const isValidGhost = (ghost) =>
+  !!ghost && typeof ghost.moves === 'number' && Array.isArray(ghost.points) && ghost.points.length > 0;
+
+// Where the ghost was `elapsedMs` into its game: { moves, rows, finished }.
+export const ghostAt = (ghost, elapsedMs) => {
+  let i = 0;
+  while (i + 1 < ghost.points.length && ghost.points[i + 1][0] <= elapsedMs) i += 1;
+  const [, moves, rows] = ghost.points[i];
+  return { moves, rows, finished: i === ghost.points.length - 1 && elapsedMs >= ghost.points[i][0] };
+};
+
+// 'ahead', 'behind' or 'level': rows complete against the ghost's at the
+// same point in the game. Once the ghost has finished, anyone still playing
+// is behind it.
+export const ghostStanding = (ghost, elapsedMs, rows) => {
+  const at = ghostAt(ghost, elapsedMs);
+  if (at.finished || rows < at.rows) return 'behind';
+  return rows > at.rows ? 'ahead' : 'level';
+};
+
+// `ghosts` with `ghost` stored under `key` if it beats the one already
+// there (fewer moves, then faster), dropping the oldest beyond MAX_GHOSTS.
+export const recordGhost = (ghosts, key, ghost) => {
+  const best = ghosts[key];
+  if (best && compareScores(best, ghost) <= 0) return ghosts;
+  const entries = Object.entries({ ...ghosts, [key]: ghost })
+    .sort(([, a], [, b]) => b.date - a.date)
+    .slice(0, MAX_GHOSTS);
+  return Object.fromEntries(entries);
+};
@@ -0,0 +1,183 @@
+import { vibrantColors } from './constants';
+
+// ============================================================================
+// Grid helpers
+// ============================================================================
+export const generateTileColors = (count) => {
+  const out = [];
+  for (let i = 0; i < count; i++) out.push(vibrantColors[i % vibrantColors.length]);
+  return out;
+};
+
+export const generatePatterns = (gridSize) => {
+  const all = [
+    { symbol: '●●●', name: 'dots', color: '#FF3B30' },
+    { symbol: '|||', name: 'stripes', color: '#007AFF' },
+    { symbol: '~~~', name: 'waves', color: '#34C759' },
+    { symbol: '▓▓▓', name: 'grid', color: '#FF9500' },
+    { symbol: '◆◇◆', name: 'diamond', color: '#AF52DE' },
+    { symbol: '✕✕✕', name: 'cross', color: '#FF2D92' }
+  ];
+  return all.slice(0, gridSize);
+};
+
+// `random` defaults to Math.random for callers that don't care about
+// reproducibility; pass createRng(seed) (or use createGridFromSeed, in
+// difficulty.js) when the board must be rebuildable. A fixed, hand-made
+// board comes from createGridFromLayout instead.
+export const createGridData = (size, gameMode, isShuffled = true, random = Math.random) => {
+  const total = size * size;
+
+  if (gameMode === 'classic') {
+    const colors = generateTileColors(total);
+    const numbers = Array.from({ length: total }, (_, i) => i + 1);
+    if (isShuffled) {
+      for (let i = numbers.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [numbers[i], numbers[j]] = [numbers[j], numbers[i]];
+      }
+    }
+    return numbers.map((number, index) => ({
+      id: `tile-${index}`,
+      number,
+      color: colors[number - 1],
+      originalIndex: number - 1,
+      currentIndex: index,
+      gameMode: 'classic'
+    }));
+  }
+
+  if (gameMode === 'color') {
+    const rowColors = generateTileColors(size);
+    const tiles = [];
+    for (let i = 0; i < total; i++) {
+      const rowIndex = Math.floor(i / size);
+      tiles.push({
+        id: `tile-${i}`,
+        color: rowColors[rowIndex],
+        targetColor: rowColors[rowIndex],
+        currentIndex: i,
+        gameMode: 'color'
+      });
+    }
+    if (isShuffled) {
+      for (let i = tiles.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+        tiles[i] = { ...tiles[i], currentIndex: i };
+        tiles[j] = { ...tiles[j], currentIndex: j };
+      }
+    }
+    return tiles;
+  }
+
+  // pattern — each row gets one repeated symbol
+  const patterns = generatePatterns(size);
+  const tiles = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const idx = row * size + col;
+      tiles.push({
+        id: `tile-${idx}`,
+        pattern: patterns[row],
+        targetRow: row,
+        currentIndex: idx,
+        gameMode: 'pattern'
+      });
+    }
+  }
+  if (isShuffled) {
+    for (let i = tiles.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+      tiles[i] = { ...tiles[i], currentIndex: i };
+      tiles[j] = { ...tiles[j], currentIndex: j };
+    }
+  }
+  return tiles;
+};
+
+// A board's arrangement in compact form: for each position, the index the
+// tile sitting there has on the solved board (classic: number - 1; color and
+// pattern: the index in its id). Replays store boards this way.
+export const gridLayout = (grid) =>
+  grid.map(tile => (tile.gameMode === 'classic' ? tile.number - 1 : Number(tile.id.slice('tile-'.length))));
+
+// Inverse of gridLayout. Classic ids are positional at creation, exactly as
+// createGridData assigns them, so a layout of a fresh board round-trips.
+export const createGridFromLayout = (size, gameMode, layout) => {
+  const solved = createGridData(size, gameMode, false);
+  return layout.map((home, index) => ({
+    ...solved[home],
+    ...(gameMode === 'classic' ? { id: `tile-${index}` } : null),
+    currentIndex: index,
+  }));
+};
+
+// Move the existing tiles of `grid` into `layout`'s arrangement, keeping
+// their ids (and so their React keys) rather than minting new tiles.
+export const arrangeGrid = (grid, layout) => {
+  const byHome = new Map(gridLayout(grid).map((home, index) => [home, grid[index]]));
+  return layout.map((home, index) => ({ ...byHome.get(home), currentIndex: index }));
+};
+
+export const checkRowCompletion = (gridData, gridSize, rowIndex, mode) => {
+  const start = rowIndex * gridSize;
+  const row = gridData.slice(start, start + gridSize);
+  if (mode === 'classic') {
+    return row.every((tile, col) => tile.number === start + col + 1);
+  }
+  if (mode === 'color') {
+    const tgt = row[0].targetColor;
+    return row.every(tile => tile.color === tgt);
+  }
+  // pattern: all tiles in the row must share the same symbol
+  const firstName = row[0].pattern.name;
+  return row.every(t => t.pattern.name === firstName);
+};
+
+export function checkStrategicError(completedRows, gridSize) {
+  if (!completedRows || completedRows.size === 0) return false;
+  const rows = Array.from(completedRows).sort((a, b) => a - b);
+  const isTopPrefix = rows[0] === 0 && rows.every((r, i) => r === i);
+  if (isTopPrefix) return false;
+  const m = rows.length;
+  const isBottomSuffix = rows[m - 1] === gridSize - 1 &&
+    rows.every((r, i) => r === (gridSize - m + i));
+  if (isBottomSuffix) return false;
+  return rows.some(r => r > 0 && r < gridSize - 1);
+}
+
+// Pure evaluation of a grid against its mode. Returns which rows are newly
+// complete, whether the whole grid is a win, and whether the player has
+// triggered a strategic error. Used by both swipe-swaps and power-up swaps
+// so they share one truth path.
+export const evaluateGrid = (newGrid, gridSize, gameMode, prevCompletedRows) => {
+  const after = new Set(prevCompletedRows);
+  const newlyCompleted = [];
+  for (let r = 0; r < gridSize; r++) {
+    if (!after.has(r) && checkRowCompletion(newGrid, gridSize, r, gameMode)) {
+      after.add(r);
+      newlyCompleted.push(r);
+    }
+  }
+  let isWin = true;
+  for (let r = 0; r < gridSize; r++) {
+    if (!checkRowCompletion(newGrid, gridSize, r, gameMode)) { isWin = false; break; }
+  }
+  return {
+    completedRowsAfter: after,
+    newlyCompleted,
+    isWin,
+    isStrategicError: !isWin && checkStrategicError(after, gridSize),
+  };
+};
+
+// Apply a swap to a grid array immutably and return the new array.
+export const applySwap = (grid, fromIndex, toIndex) => {
+  const next = grid.slice();
+  const tmp = next[fromIndex];
+  next[fromIndex] = { ...next[toIndex], currentIndex: fromIndex };
+  next[toIndex] = { ...tmp, currentIndex: toIndex };
+  return next;
+};
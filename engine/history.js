@@ -0,0 +1,65 @@
+// ============================================================================
+// Move history for undo/redo. Each entry remembers the board as it was before
+// one move (a swipe or a power-up's grid change). Entries are whole snapshots
+// rather than inverse operations: boards are at most 36 tiles, and a snapshot
+// also restores completed rows and locks.
+//
+// Undo never touches the power-up rail. Instead the history remembers every
+// drop id handed out this game; drop ids come from the row-completion index,
+// so re-completing an undone row would produce the same id, and the reducer
+// refuses it. That way undo can't be used to farm drops, and a drop already
+// spent stays spent.
+// ============================================================================
+
+export const MAX_HISTORY = 100;
+
+export const EMPTY_HISTORY = { past: [], future: [], dropped: [] };
+
+const boardOf = (state) => ({
+  gridData: state.gridData,
+  completedRows: state.completedRows,
+  lockedTiles: state.lockedTiles,
+  rowCompletionStreak: state.rowCompletionStreak,
+});
+
+// Record a move about to be applied to `state`. Starting a new branch throws
+// away anything that could have been redone.
+export const pushMove = (state) => ({
+  ...state.history,
+  past: state.history.past.concat([boardOf(state)]).slice(-MAX_HISTORY),
+  future: [],
+});
+
+export const recordDrop = (history, powerUp) => ({ ...history, dropped: history.dropped.concat([powerUp.id]) });
+
+export const wasDropped = (history, powerUp) => history.dropped.includes(powerUp.id);
+
+export const canUndo = (state) => state.history.past.length > 0;
+export const canRedo = (state) => state.history.future.length > 0;
+
+// Step back one move: the board returns to its earlier state, un-completing
+// rows and unlocking their tiles. Returns the state unchanged when there is
+// nothing to undo.
+export const undoMove = (state) => {
+  if (!canUndo(state)) return state;
+  const past = state.history.past.slice();
+  const before = past.pop();
+  return {
+    ...state,
+    ...before,
+    history: { ...state.history, past, future: state.history.future.concat([boardOf(state)]) },
+    undoCount: state.undoCount + 1,
+  };
+};
+
+// Re-apply the last undone move.
+export const redoMove = (state) => {
+  if (!canRedo(state)) return state;
+  const future = state.history.future.slice();
+  const after = future.pop();
+  return {
+    ...state,
+    ...after,
+    history: { ...state.history, past: state.history.past.concat([boardOf(state)]), future },
+  };
+};
@@ -0,0 +1,129 @@
+// Public surface of the GridZen2 rules engine. Import from 'engine' rather
+// than the individual files so internals can move without touching callers.
+export {
+  GAME_ACTIONS,
+  TIME_FOR_SIZE,
+  MAX_POWER_UPS,
+  INITIAL_STATE,
+  POWER_UP_CONFIG,
+  vibrantColors,
+} from './constants';
+export {
+  generateTileColors,
+  generatePatterns,
+  createGridData,
+  gridLayout,
+  createGridFromLayout,
+  arrangeGrid,
+  checkRowCompletion,
+  checkStrategicError,
+  evaluateGrid,
+  applySwap,
+} from './grid';
+export {
+  createPowerUpDrop,
+  findHintRow,
+  autoCompleteGrid,
+  findTeleportSwap,
+} from './powerUps';
+export { createRng, randomSeed, hashSeed, deriveSeed } from './random';
+export { dailyKeyFor, dailySeed, getDailyResult } from './daily';
+export { SAVE_DATA_VERSION, compareScores, winRecordAction, migrateSavedData } from './scores';
+export { SAVED_GAME_VERSION, serializeGame, deserializeGame } from './savedGame';
+export {
+  monotonicNow,
+  createClock,
+  restoreClock,
+  isClockRunning,
+  clockElapsedMs,
+  clockRemainingMs,
+  pauseClock,
+  resumeClock,
+  addClockTime,
+  setClockRemaining,
+  remainingSeconds,
+  elapsedSeconds,
+  formatSeconds,
+} from './clock';
+export { MAX_HISTORY, canUndo, canRedo } from './history';
+export {
+  REPLAY_VERSION,
+  createReplay,
+  isValidReplay,
+  buildReplayFrames,
+  replayDuration,
+} from './replay';
+export { solveGrid, solveGridAsync, rateRun, moveBudget } from './solver';
+export {
+  DIFFICULTIES,
+  DIFFICULTY_BANDS,
+  boardMetrics,
+  difficultyScore,
+  rateDifficulty,
+  createGridForDifficulty,
+  createGridFromSeed,
+} from './difficulty';
+export {
+  createSurvivalRun,
+  survivalStage,
+  createSurvivalBoard,
+  survivalBonus,
+  survivalScore,
+} from './survival';
+export {
+  CAMPAIGN_VERSION,
+  isValidLevel,
+  createLevelGrid,
+  findLevel,
+  nextLevel,
+  isLevelUnlocked,
+  levelStars,
+  campaignStars,
+} from './campaign';
+export {
+  PUZZLE_STRING_PREFIX,
+  encodePuzzle,
+  decodePuzzle,
+  PUZZLE_LINK_PREFIX,
+  puzzleLink,
+  readPuzzleCode,
+  puzzleFromReplay,
+  scrambleLayout,
+  validatePuzzle,
+  validatePuzzleAsync,
+} from './puzzle';
+export { resultMosaic, formatResultCard } from './resultCard';
+export {
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  createSession,
+  isValidSession,
+  createSessionBoard,
+  sessionTimeLimit,
+  currentPlayer,
+  isSessionOver,
+  recordTurn,
+  sessionStandings,
+  compareResults,
+} from './session';
+export {
+  FRIEND_CHALLENGE_FORMAT,
+  FRIEND_CHALLENGE_VERSION,
+  createFriendChallenge,
+  isValidFriendChallenge,
+  encodeFriendChallenge,
+  readFriendChallenge,
+  createFriendChallengeBoard,
+  friendChallengeOutcome,
+} from './friendChallenge';
+export { RACE_LANES, createRace, raceReducer, isRaceOver } from './race';
+export {
+  MAX_GHOSTS,
+  ghostKey,
+  createGhost,
+  isValidGhost,
+  ghostAt,
+  ghostStanding,
+  recordGhost,
+} from './ghost';
+export { gameStateReducer } from './reducer';
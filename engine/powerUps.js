@@ -0,0 +1,142 @@
+import { POWER_UP_CONFIG } from './constants';
+import { applySwap, checkRowCompletion } from './grid';
+import { createRng, deriveSeed } from './random';
+
+// ============================================================================
+// Power-up grid transformations. Each takes the current grid and returns a
+// result without touching state; GameScreen dispatches and evaluates it.
+// ============================================================================
+
+// Power-ups that only act on the countdown, and so never drop in untimed
+// (Zen or move-limited) games.
+const TIMED_ONLY_POWER_UPS = ['FREEZE_TIME'];
+
+// The power-up awarded for the game's nth completed row (0-based). Derived
+// from the seed alone, so a rebuilt board drops the same power-ups in the
+// same order no matter how the rows were reached. In a move-limited game
+// FREE_MOVES is what buys time, so it drops twice as often.
+export const createPowerUpDrop = (seed, dropIndex, { zen = false, moveLimited = false } = {}) => {
+  const untimed = zen || moveLimited;
+  const keys = Object.keys(POWER_UP_CONFIG).filter(k => !untimed || !TIMED_ONLY_POWER_UPS.includes(k));
+  if (moveLimited) keys.push('FREE_MOVES');
+  const random = createRng(deriveSeed(seed, `drop-${dropIndex}`));
+  const t = keys[Math.floor(random() * keys.length)];
+  const cfg = POWER_UP_CONFIG[t];
+  return {
+    id: `${seed}-${dropIndex}`,
+    type: t, icon: cfg.icon, name: cfg.name,
+    description: cfg.description, effect: cfg.effect,
+  };
+};
+
+// Most frequent pattern name in a row — the row's target in pattern mode,
+// since pattern rows have no fixed destination.
+const dominantPatternName = (row) => {
+  const counts = {};
+  row.forEach(t => { counts[t.pattern.name] = (counts[t.pattern.name] || 0) + 1; });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// ROW_HINT — the incomplete row closest to done.
+export const findHintRow = (grid, size, mode) => {
+  let bestRow = null; let bestScore = -1;
+  for (let r = 0; r < size; r++) {
+    if (checkRowCompletion(grid, size, r, mode)) continue;
+    const start = r * size;
+    const row = grid.slice(start, start + size);
+    let score = 0;
+    if (mode === 'classic') {
+      score = row.reduce((acc, tile, i) => acc + (tile.number === start + i + 1 ? 1 : 0), 0);
+    } else if (mode === 'color') {
+      const target = row[0].targetColor;
+      score = row.reduce((acc, tile) => acc + (tile.color === target ? 1 : 0), 0);
+    } else {
+      const counts = {};
+      row.forEach(t => { counts[t.pattern.name] = (counts[t.pattern.name] || 0) + 1; });
+      score = Math.max(...Object.values(counts));
+    }
+    if (score > bestScore) { bestScore = score; bestRow = r; }
+  }
+  return bestRow;
+};
+
+// AUTO_COMPLETE — fix up to `fixes` tiles. Builds a local grid and applies
+// each fix to it, so the next iteration sees the most recent swap. The old
+// in-component version re-read state.gridData each iteration — that closure
+// was stale and could undo prior swaps. Returns the input array when nothing
+// could be fixed.
+export const autoCompleteGrid = (gridData, size, mode, fixes = POWER_UP_CONFIG.AUTO_COMPLETE.effect) => {
+  let grid = gridData.slice();
+  let changed = false;
+  if (mode === 'classic') {
+    for (let i = 0; i < grid.length && fixes > 0; i++) {
+      if (grid[i].number !== i + 1) {
+        const j = grid.findIndex(t => t.number === i + 1);
+        if (j !== -1 && j !== i) { grid = applySwap(grid, i, j); fixes--; changed = true; }
+      }
+    }
+  } else if (mode === 'color') {
+    for (let r = 0; r < size && fixes > 0; r++) {
+      const start = r * size;
+      const row = grid.slice(start, start + size);
+      const target = row[0].targetColor;
+      const wrongIdx = row.findIndex(t => t.color !== target);
+      if (wrongIdx !== -1) {
+        const globalWrong = start + wrongIdx;
+        const donor = grid.findIndex((t, idx) => Math.floor(idx / size) !== r && t.color === target);
+        if (donor !== -1) { grid = applySwap(grid, globalWrong, donor); fixes--; changed = true; }
+      }
+    }
+  } else {
+    for (let r = 0; r < size && fixes > 0; r++) {
+      const start = r * size;
+      const row = grid.slice(start, start + size);
+      const targetName = dominantPatternName(row);
+      const wrongIdx = row.findIndex(t => t.pattern.name !== targetName);
+      if (wrongIdx !== -1) {
+        const globalWrong = start + wrongIdx;
+        const donor = grid.findIndex((t, idx) =>
+          Math.floor(idx / size) !== r && t.pattern.name === targetName
+        );
+        if (donor !== -1) { grid = applySwap(grid, globalWrong, donor); fixes--; changed = true; }
+      }
+    }
+  }
+  return changed ? grid : gridData;
+};
+
+// TELEPORT_SWAP — the first swap that puts one more tile in its place,
+// scanning top-down. Returns [wrongIndex, donorIndex] or null.
+export const findTeleportSwap = (grid, size, mode) => {
+  if (mode === 'classic') {
+    for (let i = 0; i < grid.length; i++) {
+      if (grid[i].number !== i + 1) {
+        const j = grid.findIndex(t => t.number === i + 1);
+        if (j !== -1 && j !== i) return [i, j];
+      }
+    }
+    return null;
+  }
+  for (let r = 0; r < size; r++) {
+    const start = r * size;
+    const row = grid.slice(start, start + size);
+    if (mode === 'color') {
+      const target = row[0].targetColor;
+      const wrong = row.findIndex(t => t.color !== target);
+      if (wrong !== -1) {
+        const donor = grid.findIndex((t, idx) => Math.floor(idx / size) !== r && t.color === target);
+        if (donor !== -1) return [start + wrong, donor];
+      }
+    } else {
+      const targetName = dominantPatternName(row);
+      const wrongIdx = row.findIndex(t => t.pattern.name !== targetName);
+      if (wrongIdx !== -1) {
+        const donor = grid.findIndex((t, idx) =>
+          Math.floor(idx / size) !== r && t.pattern.name === targetName
+        );
+        if (donor !== -1) return [start + wrongIdx, donor];
+      }
+    }
+  }
+  return null;
+};
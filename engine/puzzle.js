@@ -0,0 +1,161 @@
+import { createLevelGrid, isValidLevel } from './campaign';
+import { evaluateGrid } from './grid';
+import { solveGrid, solveGridAsync } from './solver';
+
+// ============================================================================
+// Custom puzzles: boards made in the editor or shared from a game. A puzzle
+// is shaped like a campaign level (see campaign.js) so it plays the same
+// way, and travels as a short puzzle string:
+//
+//   gz1.n4.0123456789abcfed.01.t90.3.My%20Puzzle
+//
+// version . mode letter + size . layout, one base-36 digit per tile .
+// locked rows (or '-') . t<seconds> or m<moves> . par (or '-' when the
+// solver couldn't prove one) . name (URI-encoded).
+// ============================================================================
+
+export const PUZZLE_STRING_PREFIX = 'gz1';
+
+const MODE_LETTERS = { classic: 'n', color: 'c', pattern: 's' };
+const LETTER_MODES = { n: 'classic', c: 'color', s: 'pattern' };
+
+export const encodePuzzle = (puzzle) => [
+  PUZZLE_STRING_PREFIX,
+  `${MODE_LETTERS[puzzle.mode]}${puzzle.size}`,
+  puzzle.layout.map(home => home.toString(36)).join(''),
+  (puzzle.lockedRows || []).join('') || '-',
+  puzzle.moveLimit != null ? `m${puzzle.moveLimit}` : `t${puzzle.timeLimit}`,
+  puzzle.par ?? '-',
+  encodeURIComponent(puzzle.name || ''),
+].join('.');
+
+// Inverse of encodePuzzle: the puzzle, or null for anything that isn't a
+// well-formed, playable puzzle string. Decoded puzzles get an id derived
+// from their content, so the same string always names the same puzzle.
+export const decodePuzzle = (text) => {
+  if (typeof text !== 'string') return null;
+  const parts = text.trim().split('.');
+  if (parts.length < 6 || parts[0] !== PUZZLE_STRING_PREFIX) return null;
+  const [, kind, layoutText, lockedText, limitText, parText] = parts;
+  const mode = LETTER_MODES[kind[0]];
+  const size = Number(kind.slice(1));
+  const limit = Number(limitText.slice(1));
+  const par = parText === '-' ? null : Number(parText);
+  if (!Number.isInteger(limit) || limit <= 0 || !(par === null || Number.isInteger(par))) return null;
+  let name = '';
+  try { name = decodeURIComponent(parts.slice(6).join('.')); } catch { return null; }
+  const puzzle = {
+    id: `custom-${parts.slice(1, 6).join('.')}`,
+    name: name || 'Custom Puzzle',
+    mode,
+    size,
+    layout: Array.from(layoutText, c => parseInt(c, 36)),
+    lockedRows: lockedText === '-' ? [] : Array.from(lockedText, Number),
+    par,
+  };
+  if (limitText[0] === 'm') puzzle.moveLimit = limit;
+  else if (limitText[0] === 't') puzzle.timeLimit = limit;
+  return isValidLevel(puzzle) ? puzzle : null;
+};
+
+// The same puzzle as a deep link, for sharing outside the app:
+//
+//   gridzen2://play?code=gz1.n4...
+export const PUZZLE_LINK_PREFIX = 'gridzen2://play?';
+
+export const puzzleLink = (puzzle) => `${PUZZLE_LINK_PREFIX}code=${encodeURIComponent(encodePuzzle(puzzle))}`;
+
+// Finds a puzzle in pasted text or an opened URL: a play link, or a bare
+// puzzle string anywhere in the text (so a whole share message can be
+// pasted). Null if there isn't a valid one.
+export const readPuzzleCode = (text) => {
+  if (typeof text !== 'string') return null;
+  const link = text.match(/gridzen2:\/\/play\?(\S*)/);
+  if (link) {
+    const param = link[1].split('&').find(pair => pair.startsWith('code='));
+    if (!param) return null;
+    try { return decodePuzzle(decodeURIComponent(param.slice('code='.length))); } catch { return null; }
+  }
+  const code = text.match(new RegExp(`${PUZZLE_STRING_PREFIX}\\.\\S+`));
+  return code ? decodePuzzle(code[0]) : null;
+};
+
+// A finished or running game's starting board as a puzzle, so it can be
+// shared: the layout from its replay, its limit, and par from the solver.
+export const puzzleFromReplay = (replay, { timeLimit, moveLimit, par, name }) => ({
+  id: 'shared',
+  name,
+  mode: replay.mode,
+  size: replay.size,
+  layout: replay.layout,
+  lockedRows: [],
+  ...(moveLimit != null ? { moveLimit } : { timeLimit }),
+  par,
+});
+
+// Shuffle the free rows of `layout`, keeping each tile on its side of any
+// locked row (tiles can't cross one, so anything else would be unsolvable).
+export const scrambleLayout = (layout, size, lockedRows = [], random = Math.random) => {
+  const next = layout.slice();
+  const bands = [[]];
+  for (let r = 0; r < size; r++) {
+    if (lockedRows.includes(r)) { bands.push([]); continue; }
+    for (let c = 0; c < size; c++) bands[bands.length - 1].push(r * size + c);
+  }
+  bands.forEach((cells) => {
+    for (let i = cells.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [next[cells[i]], next[cells[j]]] = [next[cells[j]], next[cells[i]]];
+    }
+  });
+  return next;
+};
+
+// The checks that need no solving: { ok: false, error } for a puzzle that
+// can't be played at all, else null.
+const puzzleProblem = (puzzle) => {
+  if (!isValidLevel({ ...puzzle, id: puzzle.id || 'draft' })) {
+    return { ok: false, error: 'Locked rows must already be complete.' };
+  }
+  if (evaluateGrid(createLevelGrid(puzzle), puzzle.size, puzzle.mode, new Set()).isWin) {
+    return { ok: false, error: 'This board is already solved.' };
+  }
+  return null;
+};
+
+// What the solver's result says about the puzzle. Par is only given when the
+// solver proved it; otherwise par is null and the move limit is held to the
+// lower bound, since the real minimum may be below the solution it found.
+const puzzleVerdict = (puzzle, { moves, optimal, lowerBound }) => {
+  if (moves == null) {
+    return optimal
+      ? { ok: false, error: 'No solution: the locked rows cut tiles off from where they need to go.' }
+      : { ok: false, error: 'No solution found in time. Try a board that is less scrambled.' };
+  }
+  if (puzzle.moveLimit != null && puzzle.moveLimit < (optimal ? moves : lowerBound)) {
+    return optimal
+      ? { ok: false, error: `The move limit is below par (${moves} moves).` }
+      : { ok: false, error: `The move limit is below the ${lowerBound} moves this board needs at least.` };
+  }
+  return { ok: true, par: optimal ? moves : null };
+};
+
+// Checks an editor puzzle (no par yet) can be played and won under the
+// swipe rules. Returns { ok: true, par } or { ok: false, error } with a
+// message for the editor to show. `options` go to the solver (see solveGrid).
+export const validatePuzzle = (puzzle, options) => {
+  const problem = puzzleProblem(puzzle);
+  if (problem) return problem;
+  const solved = solveGrid(createLevelGrid(puzzle), puzzle.size, puzzle.mode, { ...options, lockedRows: new Set(puzzle.lockedRows) });
+  return puzzleVerdict(puzzle, solved);
+};
+
+// validatePuzzle with the solve run a slice at a time (see solveGridAsync),
+// for checking from the editor. Returns { promise, cancel }; a cancelled
+// check resolves to null.
+export const validatePuzzleAsync = (puzzle, options) => {
+  const problem = puzzleProblem(puzzle);
+  if (problem) return { promise: Promise.resolve(problem), cancel: () => {} };
+  const solve = solveGridAsync(createLevelGrid(puzzle), puzzle.size, puzzle.mode, { ...options, lockedRows: new Set(puzzle.lockedRows) });
+  return { promise: solve.promise.then(solved => solved && puzzleVerdict(puzzle, solved)), cancel: solve.cancel };
+};
@@ -0,0 +1,54 @@
+import { GAME_ACTIONS, INITIAL_STATE, TIME_FOR_SIZE } from './constants';
+import { createGridFromSeed } from './difficulty';
+import { gameStateReducer } from './reducer';
+
+// ============================================================================
+// Head-to-head races: two (or more) games side by side on one screen, all on
+// the same seeded board. Each lane is a complete game state driven by the
+// ordinary gameStateReducer, so it has its own clock, moves and power-ups;
+// this layer only routes actions to lanes and decides the winner:
+//
+//   { seed, lanes: [gameState, ...], winner }
+//
+// `winner` is the index of the first lane to solve its board, or null. The
+// first solve ends the race and stops every other lane where it is.
+// ============================================================================
+
+export const RACE_LANES = 2;
+
+export const createRace = ({ seed, mode, size, difficulty, lanes = RACE_LANES, now = 0 }) => {
+  const newLane = () => gameStateReducer(
+    {
+      ...INITIAL_STATE,
+      gameMode: mode,
+      gridSize: size,
+      difficulty,
+      gridData: createGridFromSeed(size, mode, seed, difficulty),
+    },
+    { type: GAME_ACTIONS.START_NEW_GAME, payload: { seed, now, timeLimit: TIME_FOR_SIZE[size] || 60 } }
+  );
+  return { seed, lanes: Array.from({ length: lanes }, newLane), winner: null };
+};
+
+// An ordinary game action plus `lane`, the index of the game it's for. An
+// action without a lane goes to every lane (pausing, say).
+export const raceReducer = (race, action) => {
+  const targets = action.lane == null ? race.lanes.map((_, i) => i) : [action.lane];
+  let lanes = race.lanes.map((lane, i) => (targets.includes(i) ? gameStateReducer(lane, action) : lane));
+  if (lanes.every((lane, i) => lane === race.lanes[i])) return race;
+
+  let { winner } = race;
+  if (winner == null) {
+    const first = lanes.findIndex((lane, i) => lane.gamePhase === 'won' && race.lanes[i].gamePhase !== 'won');
+    if (first !== -1) {
+      winner = first;
+      lanes = lanes.map(lane => (lane.gamePhase === 'playing'
+        ? gameStateReducer(lane, { type: GAME_ACTIONS.SET_GAME_PHASE, payload: 'gameOver' })
+        : lane));
+    }
+  }
+  return { ...race, lanes, winner };
+};
+
+// Over once a lane has won or every lane has run out of time.
+export const isRaceOver = (race) => race.lanes.every(lane => lane.gamePhase !== 'playing');
@@ -0,0 +1,36 @@
+// ============================================================================
+// Seeded randomness. Every shuffle and power-up drop goes through a PRNG
+// built from the game's seed, so (mode, size, seed) always rebuilds the same
+// board and the same drop sequence. Seeds are unsigned 32-bit integers.
+// ============================================================================
+
+// mulberry32 — tiny, fast, and good enough for shuffling a 36-tile board.
+// Returns a function with the same contract as Math.random.
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fresh seed for a normal game. This is the only place the engine reads
+// Math.random; everything downstream is deterministic.
+export const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+// Hash a string (e.g. a date key) into a seed. FNV-1a, 32-bit.
+export const hashSeed = (str) => {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+// Derive an independent sub-seed, so the nth power-up drop doesn't depend on
+// how many random numbers the shuffle consumed.
+export const deriveSeed = (seed, salt) => hashSeed(`${seed >>> 0}:${salt}`);
@@ -0,0 +1,318 @@
+import { GAME_ACTIONS, INITIAL_STATE, MAX_POWER_UPS, TIME_FOR_SIZE } from './constants';
+import {
+  addClockTime,
+  clockRemainingMs,
+  createClock,
+  elapsedSeconds,
+  pauseClock,
+  remainingSeconds,
+  restoreClock,
+  resumeClock,
+  setClockRemaining,
+} from './clock';
+import { gridLayout } from './grid';
+import { EMPTY_HISTORY, pushMove, recordDrop, redoMove, undoMove, wasDropped } from './history';
+import { createReplay, logEvent } from './replay';
+import { compareScores } from './scores';
+import { recordGhost } from './ghost';
+import { recordTurn } from './session';
+import { advanceSurvivalRun, survivalBonus } from './survival';
+
+// Install a clock and refresh the fields derived from it.
+const withClock = (state, clock, now) => ({
+  ...state,
+  clock,
+  timeRemaining: remainingSeconds(clock, now),
+  elapsedTime: elapsedSeconds(clock, now),
+});
+
+// ============================================================================
+// Reducer
+// ============================================================================
+export function gameStateReducer(state, action) {
+  switch (action.type) {
+    case GAME_ACTIONS.SET_GAME_PHASE:
+      return { ...state, gamePhase: action.payload };
+    case GAME_ACTIONS.SET_GAME_MODE:
+      return { ...state, gameMode: action.payload };
+    case GAME_ACTIONS.SET_GRID_SIZE:
+      return { ...state, gridSize: action.payload };
+    case GAME_ACTIONS.SET_DIFFICULTY:
+      return { ...state, difficulty: action.payload };
+    case GAME_ACTIONS.SET_GRID_DATA:
+      return { ...state, gridData: action.payload };
+    case GAME_ACTIONS.SWAP_TILES: {
+      const newGrid = state.gridData.slice();
+      const { fromIndex, toIndex, now } = action.payload;
+      const tmp = newGrid[fromIndex];
+      newGrid[fromIndex] = { ...newGrid[toIndex], currentIndex: fromIndex };
+      newGrid[toIndex] = { ...tmp, currentIndex: toIndex };
+      return {
+        ...state,
+        gridData: newGrid,
+        history: pushMove(state),
+        replay: logEvent(state, now, 's', fromIndex, toIndex),
+      };
+    }
+    // A power-up rearranging the board is a move like any swipe, so it goes
+    // on the history stack too. (SET_GRID_DATA is for loading a new board.)
+    case GAME_ACTIONS.APPLY_POWER_UP_GRID: {
+      const { gridData, now } = action.payload;
+      return {
+        ...state,
+        gridData,
+        history: pushMove(state),
+        replay: logEvent(state, now, 'g', gridLayout(gridData)),
+      };
+    }
+    // A solved survival board makes way for the next: the run moves on, the
+    // leftover time plus a bonus becomes the new board's clock, and the
+    // power-ups carry over. Everything else starts afresh, as for a new game.
+    case GAME_ACTIONS.NEXT_SURVIVAL_BOARD: {
+      const { board, now } = action.payload;
+      const survival = advanceSurvivalRun(state.survival, state.gridSize);
+      const seconds = clockRemainingMs(state.clock, now) / 1000 + survivalBonus(survival.boardsCleared);
+      return {
+        ...withClock(state, createClock(seconds, now), now),
+        survival,
+        seed: board.seed,
+        gridSize: board.size,
+        gridData: board.gridData,
+        moveCount: 0,
+        completedRows: new Set(),
+        lockedTiles: new Set(),
+        rowCompletionStreak: 0,
+        activePowerUp: null,
+        hintRowIndex: null,
+        history: EMPTY_HISTORY,
+        undoCount: 0,
+        replay: createReplay(board.gridData, state.gameMode, board.size, board.seed),
+        strategicWarningVisible: false,
+      };
+    }
+    // Move actions carry an optional `now` too, to timestamp the replay.
+    case GAME_ACTIONS.UNDO_MOVE: {
+      const next = undoMove(state);
+      return next === state ? state : { ...next, replay: logEvent(state, action.payload?.now, 'u') };
+    }
+    case GAME_ACTIONS.REDO_MOVE: {
+      const next = redoMove(state);
+      return next === state ? state : { ...next, replay: logEvent(state, action.payload?.now, 'r') };
+    }
+    case GAME_ACTIONS.INCREMENT_MOVES:
+      return { ...state, moveCount: state.moveCount + 1 };
+    case GAME_ACTIONS.COMPLETE_ROW: {
+      const r = action.payload.rowIndex;
+      const completedRows = new Set(state.completedRows);
+      completedRows.add(r);
+      const lockedTiles = new Set(state.lockedTiles);
+      for (let c = 0; c < state.gridSize; c++) lockedTiles.add(r * state.gridSize + c);
+      return { ...state, completedRows, lockedTiles, rowCompletionStreak: state.rowCompletionStreak + 1 };
+    }
+    case GAME_ACTIONS.ADD_POWER_UP: {
+      // A row completed again after an undo doesn't drop a second time.
+      if (wasDropped(state.history, action.payload)) return state;
+      const next = state.availablePowerUps.concat([action.payload]);
+      // Cap at MAX_POWER_UPS so the chip rail never overflows; drop oldest.
+      return {
+        ...state,
+        availablePowerUps: next.slice(-MAX_POWER_UPS),
+        history: recordDrop(state.history, action.payload),
+      };
+    }
+    case GAME_ACTIONS.USE_POWER_UP: {
+      const { powerUp, now } = action.payload;
+      return {
+        ...state,
+        availablePowerUps: state.availablePowerUps.filter(p => p.id !== powerUp.id),
+        activePowerUp: powerUp.type,
+        replay: logEvent(state, now, 'p', powerUp.type),
+      };
+    }
+    case GAME_ACTIONS.CLEAR_POWER_UPS:
+      return { ...state, availablePowerUps: [], activePowerUp: null };
+    case GAME_ACTIONS.SET_FREE_MOVES:
+      return { ...state, freeMovesRemaining: state.freeMovesRemaining + action.payload };
+    case GAME_ACTIONS.CONSUME_FREE_MOVE:
+      return { ...state, freeMovesRemaining: Math.max(0, state.freeMovesRemaining - 1) };
+    case GAME_ACTIONS.SET_HINT_ROW:
+      return { ...state, hintRowIndex: action.payload };
+    case GAME_ACTIONS.CLEAR_HINT_ROW:
+      return { ...state, hintRowIndex: null };
+    // Clock actions all carry `now` (monotonicNow()) in their payload.
+    case GAME_ACTIONS.TICK_CLOCK:
+      return withClock(state, state.clock, action.payload.now);
+    case GAME_ACTIONS.SET_TIME: {
+      const { seconds, now } = action.payload;
+      return withClock(state, setClockRemaining(state.clock, seconds, now), now);
+    }
+    case GAME_ACTIONS.ADD_TIME: {
+      const { seconds, now } = action.payload;
+      return withClock(state, addClockTime(state.clock, seconds), now);
+    }
+    case GAME_ACTIONS.PAUSE_GAME: {
+      const { now } = action.payload;
+      return { ...withClock(state, pauseClock(state.clock, now), now), isGamePaused: true, isGameActive: false };
+    }
+    case GAME_ACTIONS.RESUME_GAME: {
+      const { now } = action.payload;
+      return { ...withClock(state, resumeClock(state.clock, now), now), isGamePaused: false, isGameActive: true };
+    }
+    case GAME_ACTIONS.START_NEW_GAME: {
+      const {
+        now = 0, timeLimit = TIME_FOR_SIZE[state.gridSize] || 60, zen = false, moveLimit = null, survival = null,
+        levelId = null, puzzle = null, session = null, friendChallenge = null, lockedRows = [], retry = false,
+      } = action.payload || {};
+      const seed = action.payload?.seed ?? state.seed;
+      const untimed = zen || moveLimit != null;
+      // Campaign levels can start with rows already complete and locked.
+      const lockedTiles = new Set();
+      lockedRows.forEach((r) => {
+        for (let c = 0; c < state.gridSize; c++) lockedTiles.add(r * state.gridSize + c);
+      });
+      return {
+        // Zen and move-limited games' clocks have no budget: they only count up.
+        ...withClock(state, createClock(untimed ? Infinity : timeLimit, now), now),
+        gamePhase: 'playing',
+        isZen: zen,
+        moveLimit,
+        survival,
+        session,
+        friendChallenge,
+        isRetry: retry,
+        levelId,
+        puzzle,
+        seed,
+        dailyKey: action.payload?.dailyKey ?? null,
+        isGameActive: true,
+        isGamePaused: false,
+        moveCount: 0,
+        completedRows: new Set(lockedRows),
+        lockedTiles,
+        rowCompletionStreak: 0,
+        availablePowerUps: [],
+        activePowerUp: null,
+        freeMovesRemaining: 0,
+        hintRowIndex: null,
+        history: EMPTY_HISTORY,
+        undoCount: 0,
+        // SET_GRID_DATA has already loaded the starting board.
+        replay: createReplay(state.gridData, state.gameMode, state.gridSize, seed),
+        strategicWarningVisible: false,
+        strategicWarningShown: false,
+        savedGame: null,
+      };
+    }
+    case GAME_ACTIONS.SET_SAVED_GAME:
+      return { ...state, savedGame: action.payload };
+    case GAME_ACTIONS.RESTORE_GAME: {
+      const { snapshot, now } = action.payload;
+      const { clock, ...rest } = snapshot;
+      return {
+        ...withClock({ ...state, ...rest }, restoreClock(clock.budgetMs, clock.elapsedMs, now), now),
+        gamePhase: 'playing',
+        isGameActive: true,
+        isGamePaused: false,
+        activePowerUp: null,
+        hintRowIndex: null,
+        history: EMPTY_HISTORY,
+        strategicWarningVisible: false,
+        savedGame: null,
+      };
+    }
+    case GAME_ACTIONS.SHOW_PANEL:
+      return { ...state, visiblePanel: action.payload };
+    case GAME_ACTIONS.HIDE_PANEL:
+      return { ...state, visiblePanel: null };
+    case GAME_ACTIONS.SHOW_STRATEGIC_WARNING:
+      return { ...state, strategicWarningVisible: true, strategicWarningShown: true };
+    case GAME_ACTIONS.HIDE_STRATEGIC_WARNING:
+      return { ...state, strategicWarningVisible: false };
+    case GAME_ACTIONS.SET_DARK_THEME:
+      return { ...state, isDarkTheme: !!action.payload };
+    case GAME_ACTIONS.SET_MUSIC_ENABLED:
+      return { ...state, musicEnabled: !!action.payload };
+    case GAME_ACTIONS.SET_UNDO_ENABLED:
+      return { ...state, undoEnabled: !!action.payload };
+    case GAME_ACTIONS.SET_INPUT_MODE:
+      return { ...state, inputMode: action.payload === 'tap' ? 'tap' : 'swipe' };
+    case GAME_ACTIONS.SET_ZEN_ENABLED:
+      return { ...state, zenEnabled: !!action.payload };
+    case GAME_ACTIONS.SAVE_HIGH_SCORE: {
+      const { gameMode, gridSize, score, zen = false } = action.payload;
+      // Zen runs have no clock pressure, so they rank on their own boards.
+      const field = zen ? 'zenLeaderboards' : 'leaderboards';
+      const newLeaderboards = {
+        classic: { ...state[field].classic },
+        color: { ...state[field].color },
+        pattern: { ...state[field].pattern }
+      };
+      const key = `${gridSize}x${gridSize}`;
+      const board = (newLeaderboards[gameMode][key] || []).slice();
+      board.push(score);
+      board.sort(compareScores);
+      newLeaderboards[gameMode][key] = board.slice(0, 10);
+      return {
+        ...state,
+        [field]: newLeaderboards,
+        lastSavedScore: { gameMode, gridSize, zen, date: score.date },
+      };
+    }
+    case GAME_ACTIONS.LOAD_LEADERBOARDS:
+      return { ...state, leaderboards: action.payload };
+    case GAME_ACTIONS.LOAD_ZEN_LEADERBOARDS:
+      return { ...state, zenLeaderboards: action.payload };
+    case GAME_ACTIONS.RECORD_DAILY_RESULT: {
+      const { dateKey, gameMode, gridSize, result } = action.payload;
+      const day = state.dailyResults[dateKey] || {};
+      const key = `${gridSize}x${gridSize}`;
+      return {
+        ...state,
+        dailyResults: {
+          ...state.dailyResults,
+          [dateKey]: { ...day, [gameMode]: { ...day[gameMode], [key]: result } },
+        },
+      };
+    }
+    case GAME_ACTIONS.LOAD_DAILY_RESULTS:
+      return { ...state, dailyResults: action.payload };
+    case GAME_ACTIONS.RECORD_SURVIVAL_RUN: {
+      const { gameMode, result } = action.payload;
+      const best = state.survivalBests[gameMode];
+      if (best && best.score >= result.score) return state;
+      return { ...state, survivalBests: { ...state.survivalBests, [gameMode]: result } };
+    }
+    case GAME_ACTIONS.LOAD_SURVIVAL_BESTS:
+      return { ...state, survivalBests: { ...INITIAL_STATE.survivalBests, ...action.payload } };
+    case GAME_ACTIONS.RECORD_LEVEL_RESULT: {
+      const { levelId, stars } = action.payload;
+      if ((state.campaignProgress[levelId] || 0) >= stars) return state;
+      return { ...state, campaignProgress: { ...state.campaignProgress, [levelId]: stars } };
+    }
+    case GAME_ACTIONS.LOAD_CAMPAIGN_PROGRESS:
+      return { ...state, campaignProgress: action.payload };
+    // Saving a puzzle again (same id) replaces it and moves it to the top.
+    case GAME_ACTIONS.SAVE_CUSTOM_PUZZLE: {
+      const puzzle = action.payload;
+      return { ...state, customPuzzles: [puzzle].concat(state.customPuzzles.filter(p => p.id !== puzzle.id)) };
+    }
+    case GAME_ACTIONS.DELETE_CUSTOM_PUZZLE:
+      return { ...state, customPuzzles: state.customPuzzles.filter(p => p.id !== action.payload) };
+    case GAME_ACTIONS.LOAD_CUSTOM_PUZZLES:
+      return { ...state, customPuzzles: action.payload };
+    case GAME_ACTIONS.SET_SESSION:
+      return { ...state, session: action.payload };
+    case GAME_ACTIONS.RECORD_SESSION_TURN:
+      if (!state.session) return state;
+      return { ...state, session: recordTurn(state.session, action.payload) };
+    case GAME_ACTIONS.RECORD_GHOST: {
+      const { key, ghost } = action.payload;
+      const ghosts = recordGhost(state.ghosts, key, ghost);
+      return ghosts === state.ghosts ? state : { ...state, ghosts };
+    }
+    case GAME_ACTIONS.LOAD_GHOSTS:
+      return { ...state, ghosts: action.payload };
+    default:
+      return state;
+  }
+}
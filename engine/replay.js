@@ -0,0 +1,88 @@
+import { clockElapsedMs } from './clock';
+import { applySwap, arrangeGrid, createGridFromLayout, evaluateGrid, gridLayout } from './grid';
+
+// ============================================================================
+// Replays. A game is recorded as its starting layout plus a log of what the
+// player did, each event stamped with the game clock's elapsed milliseconds
+// (so pauses don't show up as gaps):
+//
+//   [t, 's', fromIndex, toIndex]   swipe
+//   [t, 'p', powerUpType]          power-up used
+//   [t, 'g', layout]               power-up rearranged the board
+//   [t, 'u'] / [t, 'r']            undo / redo
+//
+// Plain arrays keep the log small enough to store with a saved game and to
+// paste into a bug report. Playback never re-runs power-up logic; 'g' events
+// carry the resulting layout, so old replays survive power-up changes.
+// ============================================================================
+
+export const REPLAY_VERSION = 1;
+
+// A fresh replay for a game about to start on `gridData`.
+export const createReplay = (gridData, gameMode, gridSize, seed) => ({
+  v: REPLAY_VERSION,
+  mode: gameMode,
+  size: gridSize,
+  seed,
+  layout: gridLayout(gridData),
+  events: [],
+});
+
+// Append one event to the state's replay. Events dispatched without `now`
+// reuse the previous timestamp so the log stays in order.
+export const logEvent = (state, now, ...event) => {
+  const { replay } = state;
+  if (!replay) return replay;
+  const last = replay.events[replay.events.length - 1];
+  const t = now == null ? (last ? last[0] : 0) : Math.round(clockElapsedMs(state.clock, now));
+  return { ...replay, events: replay.events.concat([[t, ...event]]) };
+};
+
+export const isValidReplay = (replay) =>
+  !!replay && replay.v === REPLAY_VERSION &&
+  Array.isArray(replay.layout) && replay.layout.length === replay.size * replay.size &&
+  Array.isArray(replay.events);
+
+const lockedFor = (completedRows, size) => {
+  const locked = new Set();
+  completedRows.forEach(r => { for (let c = 0; c < size; c++) locked.add(r * size + c); });
+  return locked;
+};
+
+// Every board position the replay passes through, in order:
+// [{ t, event, gridData, completedRows, lockedTiles }]. The first frame is the
+// starting board (event null). Undo/redo walk their own stacks, mirroring the
+// reducer's history.
+export const buildReplayFrames = (replay) => {
+  const { mode, size } = replay;
+  let board = { gridData: createGridFromLayout(size, mode, replay.layout), completedRows: new Set() };
+  const past = [];
+  let future = [];
+  const frame = (t, event) => ({ t, event, ...board, lockedTiles: lockedFor(board.completedRows, size) });
+  const frames = [frame(0, null)];
+
+  const move = (gridData) => {
+    past.push(board);
+    future = [];
+    board = {
+      gridData,
+      completedRows: evaluateGrid(gridData, size, mode, board.completedRows).completedRowsAfter,
+    };
+  };
+
+  replay.events.forEach((event) => {
+    const [t, kind, a, b] = event;
+    if (kind === 's') move(applySwap(board.gridData, a, b));
+    else if (kind === 'g') move(arrangeGrid(board.gridData, a));
+    else if (kind === 'u' && past.length) { future.push(board); board = past.pop(); }
+    else if (kind === 'r' && future.length) { past.push(board); board = future.pop(); }
+    frames.push(frame(t, event));
+  });
+  return frames;
+};
+
+// Length of the recorded game in milliseconds.
+export const replayDuration = (replay) => {
+  const last = replay.events[replay.events.length - 1];
+  return last ? last[0] : 0;
+};
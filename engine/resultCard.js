@@ -0,0 +1,40 @@
+import { formatSeconds } from './clock';
+import { rateRun } from './solver';
+
+// ============================================================================
+// Result cards: a won game as a few lines of text for the share sheet, with
+// the solved board drawn as emoji squares, one colour per row group:
+//
+//   GridZen 2 — NUMBERS 4x4 · Daily 2026-10-18
+//   Solved in 23 moves · 41.20s · par 21 ★★☆
+//   🟥🟥🟥🟥
+//   🟧🟧🟧🟧
+//   ...
+// ============================================================================
+
+const MOSAIC_SQUARES = ['🟥', '🟧', '🟨', '🟩', '🟦', '🟪'];
+
+// One line of squares per row of `layout` (see gridLayout), each tile
+// coloured by the row it belongs in, so a solved board shows its rows.
+export const resultMosaic = (layout, size) => {
+  const lines = [];
+  for (let row = 0; row < size; row++) {
+    lines.push(layout.slice(row * size, (row + 1) * size)
+      .map(home => MOSAIC_SQUARES[Math.floor(home / size) % MOSAIC_SQUARES.length])
+      .join(''));
+  }
+  return lines.join('\n');
+};
+
+// `modeName` is the mode as the menu shows it; `label`, if any, says what
+// kind of game it was (a daily, a level, a challenge). `par` may be null
+// while the solver hasn't finished, and `parEstimate` says it isn't proven
+// minimal.
+export const formatResultCard = ({ modeName, size, label, moves, time, par, parEstimate = false, layout }) => {
+  const title = `GridZen 2 — ${modeName} ${size}x${size}${label ? ` · ${label}` : ''}`;
+  const rating = rateRun(moves, par);
+  const parText = par != null
+    ? ` · par ${parEstimate ? '~' : ''}${par}${rating ? ` ${'★'.repeat(rating.stars)}${'☆'.repeat(3 - rating.stars)}` : ''}`
+    : '';
+  return `${title}\nSolved in ${moves} moves · ${formatSeconds(time)}${parText}\n${resultMosaic(layout, size)}`;
+};
@@ -0,0 +1,96 @@
+import { clockElapsedMs } from './clock';
+import { isValidLevel } from './campaign';
+import { isValidFriendChallenge } from './friendChallenge';
+import { isValidReplay } from './replay';
+import { isValidSession } from './session';
+import { isValidSurvivalRun } from './survival';
+
+// ============================================================================
+// In-progress game snapshots. The reducer keeps completedRows/lockedTiles as
+// Sets, which JSON.stringify silently turns into {}; these helpers convert
+// them to arrays and back so a game can survive the app being killed.
+// ============================================================================
+
+// v2: clock stored as { budgetMs, elapsedMs }.
+export const SAVED_GAME_VERSION = 2;
+
+// Plain, JSON-safe copy of everything needed to continue the current game.
+// Transient UI state (hint highlight, toasts, active power-up) and the undo
+// history are left out; a resumed game starts with a fresh history.
+// The clock is stored as played/budget milliseconds rather than timestamps,
+// since a monotonic timestamp means nothing after the app restarts.
+export const serializeGame = (state, now) => ({
+  version: SAVED_GAME_VERSION,
+  savedAt: Date.now(),
+  gameMode: state.gameMode,
+  gridSize: state.gridSize,
+  difficulty: state.difficulty,
+  seed: state.seed,
+  dailyKey: state.dailyKey,
+  gridData: state.gridData,
+  moveCount: state.moveCount,
+  timeRemaining: state.timeRemaining,
+  elapsedTime: state.elapsedTime,
+  isZen: state.isZen,
+  moveLimit: state.moveLimit,
+  survival: state.survival,
+  session: state.session,
+  friendChallenge: state.friendChallenge,
+  isRetry: state.isRetry,
+  levelId: state.levelId,
+  puzzle: state.puzzle,
+  // An untimed clock's Infinity budget has no JSON form; null stands in for it.
+  clock: {
+    budgetMs: Number.isFinite(state.clock.budgetMs) ? state.clock.budgetMs : null,
+    elapsedMs: clockElapsedMs(state.clock, now),
+  },
+  completedRows: Array.from(state.completedRows),
+  lockedTiles: Array.from(state.lockedTiles),
+  rowCompletionStreak: state.rowCompletionStreak,
+  availablePowerUps: state.availablePowerUps,
+  freeMovesRemaining: state.freeMovesRemaining,
+  undoCount: state.undoCount,
+  replay: state.replay,
+  strategicWarningShown: state.strategicWarningShown,
+});
+
+// Inverse of serializeGame. Returns the state fields to merge back in, or
+// null when the snapshot is from another version or doesn't hang together
+// (e.g. a grid whose length doesn't match its size).
+export const deserializeGame = (data) => {
+  if (!data || data.version !== SAVED_GAME_VERSION) return null;
+  const { gridSize, gridData } = data;
+  if (!Array.isArray(gridData) || gridData.length !== gridSize * gridSize) return null;
+  if (!data.clock) return null;
+  const moveLimit = typeof data.moveLimit === 'number' ? data.moveLimit : null;
+  const budgetMs = data.isZen || moveLimit != null ? Infinity : data.clock.budgetMs;
+  if (typeof budgetMs !== 'number') return null;
+  return {
+    gameMode: data.gameMode,
+    gridSize,
+    difficulty: data.difficulty || 'medium',
+    seed: data.seed || 0,
+    dailyKey: data.dailyKey || null,
+    gridData,
+    moveCount: data.moveCount || 0,
+    timeRemaining: data.timeRemaining,
+    elapsedTime: data.elapsedTime || 0,
+    isZen: !!data.isZen,
+    moveLimit,
+    survival: isValidSurvivalRun(data.survival) ? data.survival : null,
+    session: isValidSession(data.session) ? data.session : null,
+    friendChallenge: isValidFriendChallenge(data.friendChallenge) ? data.friendChallenge : null,
+    isRetry: !!data.isRetry,
+    levelId: typeof data.levelId === 'string' ? data.levelId : null,
+    puzzle: isValidLevel(data.puzzle) ? data.puzzle : null,
+    clock: { ...data.clock, budgetMs },
+    completedRows: new Set(data.completedRows || []),
+    lockedTiles: new Set(data.lockedTiles || []),
+    rowCompletionStreak: data.rowCompletionStreak || 0,
+    availablePowerUps: data.availablePowerUps || [],
+    freeMovesRemaining: data.freeMovesRemaining || 0,
+    undoCount: data.undoCount || 0,
+    replay: isValidReplay(data.replay) ? data.replay : null,
+    strategicWarningShown: !!data.strategicWarningShown,
+  };
+};
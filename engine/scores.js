@@ -0,0 +1,89 @@
+import { GAME_ACTIONS, TIME_FOR_SIZE } from './constants';
+import { levelStars } from './campaign';
+
+// ============================================================================
+// Leaderboard records and the saved-data migrations that keep old ones sane.
+// ============================================================================
+
+// Bumped whenever gridzen2_v2_data changes shape or meaning. Data written
+// before versioning existed has no `version` field and counts as 1.
+export const SAVE_DATA_VERSION = 2;
+
+// Fewest moves first, then fastest. Records whose time is unknown (null)
+// sort after every timed record with the same move count.
+export const compareScores = (a, b) => {
+  if (a.moves !== b.moves) return a.moves - b.moves;
+  const at = a.time == null ? Infinity : a.time;
+  const bt = b.time == null ? Infinity : b.time;
+  if (at === bt) return 0;
+  return at < bt ? -1 : 1;
+};
+
+// The action that records a won game, or null for a run that isn't
+// recorded. `score` is the leaderboard record, its moves counted after the
+// winning swipe; `level` is the campaign level played, if any (the level
+// pack ships with the app, not the engine).
+//
+// Campaign levels earn stars. Daily runs are scored on their own board so
+// one lucky daily can't crowd out the regular top-10. Move challenges aren't
+// ranked at all: each board's budget is different, so their moves don't
+// compare, and nor are custom puzzles, pass-and-play turns or answers to a
+// friend challenge, whose board the sender picked. A retry has already seen
+// its board, so it only races its ghost.
+export const winRecordAction = (state, score, level = null) => {
+  if (state.isRetry) return null;
+  if (level) {
+    return { type: GAME_ACTIONS.RECORD_LEVEL_RESULT, payload: { levelId: level.id, stars: levelStars(score.moves, level.par) } };
+  }
+  if (state.dailyKey) {
+    return {
+      type: GAME_ACTIONS.RECORD_DAILY_RESULT,
+      payload: {
+        dateKey: state.dailyKey,
+        gameMode: state.gameMode,
+        gridSize: state.gridSize,
+        result: { status: 'won', ...score },
+      },
+    };
+  }
+  if (state.moveLimit != null || state.puzzle || state.session || state.friendChallenge) return null;
+  return {
+    type: GAME_ACTIONS.SAVE_HIGH_SCORE,
+    payload: { gameMode: state.gameMode, gridSize: state.gridSize, score, zen: state.isZen },
+  };
+};
+
+// v1 stored `time: 60 - timeRemaining` for every size, which is wrong on
+// 5x5/6x6 (their budgets are 90s/130s) and after any FREEZE_TIME bonus.
+// Adding back the size's extra budget recovers the true time for runs that
+// never froze the clock; we can't tell which runs did, so every migrated
+// record is flagged `timeApprox`, and ones still non-positive lose their time.
+const migrateV1Record = (record, gridSize) => {
+  const budget = TIME_FOR_SIZE[gridSize] || 60;
+  const time = typeof record.time === 'number' ? record.time + (budget - 60) : null;
+  return { ...record, time: time !== null && time > 0 ? time : null, timeApprox: true };
+};
+
+// Bring parsed gridzen2_v2_data up to SAVE_DATA_VERSION. Pure; returns a new
+// object and never throws on missing sections.
+export const migrateSavedData = (data) => {
+  if (!data || typeof data !== 'object') return data;
+  const version = data.version || 1;
+  let next = data;
+
+  if (version < 2 && data.leaderboards) {
+    const leaderboards = {};
+    for (const [mode, boards] of Object.entries(data.leaderboards)) {
+      leaderboards[mode] = {};
+      for (const [key, entries] of Object.entries(boards || {})) {
+        const size = parseInt(key, 10);
+        leaderboards[mode][key] = (entries || [])
+          .map(e => migrateV1Record(e, size))
+          .sort(compareScores);
+      }
+    }
+    next = { ...next, leaderboards };
+  }
+
+  return { ...next, version: SAVE_DATA_VERSION };
+};
@@ -0,0 +1,72 @@
+import { TIME_FOR_SIZE } from './constants';
+import { createGridFromSeed } from './difficulty';
+import { compareScores } from './scores';
+
+// ============================================================================
+// Pass-and-play sessions: two to four players take turns on one device, each
+// solving the same seeded board, then compare results. Like a survival run,
+// this is a layer over ordinary games; each turn is a normal game started
+// with the session, and the session outlives it to collect the results:
+//
+//   { seed, mode, size, difficulty, players: [{ name, result }], turn }
+//
+// `turn` is the index of the player up next (players.length once everyone
+// has played). A result is { solved, moves, time, rows } with `time` the
+// seconds played, or null until that player's turn is over.
+// ============================================================================
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 4;
+
+export const createSession = ({ seed, names, mode, size, difficulty }) => ({
+  seed,
+  mode,
+  size,
+  difficulty,
+  players: names.map((name, i) => ({ name: name.trim() || `Player ${i + 1}`, result: null })),
+  turn: 0,
+});
+
+export const isValidSession = (session) =>
+  !!session && typeof session.seed === 'number' && Array.isArray(session.players)
+  && session.players.length >= MIN_PLAYERS && session.players.length <= MAX_PLAYERS
+  && Number.isInteger(session.turn) && session.turn >= 0 && session.turn <= session.players.length;
+
+// The board every player gets, rebuilt from the seed for each turn.
+export const createSessionBoard = (session) =>
+  createGridFromSeed(session.size, session.mode, session.seed, session.difficulty);
+
+export const sessionTimeLimit = (session) => TIME_FOR_SIZE[session.size] || 60;
+
+export const currentPlayer = (session) => session.players[session.turn] || null;
+
+export const isSessionOver = (session) => session.turn >= session.players.length;
+
+// The session with the current player's result in and the turn passed on.
+export const recordTurn = (session, result) => {
+  if (isSessionOver(session)) return session;
+  return {
+    ...session,
+    players: session.players.map((p, i) => (i === session.turn ? { ...p, result } : p)),
+    turn: session.turn + 1,
+  };
+};
+
+// Solvers first, fewest moves then fastest; then the rest, most rows first.
+export const compareResults = (a, b) => {
+  if (a.solved !== b.solved) return a.solved ? -1 : 1;
+  if (a.solved) return compareScores(a, b);
+  if (a.rows !== b.rows) return b.rows - a.rows;
+  return compareScores(a, b);
+};
+
+// Players who have played, best first, each with a 1-based rank; players
+// with identical results share a rank.
+export const sessionStandings = (session) => {
+  const played = session.players.filter(p => p.result).sort((a, b) => compareResults(a.result, b.result));
+  return played.map((player, i) => {
+    let rank = i + 1;
+    for (let j = i; j > 0 && compareResults(played[j - 1].result, player.result) === 0; j--) rank = j;
+    return { ...player, rank };
+  });
+};
@@ -0,0 +1,314 @@
+import { gridLayout } from './grid';
+
+// ============================================================================
+// Solver. Finds the fewest swipes that solve a board under the same rules as
+// GameGrid: a swipe swaps two orthogonally adjacent tiles, and a row locks as
+// soon as it is complete, after which none of its tiles can be swapped.
+//
+// Boards are reduced to plain numbers first: classic tiles by their solved
+// index, color and pattern tiles by their solved row, since any row of one
+// color (or symbol) counts, whichever color it is. Tiles of the same kind are
+// interchangeable, so swapping two of them is never considered.
+//
+// Exact search (IDA*) is only affordable for short solutions, so a beam search
+// first finds a good solution quickly and IDA* then tries to beat or prove it
+// within a node budget. The result says which of the two it managed.
+//
+// Both searches are generators that pause every so often, so the same search
+// can run straight through (solveGrid) or a slice at a time between frames
+// (solveGridAsync) without freezing the UI.
+// ============================================================================
+
+// Budgets sized for a phone: well under a second on a 4x4, a few seconds at
+// worst on a 6x6, where the board is also too big for IDA* to help.
+const DEFAULT_MAX_NODES = 20000;
+const BEAM_WIDTH_FOR_SIZE = { 4: 48, 5: 24, 6: 16 };
+// IDA* pauses every SLICE_NODES nodes; solveGridAsync runs for about
+// SLICE_MS before handing the thread back.
+const SLICE_NODES = 500;
+const SLICE_MS = 8;
+
+const cellsOf = (grid, size, mode) => {
+  const layout = gridLayout(grid);
+  return mode === 'classic' ? layout : layout.map(home => Math.floor(home / size));
+};
+
+const isRowComplete = (cells, size, mode, r) => {
+  const start = r * size;
+  for (let c = 0; c < size; c++) {
+    const v = cells[start + c];
+    if (mode === 'classic' ? v !== start + c : v !== cells[start]) return false;
+  }
+  return true;
+};
+
+// Rows are a bitmask. Rows already complete on the starting board only lock
+// once the first swipe is evaluated, as in the game.
+const lockRows = (cells, size, mode, locked) => {
+  let next = locked;
+  for (let r = 0; r < size; r++) {
+    if (!(next & (1 << r)) && isRowComplete(cells, size, mode, r)) next |= 1 << r;
+  }
+  return next;
+};
+
+// Locked rows split the board into bands of free rows that tiles can't move
+// between. Returns each row's band index, or -1 for a locked row.
+const bandsOf = (size, locked) => {
+  const bands = [];
+  let band = 0;
+  for (let r = 0; r < size; r++) {
+    if (locked & (1 << r)) { bands.push(-1); band++; } else bands.push(band);
+  }
+  return bands;
+};
+
+// How far the free tiles are from done: total rows and total columns they
+// still have to travel, packed as rowDist * 4096 + colDist, or Infinity for a
+// dead end (a tile sealed off from where it has to go). For color/pattern
+// each kind is measured against its own best row and against one tile per
+// column, which relaxes "one kind per row" but never overestimates.
+const DIST_SHIFT = 4096;
+const distances = (cells, size, mode, locked) => {
+  const bands = bandsOf(size, locked);
+  let rowDist = 0;
+  let colDist = 0;
+
+  if (mode === 'classic') {
+    for (let i = 0; i < cells.length; i++) {
+      const row = (i / size) | 0;
+      if (bands[row] === -1) continue;
+      const v = cells[i];
+      const targetRow = (v / size) | 0;
+      if (bands[targetRow] !== bands[row]) return Infinity;
+      rowDist += Math.abs(row - targetRow);
+      colDist += Math.abs((i % size) - (v % size));
+    }
+    return rowDist * DIST_SHIFT + colDist;
+  }
+
+  // Per kind k: rows[k * size + r] and cols[k * size + c] tile counts.
+  const rows = new Int8Array(size * size);
+  const cols = new Int8Array(size * size);
+  const band = new Int8Array(size).fill(-2);
+  for (let i = 0; i < cells.length; i++) {
+    const row = (i / size) | 0;
+    if (bands[row] === -1) continue;
+    const k = cells[i];
+    // Every tile of a kind must share one band to end up in one row.
+    if (band[k] === -2) band[k] = bands[row];
+    else if (band[k] !== bands[row]) return Infinity;
+    rows[k * size + row]++;
+    cols[k * size + (i % size)]++;
+  }
+  for (let k = 0; k < size; k++) {
+    if (band[k] === -2) continue;
+    let best = Infinity;
+    for (let r = 0; r < size; r++) {
+      if (bands[r] !== band[k]) continue;
+      let d = 0;
+      for (let from = 0; from < size; from++) d += rows[k * size + from] * Math.abs(from - r);
+      if (d < best) best = d;
+    }
+    rowDist += best;
+    // Moving tiles along a row to leave one per column: the carry across each
+    // column boundary is how many must cross it.
+    let carry = 0;
+    for (let c = 0; c < size - 1; c++) {
+      carry += cols[k * size + c] - 1;
+      colDist += Math.abs(carry);
+    }
+  }
+  return rowDist * DIST_SHIFT + colDist;
+};
+
+// Admissible lower bound on the swipes left. A vertical swipe moves two
+// tiles one row each and a horizontal one two tiles one column each, so half
+// the row distance plus half the column distance can't be beaten.
+const boundOf = (dist) => {
+  if (dist === Infinity) return Infinity;
+  const rowDist = Math.floor(dist / DIST_SHIFT);
+  return Math.ceil(rowDist / 2) + Math.ceil((dist - rowDist * DIST_SHIFT) / 2);
+};
+
+const lowerBound = (cells, size, mode, locked) => boundOf(distances(cells, size, mode, locked));
+
+// Every swipe worth trying: adjacent, both tiles free, different kinds.
+const legalSwaps = (cells, size, locked) => {
+  const out = [];
+  for (let i = 0; i < cells.length; i++) {
+    const row = Math.floor(i / size);
+    if (locked & (1 << row)) continue;
+    if ((i % size) < size - 1 && cells[i] !== cells[i + 1]) out.push([i, i + 1]);
+    if (row < size - 1 && !(locked & (1 << (row + 1))) && cells[i] !== cells[i + size]) out.push([i, i + size]);
+  }
+  return out;
+};
+
+const swapped = (cells, a, b) => {
+  const next = cells.slice();
+  next[a] = cells[b];
+  next[b] = cells[a];
+  return next;
+};
+
+// Greedy beam search: keeps the `width` most promising boards at each depth.
+// Fast and usually close to optimal, but proves nothing. Nodes link to their
+// parent instead of copying the path, which is rebuilt once at the end.
+// Pauses after each depth.
+const beamSearch = function* (cells, size, mode, startLocked, width) {
+  const pathTo = (node) => {
+    const path = [];
+    for (let n = node; n.parent; n = n.parent) path.unshift(n.swap);
+    return path;
+  };
+  let beam = [{ cells, locked: startLocked, parent: null, swap: null }];
+  const seen = new Set([cells.join(',')]);
+  const maxDepth = cells.length * size;
+  for (let depth = 0; depth < maxDepth && beam.length > 0; depth++) {
+    const candidates = [];
+    for (const node of beam) {
+      for (const swap of legalSwaps(node.cells, size, node.locked)) {
+        const next = swapped(node.cells, swap[0], swap[1]);
+        const key = next.join(',');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const locked = lockRows(next, size, mode, node.locked);
+        const dist = distances(next, size, mode, locked);
+        // Ranked by raw distance rather than the bound: it breaks the ties
+        // that rounding to whole swipes creates.
+        const child = { cells: next, locked, parent: node, swap, rank: dist };
+        if (dist === 0) return pathTo(child);
+        if (dist !== Infinity) candidates.push(child);
+      }
+    }
+    candidates.sort((x, y) => x.rank - y.rank);
+    beam = candidates.slice(0, width);
+    yield;
+  }
+  return null;
+};
+
+// Iterative-deepening A* for a solution shorter than `limit`. Returns the
+// path, null when none exists below the limit, or undefined when it ran out
+// of nodes before finding out. Pauses every SLICE_NODES nodes.
+const idaStar = function* (cells, size, mode, startLocked, limit, maxNodes) {
+  const path = [];
+  let nodes = 0;
+  const FOUND = -1;
+
+  const search = function* (board, locked, g, bound, last) {
+    if (++nodes > maxNodes) return undefined;
+    if (nodes % SLICE_NODES === 0) yield;
+    const h = lowerBound(board, size, mode, locked);
+    if (g + h > bound) return g + h;
+    if (h === 0) return FOUND;
+    let min = Infinity;
+    for (const [a, b] of legalSwaps(board, size, locked)) {
+      if (last && last[0] === a && last[1] === b) continue;
+      const next = swapped(board, a, b);
+      path.push([a, b]);
+      const t = yield* search(next, lockRows(next, size, mode, locked), g + 1, bound, [a, b]);
+      if (t === FOUND || t === undefined) return t;
+      path.pop();
+      if (t < min) min = t;
+    }
+    return min;
+  };
+
+  let bound = lowerBound(cells, size, mode, startLocked);
+  while (bound < limit) {
+    const t = yield* search(cells, startLocked, 0, bound, null);
+    if (t === FOUND) return path;
+    if (t === undefined) return undefined;
+    if (t === Infinity) return null;
+    bound = t;
+  }
+  return null;
+};
+
+// The whole solve as one generator; solveGrid and solveGridAsync drive it.
+const solveSteps = function* (grid, size, mode, {
+  lockedRows = new Set(),
+  maxNodes = DEFAULT_MAX_NODES,
+  beamWidth = BEAM_WIDTH_FOR_SIZE[size] || 16,
+} = {}) {
+  const cells = cellsOf(grid, size, mode);
+  let locked = 0;
+  lockedRows.forEach(r => { locked |= 1 << r; });
+  const bound = lowerBound(cells, size, mode, locked);
+  if (bound === 0) return { moves: 0, path: [], optimal: true, lowerBound: 0 };
+
+  const beam = yield* beamSearch(cells, size, mode, locked, beamWidth);
+  if (beam && beam.length === bound) return { moves: bound, path: beam, optimal: true, lowerBound: bound };
+
+  const exact = yield* idaStar(cells, size, mode, locked, beam ? beam.length : Infinity, maxNodes);
+  if (exact) return { moves: exact.length, path: exact, optimal: true, lowerBound: bound };
+  // null: nothing shorter exists, so the beam's solution is optimal, or
+  // without one, there is no solution at all.
+  return { moves: beam ? beam.length : null, path: beam, optimal: exact === null, lowerBound: bound };
+};
+
+// Solve `grid`. Returns { moves, path, optimal, lowerBound }: `path` is the
+// list of [fromIndex, toIndex] swipes, and `optimal` says whether `moves` is
+// proven minimal (otherwise it is the best found). moves/path are null when
+// no solution was found at all; `optimal` then says whether there provably
+// is none, e.g. on a board sealed off by locked rows, or the search just ran
+// out of budget. `lowerBound` is the fewest moves any solution could take.
+// `lockedRows` (a Set, as in game state) solves from mid-game.
+export const solveGrid = (grid, size, mode, options) => {
+  const steps = solveSteps(grid, size, mode, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+// solveGrid a few milliseconds at a time, yielding the thread in between,
+// for solving while the UI is live. Returns { promise, cancel }; a cancelled
+// solve stops at its next pause and its promise resolves to null.
+export const solveGridAsync = (grid, size, mode, options) => {
+  let cancelled = false;
+  let settle;
+  const promise = new Promise((resolve) => {
+    settle = resolve;
+    const steps = solveSteps(grid, size, mode, options);
+    const run = () => {
+      if (cancelled) return;
+      const start = Date.now();
+      let step = steps.next();
+      while (!step.done && Date.now() - start < SLICE_MS) step = steps.next();
+      if (step.done) resolve(step.value);
+      else setTimeout(run, 0);
+    };
+    setTimeout(run, 0);
+  });
+  return {
+    promise,
+    cancel: () => {
+      cancelled = true;
+      settle(null);
+    },
+  };
+};
+
+// Slack on top of the solver's solution for a move-limited challenge, by
+// difficulty level. The solver's count is achievable, so any budget of at
+// least that is a fair one.
+const MOVE_BUDGET_FACTOR = { easy: 2, medium: 1.5, hard: 1.25 };
+
+// The move budget for a challenge whose board the solver solved in `moves`,
+// or null when it found no solution to base it on.
+export const moveBudget = (moves, difficulty = 'medium') => {
+  if (moves == null) return null;
+  return Math.max(1, Math.ceil(moves * (MOVE_BUDGET_FACTOR[difficulty] || MOVE_BUDGET_FACTOR.medium)));
+};
+
+// How a finished run compares with par: 3 stars at or under par, then 2 and
+// 1 for staying within 1.5x and 2x of it.
+export const rateRun = (moves, par) => {
+  if (par == null) return null;
+  if (moves <= par) return { stars: 3, label: moves < par ? 'Under par!' : 'Perfect' };
+  if (moves <= Math.ceil(par * 1.5)) return { stars: 2, label: 'Great' };
+  if (moves <= par * 2) return { stars: 1, label: 'Good' };
+  return { stars: 0, label: 'Keep practicing' };
+};
@@ -0,0 +1,52 @@
+import { TIME_FOR_SIZE } from './constants';
+import { DIFFICULTIES, createGridFromSeed } from './difficulty';
+import { deriveSeed } from './random';
+
+// ============================================================================
+// Survival: an endless run of boards against one clock. Solving a board
+// loads the next, larger or harder one at once; the time left over carries
+// across with a bonus on top, and so do the power-ups. The run ends when the
+// clock runs out.
+//
+// This is the run layer only. Each board is played with the ordinary
+// per-board state (grid, rows, clock, history) and the reducer swaps that
+// over between boards; the run record below is all that outlives a board.
+// ============================================================================
+
+// { seed, boardsCleared, rowsCleared }: rowsCleared counts rows on boards
+// already solved, not the one in play.
+export const createSurvivalRun = (seed) => ({ seed, boardsCleared: 0, rowsCleared: 0 });
+
+export const isValidSurvivalRun = (run) =>
+  !!run && typeof run.seed === 'number'
+  && Number.isInteger(run.boardsCleared) && Number.isInteger(run.rowsCleared);
+
+// Board n (0-based): the three levels at 4x4, then at 5x5 and 6x6, and 6x6
+// Hard from the ninth board on.
+const LAST_STAGE = 3 * DIFFICULTIES.length - 1;
+export const survivalStage = (index) => {
+  const step = Math.min(index, LAST_STAGE);
+  return { size: 4 + Math.floor(step / DIFFICULTIES.length), difficulty: DIFFICULTIES[step % DIFFICULTIES.length] };
+};
+
+// The run's nth board, derived from the run seed so a run can be replayed.
+export const createSurvivalBoard = (run, gameMode, index = run.boardsCleared) => {
+  const { size, difficulty } = survivalStage(index);
+  const seed = deriveSeed(run.seed, `board-${index}`);
+  return { seed, size, difficulty, gridData: createGridFromSeed(size, gameMode, seed, difficulty) };
+};
+
+// Seconds added to the leftover time when board n loads: half the usual
+// budget for its size, so bigger boards come with more time.
+export const survivalBonus = (index) => Math.round((TIME_FOR_SIZE[survivalStage(index).size] || 60) / 2);
+
+// The run after solving the board in play, which had `rows` rows.
+export const advanceSurvivalRun = (run, rows) => ({
+  ...run,
+  boardsCleared: run.boardsCleared + 1,
+  rowsCleared: run.rowsCleared + rows,
+});
+
+// Boards cleared plus every row completed in the run, counting the rows
+// already done on the unfinished board.
+export const survivalScore = (run, completedRows = 0) => run.boardsCleared + run.rowsCleared + completedRows;
@@ -0,0 +1,51 @@
+// Headless test setup. Native SDKs (ads, purchases, audio, haptics, store
+// review) have no JS implementation under Node, so each is replaced with an
+// inert stub here. Engine tests never touch them; the stubs only exist so
+// App.js can be imported without a device.
+/* eslint-env jest */
+import 'react-native-gesture-handler/jestSetup';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('react-native-google-mobile-ads', () => ({
+  BannerAd: () => null,
+  BannerAdSize: { FULL_BANNER: 'FULL_BANNER' },
+  TestIds: { BANNER: 'test-banner' },
+}));
+
+jest.mock('react-native-purchases', () => ({
+  __esModule: true,
+  default: {
+    setLogLevel: jest.fn(),
+    configure: jest.fn(() => Promise.resolve()),
+    getCustomerInfo: jest.fn(() => Promise.resolve({ entitlements: { active: {} } })),
+    getOfferings: jest.fn(() => Promise.resolve({ all: {} })),
+    purchasePackage: jest.fn(() => Promise.resolve({ customerInfo: { entitlements: { active: {} } } })),
+    restorePurchases: jest.fn(() => Promise.resolve({ entitlements: { active: {} } })),
+  },
+  LOG_LEVEL: { ERROR: 'ERROR' },
+}));
+
+jest.mock('expo-audio', () => ({
+  useAudioPlayer: () => ({ play: jest.fn(), pause: jest.fn(), seekTo: jest.fn(), playing: false }),
+  setAudioModeAsync: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('expo-haptics', () => ({
+  impactAsync: jest.fn(),
+  notificationAsync: jest.fn(),
+  ImpactFeedbackStyle: { Light: 'light', Medium: 'medium', Heavy: 'heavy' },
+  NotificationFeedbackType: { Success: 'success', Error: 'error' },
+}));
+
+jest.mock('expo-store-review', () => ({
+  hasAction: jest.fn(() => Promise.resolve(false)),
+  isAvailableAsync: jest.fn(() => Promise.resolve(false)),
+  requestReview: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('expo-linear-gradient', () => ({ LinearGradient: ({ children }) => children ?? null }));
+
+jest.mock('react-native-confetti-cannon', () => () => null);